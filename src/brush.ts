@@ -6,6 +6,7 @@ import * as d3 from 'd3';
 // Type definitions for brush system
 export interface BrushConfig {
     enabled: boolean;
+    dimension: BrushDimension;
     extent: [[number, number], [number, number]];
     handleSize: number;
     filter: ((event: any) => boolean) | null;
@@ -60,13 +61,18 @@ export interface BrushSystem {
     off(type: string, callback?: (event: BrushEventData) => void): BrushSystem;
 }
 
+export type BrushDimension = 'x' | 'y' | 'xy';
+
 export type BrushEventType = 'brushstart' | 'brush' | 'brushend' | 'clear';
 
+type D3BrushSelection = [[number, number], [number, number]] | [number, number] | null;
+
 export function createBrushSystem(): BrushSystem {
     
     // Brush configuration
     const config: BrushConfig = {
         enabled: true,
+        dimension: 'xy',
         extent: [[0, 0], [800, 400]],
         handleSize: 6,
         filter: null, // Use D3 default filter
@@ -98,7 +104,11 @@ export function createBrushSystem(): BrushSystem {
     function createBrushBehavior(): d3.BrushBehavior<any> {
         if (brushBehavior) return brushBehavior;
         
-        brushBehavior = d3.brush<any>()
+        const behavior = config.dimension === 'x' ? d3.brushX<any>()
+            : config.dimension === 'y' ? d3.brushY<any>()
+            : d3.brush<any>();
+        
+        brushBehavior = behavior
             .extent(config.extent)
             .handleSize(config.handleSize)
             .touchable(config.touchable)
@@ -116,7 +126,7 @@ export function createBrushSystem(): BrushSystem {
     }
     
     function handleBrushStart(event: d3.D3BrushEvent<any>): void {
-        const selection = convertD3Selection(event.selection as [[number, number], [number, number]] | null);
+        const selection = convertD3Selection(event.selection as D3BrushSelection);
         currentSelection = selection;
         
         const eventData: BrushEventData = {
@@ -129,7 +139,7 @@ export function createBrushSystem(): BrushSystem {
     }
     
     function handleBrush(event: d3.D3BrushEvent<any>): void {
-        const selection = convertD3Selection(event.selection as [[number, number], [number, number]] | null);
+        const selection = convertD3Selection(event.selection as D3BrushSelection);
         currentSelection = selection;
         
         const eventData: BrushEventData = {
@@ -142,7 +152,7 @@ export function createBrushSystem(): BrushSystem {
     }
     
     function handleBrushEnd(event: d3.D3BrushEvent<any>): void {
-        const selection = convertD3Selection(event.selection as [[number, number], [number, number]] | null);
+        const selection = convertD3Selection(event.selection as D3BrushSelection);
         currentSelection = selection;
         
         const eventData: BrushEventData = {
@@ -154,17 +164,30 @@ export function createBrushSystem(): BrushSystem {
         listeners.call("brushend", undefined, eventData);
     }
     
-    function convertD3Selection(d3Selection: [[number, number], [number, number]] | null): BrushSelection | null {
+    // One-dimensional brushes report [start, end]; the other axis spans the whole extent
+    function convertD3Selection(d3Selection: D3BrushSelection): BrushSelection | null {
         if (!d3Selection) return null;
         
-        const [[x0, y0], [x1, y1]] = d3Selection;
+        const [[ex0, ey0], [ex1, ey1]] = config.extent;
+        if (config.dimension === 'x') {
+            const [x0, x1] = d3Selection as [number, number];
+            return { x: [Math.min(x0, x1), Math.max(x0, x1)], y: [ey0, ey1] };
+        }
+        if (config.dimension === 'y') {
+            const [y0, y1] = d3Selection as [number, number];
+            return { x: [ex0, ex1], y: [Math.min(y0, y1), Math.max(y0, y1)] };
+        }
+        
+        const [[x0, y0], [x1, y1]] = d3Selection as [[number, number], [number, number]];
         return {
             x: [Math.min(x0, x1), Math.max(x0, x1)],
             y: [Math.min(y0, y1), Math.max(y0, y1)]
         };
     }
     
-    function convertToBrushSelection(selection: BrushSelection): [[number, number], [number, number]] {
+    function convertToBrushSelection(selection: BrushSelection): D3BrushSelection {
+        if (config.dimension === 'x') return selection.x;
+        if (config.dimension === 'y') return selection.y;
         return [
             [selection.x[0], selection.y[0]],
             [selection.x[1], selection.y[1]]
@@ -296,8 +319,14 @@ export function createBrushSystem(): BrushSystem {
     // Configure brush system
     function configure(newConfig: Partial<BrushConfig>): BrushSystem {
         const oldExtent = config.extent;
+        const oldDimension = config.dimension;
         Object.assign(config, newConfig);
         
+        // d3 brushes are fixed to one dimension; rebuild on the next attach
+        if (newConfig.dimension !== undefined && newConfig.dimension !== oldDimension) {
+            brushBehavior = null;
+        }
+        
         // Update brush behavior if it exists
         if (brushBehavior) {
             if (newConfig.extent && newConfig.extent !== oldExtent) {
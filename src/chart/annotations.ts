@@ -0,0 +1,307 @@
+// MintWaterfall Chart Annotations — callouts, arrows and brackets anchored to bars and values
+import * as d3 from "d3";
+import { ChartConfig, ProcessedData, MarginConfig, Annotation, AnnotationOptions, defaultConfig } from "./config.js";
+import { getBarGeometry } from "./render.js";
+
+type Point = { x: number; y: number };
+
+export interface AnnotationLayout {
+    annotation: Annotation;
+    // Point on the bar the annotation refers to, in SVG coordinates
+    anchor: Point;
+    // Baseline of the first text line
+    text: Point & { anchor: "start" | "middle" | "end"; lines: string[] };
+    // Leader line, arrow or bracket
+    path: string;
+    color: string;
+    fontSize: number;
+}
+
+const ANNOTATION_TYPES = ["callout", "arrow", "bracket"];
+const ARROW_HEAD = 7;
+const BRACKET_FOOT = 6;
+// Gap between the end of a leader line and the text
+const TEXT_GAP = 4;
+
+function resolveOptions(config: ChartConfig): Required<AnnotationOptions> {
+    return { ...defaultConfig.annotationOptions, ...config.annotationOptions } as Required<AnnotationOptions>;
+}
+
+/**
+ * Whether `annotation` has the shape chart.annotations() and chart specs accept.
+ */
+export function isValidAnnotation(annotation: any): annotation is Annotation {
+    return !!annotation && typeof annotation === "object"
+        && typeof annotation.id === "string"
+        && ANNOTATION_TYPES.includes(annotation.type)
+        && typeof annotation.label === "string"
+        && typeof annotation.text === "string"
+        && (annotation.type !== "bracket" || typeof annotation.toLabel === "string")
+        && ["value", "dx", "dy"].every(key => annotation[key] === undefined || typeof annotation[key] === "number");
+}
+
+function findBar(processedData: ProcessedData[], label: string, series?: string): number {
+    return processedData.findIndex(d => d.label === label && (series === undefined || d.seriesName === series));
+}
+
+// Text offset when the annotation gives none: above the anchor, or to its right on horizontal charts
+function offsetOf(annotation: Annotation, config: ChartConfig): Point {
+    const horizontal = config.orientation === "horizontal";
+    if (annotation.type === "bracket") {
+        return horizontal ? { x: annotation.dx ?? 16, y: 0 } : { x: 0, y: annotation.dy ?? -16 };
+    }
+    return { x: annotation.dx ?? (horizontal ? 36 : 0), y: annotation.dy ?? (horizontal ? 0 : -36) };
+}
+
+function round(value: number): number {
+    return +value.toFixed(2);
+}
+
+// Text block set off from `point` on the side facing away from the anchor
+function placeText(point: Point, offset: Point, lines: string[], fontSize: number): AnnotationLayout["text"] {
+    const lineHeight = fontSize * 1.2;
+    const block = (lines.length - 1) * lineHeight;
+    if (Math.abs(offset.x) > Math.abs(offset.y)) {
+        const x = point.x + (offset.x > 0 ? TEXT_GAP : -TEXT_GAP);
+        return { x, y: point.y - block / 2 + fontSize * 0.35, anchor: offset.x > 0 ? "start" : "end", lines };
+    }
+    const y = offset.y < 0 ? point.y - TEXT_GAP - block : point.y + TEXT_GAP + fontSize * 0.8;
+    return { x: point.x, y, anchor: "middle", lines };
+}
+
+function calloutPath(anchor: Point, end: Point): string {
+    const r = 2.5;
+    return `M${round(anchor.x)},${round(anchor.y)}L${round(end.x)},${round(end.y)}` +
+        `M${round(anchor.x - r)},${round(anchor.y)}a${r},${r} 0 1,0 ${2 * r},0a${r},${r} 0 1,0 ${-2 * r},0`;
+}
+
+function arrowPath(anchor: Point, start: Point): string {
+    const line = `M${round(start.x)},${round(start.y)}L${round(anchor.x)},${round(anchor.y)}`;
+    const length = Math.hypot(anchor.x - start.x, anchor.y - start.y);
+    if (length === 0) return line;
+    const ux = (anchor.x - start.x) / length;
+    const uy = (anchor.y - start.y) / length;
+    const head = (side: number) => `${round(anchor.x - ARROW_HEAD * ux + side * 4 * uy)},${round(anchor.y - ARROW_HEAD * uy - side * 4 * ux)}`;
+    return `${line}M${head(1)}L${round(anchor.x)},${round(anchor.y)}L${head(-1)}`;
+}
+
+function bracketLayout(annotation: Annotation, processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig, lines: string[], fontSize: number): Omit<AnnotationLayout, "annotation" | "color" | "fontSize"> | null {
+    const from = findBar(processedData, annotation.label, annotation.series);
+    const series = annotation.series ?? processedData[from]?.seriesName;
+    const to = findBar(processedData, annotation.toLabel!, series);
+    if (from < 0 || to < 0) return null;
+
+    const spanned = processedData
+        .slice(Math.min(from, to), Math.max(from, to) + 1)
+        .filter(d => d.seriesName === series);
+    const geometries = spanned.map(d => getBarGeometry(d, null, xScale, yScale, config, margins, processedData.length));
+    const level = annotation.value ?? Math.max(...spanned.flatMap(d => [d.isTotal ? 0 : d.prevCumulativeTotal || 0, d.cumulativeTotal]));
+    const offset = offsetOf(annotation, config);
+
+    if (config.orientation === "horizontal") {
+        const y0 = Math.min(...geometries.map(g => g.y));
+        const y1 = Math.max(...geometries.map(g => g.y + g.height));
+        const x = yScale(level) + offset.x;
+        const anchor = { x, y: (y0 + y1) / 2 };
+        return {
+            anchor,
+            text: placeText(anchor, { x: 1, y: 0 }, lines, fontSize),
+            path: `M${round(x - BRACKET_FOOT)},${round(y0)}H${round(x)}V${round(y1)}H${round(x - BRACKET_FOOT)}`,
+        };
+    }
+
+    const x0 = Math.min(...geometries.map(g => g.x));
+    const x1 = Math.max(...geometries.map(g => g.x + g.width));
+    const y = yScale(level) + offset.y;
+    const anchor = { x: (x0 + x1) / 2, y };
+    return {
+        anchor,
+        text: placeText(anchor, { x: 0, y: -1 }, lines, fontSize),
+        path: `M${round(x0)},${round(y + BRACKET_FOOT)}V${round(y)}H${round(x1)}V${round(y + BRACKET_FOOT)}`,
+    };
+}
+
+/**
+ * Positions of the annotations on the bars in `processedData`. Annotations whose bar is not
+ * drawn — zoomed out of view, hidden from the legend or missing — are left out. Text may
+ * span several lines separated by "\n".
+ */
+export function getAnnotationLayouts(annotations: Annotation[], processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig): AnnotationLayout[] {
+    const options = resolveOptions(config);
+    const horizontal = config.orientation === "horizontal";
+
+    return annotations.flatMap((annotation): AnnotationLayout[] => {
+        const lines = annotation.text.split("\n");
+        const color = annotation.color || options.color;
+        const fontSize = options.fontSize;
+
+        if (annotation.type === "bracket") {
+            const bracket = bracketLayout(annotation, processedData, xScale, yScale, config, margins, lines, fontSize);
+            return bracket ? [{ annotation, color, fontSize, ...bracket }] : [];
+        }
+
+        const index = findBar(processedData, annotation.label, annotation.series);
+        if (index < 0) return [];
+        const d = processedData[index];
+        const g = getBarGeometry(d, null, xScale, yScale, config, margins, processedData.length);
+        const level = yScale(annotation.value ?? d.cumulativeTotal);
+        const anchor = horizontal ? { x: level, y: g.y + g.height / 2 } : { x: g.x + g.width / 2, y: level };
+        const offset = offsetOf(annotation, config);
+        const end = { x: anchor.x + offset.x, y: anchor.y + offset.y };
+
+        return [{
+            annotation,
+            anchor,
+            text: placeText(end, offset, lines, fontSize),
+            path: annotation.type === "arrow" ? arrowPath(anchor, end) : calloutPath(anchor, end),
+            color,
+            fontSize,
+        }];
+    });
+}
+
+/**
+ * Bar and value under an SVG point: the bar whose centre is nearest along the category
+ * axis, and the value-axis reading at the point. Used to re-anchor dragged annotations.
+ */
+export function getAnnotationAnchorAt(point: Point, processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig): Pick<Annotation, "label" | "series" | "value"> | null {
+    if (processedData.length === 0) return null;
+    const horizontal = config.orientation === "horizontal";
+    const along = horizontal ? point.y : point.x;
+    const nearest = d3.least(processedData, d => {
+        const g = getBarGeometry(d, null, xScale, yScale, config, margins, processedData.length);
+        return Math.abs((horizontal ? g.y + g.height / 2 : g.x + g.width / 2) - along);
+    })!;
+    return {
+        label: nearest.label,
+        series: nearest.seriesName,
+        value: +yScale.invert(horizontal ? point.x : point.y).toPrecision(6),
+    };
+}
+
+function nextAnnotationId(annotations: Annotation[]): string {
+    let n = annotations.length + 1;
+    while (annotations.some(a => a.id === `annotation-${n}`)) n++;
+    return `annotation-${n}`;
+}
+
+function renderText(text: any, layout: AnnotationLayout): void {
+    const tspans = text
+        .attr("text-anchor", layout.text.anchor)
+        .attr("fill", layout.color)
+        .style("font-size", `${layout.fontSize}px`)
+        .selectAll("tspan")
+        .data(layout.text.lines);
+    tspans.exit().remove();
+    tspans.enter().append("tspan").merge(tspans)
+        .attr("x", layout.text.x)
+        .attr("y", (_line: string, i: number) => layout.text.y + i * layout.fontSize * 1.2)
+        .text((line: string) => line);
+}
+
+function renderAnnotation(group: any, layout: AnnotationLayout): void {
+    group.attr("class", `annotation annotation-${layout.annotation.type}`);
+    group.select(".annotation-line").attr("d", layout.path).attr("stroke", layout.color);
+    renderText(group.select(".annotation-text"), layout);
+    group.select(".annotation-handle").attr("cx", layout.anchor.x).attr("cy", layout.anchor.y).attr("stroke", layout.color);
+}
+
+/**
+ * Draw (or update) the annotation layer in `container`. With annotationOptions.editable,
+ * dragging an annotation's text moves it relative to its anchor, dragging the anchor handle
+ * re-anchors it to the bar and value under the pointer, and double-clicking a bar adds a
+ * callout there. Each finished change is passed to onChange, which stores it and redraws.
+ */
+export function drawAnnotations(
+    container: any,
+    processedData: ProcessedData[],
+    xScale: any,
+    yScale: any,
+    config: ChartConfig,
+    margins: MarginConfig,
+    onChange: (annotation: Annotation, action: "add" | "move") => void
+): void {
+    const { editable } = resolveOptions(config);
+    const layouts = getAnnotationLayouts(config.annotations, processedData, xScale, yScale, config, margins);
+    const layoutOf = (annotation: Annotation) => getAnnotationLayouts([annotation], processedData, xScale, yScale, config, margins)[0];
+
+    container.selectAll(".bar-group").on("dblclick.annotation", editable
+        ? (event: MouseEvent, d: ProcessedData) => {
+            // Keep d3-zoom from treating the double-click as a zoom in
+            event.stopPropagation();
+            const [x, y] = d3.pointer(event, container.node());
+            const value = +yScale.invert(config.orientation === "horizontal" ? x : y).toPrecision(6);
+            onChange({ id: nextAnnotationId(config.annotations), type: "callout", label: d.label, series: d.seriesName, value, text: "Note" }, "add");
+        }
+        : null);
+
+    const annotationGroup = container.selectAll(".annotations-group").data(layouts.length ? [0] : []);
+    annotationGroup.exit().remove();
+    const annotationGroupUpdate = annotationGroup.enter()
+        .append("g")
+        .attr("class", "annotations-group")
+        .style("font-family", "Arial, sans-serif")
+        .merge(annotationGroup);
+
+    const groups = annotationGroupUpdate.selectAll(".annotation").data(layouts, (d: AnnotationLayout) => d.annotation.id);
+    groups.exit().remove();
+    const groupsEnter = groups.enter().append("g").style("opacity", 0);
+    groupsEnter.append("path").attr("class", "annotation-line").attr("fill", "none").attr("stroke-width", 1);
+    groupsEnter.append("text").attr("class", "annotation-text");
+    const groupsUpdate = groupsEnter.merge(groups);
+
+    groupsUpdate.each(function (this: SVGGElement, layout: AnnotationLayout) {
+        const group = d3.select(this);
+        const hasHandle = editable && layout.annotation.type !== "bracket";
+        group.selectAll(".annotation-handle").data(hasHandle ? [0] : []).join(
+            (enter: any) => enter.append("circle")
+                .attr("class", "annotation-handle")
+                .attr("r", 5)
+                .attr("fill", "transparent")
+                .attr("stroke-dasharray", "2,2")
+                .style("cursor", "move")
+        );
+        renderAnnotation(group, layout);
+    });
+    groupsEnter.transition().duration(config.duration).style("opacity", 1);
+
+    // Drags redraw the one annotation in place and report the result when released
+    const drag = (move: (annotation: Annotation, event: any) => Annotation) => d3.drag<any, AnnotationLayout>()
+        // Track the pointer itself; the datum is a layout, not a point
+        .subject((event: any) => ({ x: event.x, y: event.y }))
+        .on("start", function (this: Element) {
+            d3.select(this.closest(".annotation")).raise();
+        })
+        .on("drag", function (this: Element, event: any) {
+            const group = d3.select(this.closest(".annotation") as SVGGElement);
+            const current = group.datum() as AnnotationLayout;
+            const next = layoutOf(move(current.annotation, event));
+            if (!next) return;
+            group.datum(next);
+            renderAnnotation(group, next);
+        })
+        .on("end", function (this: Element) {
+            const group = d3.select(this.closest(".annotation") as SVGGElement);
+            const { annotation } = group.datum() as AnnotationLayout;
+            if (annotation !== config.annotations.find(a => a.id === annotation.id)) onChange(annotation, "move");
+        });
+
+    const texts = groupsUpdate.select(".annotation-text");
+    const handles = groupsUpdate.select(".annotation-handle");
+    if (!editable) {
+        texts.on(".drag", null).style("cursor", null);
+        return;
+    }
+    texts.style("cursor", "move").call(drag((annotation, event) => {
+        const offset = offsetOf(annotation, config);
+        const horizontal = config.orientation === "horizontal";
+        if (annotation.type === "bracket") {
+            return horizontal ? { ...annotation, dx: offset.x + event.dx } : { ...annotation, dy: offset.y + event.dy };
+        }
+        return { ...annotation, dx: offset.x + event.dx, dy: offset.y + event.dy };
+    }));
+    handles.call(drag((annotation, event) => {
+        const anchor = getAnnotationAnchorAt({ x: event.x, y: event.y }, processedData, xScale, yScale, config, margins);
+        return anchor ? { ...annotation, ...anchor } : annotation;
+    }));
+}
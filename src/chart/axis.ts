@@ -0,0 +1,132 @@
+// MintWaterfall Category Labels — fitting x-axis labels into the band each category gets
+import { XLabelLayout } from "./config.js";
+
+export interface CategoryLabel {
+    lines: string[];
+    // The whole label when the lines cut it short, for a <title>; null otherwise
+    title: string | null;
+}
+
+export interface CategoryLabelLayout {
+    // Degrees the labels are turned anticlockwise, ending under their tick
+    rotation: 0 | 45 | 90;
+    labels: Map<string, CategoryLabel>;
+    // Pixels the labels reach below the axis line
+    height: number;
+}
+
+export interface CategoryLabelPosition {
+    x: number;
+    y: number;
+    dy: string;
+    anchor: "middle" | "end";
+    transform: string | null;
+}
+
+// Text can't be measured outside the DOM, so widths are estimated for the 10px sans-serif
+// axis font. Wide glyphs run over, which the gap between labels absorbs.
+const CHAR_WIDTH = 6;
+export const LINE_HEIGHT = 12;
+// Tick length plus padding, as d3.axisBottom places its text
+const TICK_OFFSET = 9;
+const LABEL_GAP = 4;
+const MAX_LINES = 3;
+// Rotated labels are cut to this so one long label can't take the plot's height
+const MAX_ROTATED_WIDTH = 120;
+// Closest ticks can be for 45° labels not to overlap; closer than that they stand upright
+const MIN_DIAGONAL_STEP = Math.ceil(LINE_HEIGHT / Math.SQRT1_2);
+
+export function estimateTextWidth(text: string): number {
+    return text.length * CHAR_WIDTH;
+}
+
+/**
+ * Cut `text` to fit `width`, ending in an ellipsis. At least one character is kept.
+ */
+export function truncateLabel(text: string, width: number): string {
+    if (estimateTextWidth(text) <= width) return text;
+    const keep = Math.max(1, Math.floor(width / CHAR_WIDTH) - 1);
+    return `${text.slice(0, keep).trimEnd()}…`;
+}
+
+/**
+ * Break `text` between words into lines no wider than `width`. Words past `maxLines` join
+ * the last line, and any line still too wide is truncated.
+ */
+export function wrapLabel(text: string, width: number, maxLines: number = MAX_LINES): string[] {
+    const lines: string[] = [];
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+        const last = lines.length - 1;
+        if (last >= 0 && estimateTextWidth(`${lines[last]} ${word}`) <= width) {
+            lines[last] += ` ${word}`;
+        } else {
+            lines.push(word);
+        }
+    });
+    if (lines.length === 0) return [text];
+    if (lines.length > maxLines) {
+        lines.splice(maxLines - 1, lines.length, lines.slice(maxLines - 1).join(" "));
+    }
+    return lines.map(line => truncateLabel(line, width));
+}
+
+function toLabel(text: string, lines: string[]): CategoryLabel {
+    const whole = text.split(/\s+/).filter(Boolean).join(" ");
+    return { lines, title: lines.join(" ") === whole ? null : text };
+}
+
+/**
+ * Fit category labels to ticks `step` pixels apart. "auto" keeps them on one line when
+ * they all fit, wraps them when every label fits on up to three lines, and otherwise turns
+ * them: 45° when the ticks leave room for a line of text between them, upright when not.
+ */
+export function getCategoryLabelLayout(labels: string[], step: number, layout: XLabelLayout): CategoryLabelLayout {
+    const width = Math.max(step - LABEL_GAP, CHAR_WIDTH * 2);
+    const fitted = (lines: string[][], rotation: 0 | 45 | 90 = 0): CategoryLabelLayout => {
+        const widest = Math.max(0, ...lines.map(l => Math.max(...l.map(estimateTextWidth))));
+        const lineCount = Math.max(1, ...lines.map(l => l.length));
+        const height = rotation === 0 ? lineCount * LINE_HEIGHT
+            : rotation === 45 ? Math.ceil((widest + LINE_HEIGHT) * Math.SQRT1_2)
+            : widest + LABEL_GAP;
+        return {
+            rotation,
+            labels: new Map(labels.map((label, i) => [label, toLabel(label, lines[i])])),
+            height: TICK_OFFSET + height,
+        };
+    };
+
+    const widest = Math.max(0, ...labels.map(estimateTextWidth));
+    if (layout === "none" || (layout === "auto" && widest <= width)) {
+        return fitted(labels.map(label => [label]));
+    }
+    if (layout === "truncate") {
+        return fitted(labels.map(label => [truncateLabel(label, width)]));
+    }
+    if (layout === "wrap" || layout === "auto") {
+        const wrapped = labels.map(label => wrapLabel(label, width));
+        if (layout === "wrap" || wrapped.every((lines, i) => toLabel(labels[i], lines).title === null)) {
+            return fitted(wrapped);
+        }
+    }
+    const rotation = step >= MIN_DIAGONAL_STEP ? 45 : 90;
+    return fitted(labels.map(label => [truncateLabel(label, MAX_ROTATED_WIDTH)]), rotation);
+}
+
+/**
+ * Where a tick's text goes: under the tick for level labels, or ending just below it for
+ * turned ones, placed in the turned frame so the rotation pivots on the tick.
+ */
+export function getCategoryLabelPosition(rotation: 0 | 45 | 90): CategoryLabelPosition {
+    if (rotation === 0) {
+        return { x: 0, y: TICK_OFFSET, dy: "0.71em", anchor: "middle", transform: null };
+    }
+    const angle = rotation * Math.PI / 180;
+    const round = (n: number) => Math.round(n * 100) / 100;
+    return {
+        x: round(-TICK_OFFSET * Math.sin(angle)),
+        y: round(TICK_OFFSET * Math.cos(angle)),
+        dy: "0.32em",
+        anchor: "end",
+        transform: `rotate(-${rotation})`,
+    };
+}
@@ -0,0 +1,423 @@
+// MintWaterfall Chart Canvas Backend
+import * as d3 from "d3";
+import { ChartConfig, ProcessedData, MarginConfig, BarGeometry, BarEventDetail } from "./config.js";
+import type { TooltipSystem } from "../tooltip.js";
+import { resolveFormatting } from "./formatting.js";
+import { getBarGeometry, getBarColor, getConnectors, getConnectorDash, resolveConnectorOptions, getLabelledBars, getTooltipData, getTooltipContent } from "./render.js";
+import { getValueLabels } from "./labels.js";
+import { CategoryLabelLayout, getCategoryLabelPosition } from "./axis.js";
+import { createWaterfallSpatialIndex } from "../performance.js";
+
+// Hit regions are grown to at least this many pixels so sub-pixel bars stay hoverable
+const MIN_HIT_SIZE = 3;
+const AXIS_FONT = "10px sans-serif";
+const TICK_SIZE = 6;
+const TICK_PADDING = 3;
+// Line spacing of wrapped category labels, the SVG axis' 1.2em
+const AXIS_LINE_HEIGHT = 12;
+
+export interface CanvasHitTarget {
+    label: string;
+    value: number;
+    data: ProcessedData;
+    // Index into data.stacks in stacked mode, null for the whole bar
+    stackIndex: number | null;
+    geometry: BarGeometry;
+}
+
+export type CanvasHitTest = (x: number, y: number) => CanvasHitTarget | null;
+
+function isHorizontal(config: ChartConfig): boolean {
+    return config.orientation === "horizontal";
+}
+
+/**
+ * Whether a render should go to canvas: performance optimization is on and the series has
+ * more bars than virtualizationThreshold. Callers count bars before zoom filtering, so
+ * zooming in does not swap backends mid-gesture.
+ */
+export function shouldRenderToCanvas(config: ChartConfig, barCount: number): boolean {
+    return config.enablePerformanceOptimization && barCount > config.virtualizationThreshold;
+}
+
+/**
+ * 2D context of the canvas layer behind the svg's chart groups, sized for the device pixel
+ * ratio and cleared. Returns null (and drops the layer) when the browser cannot draw to canvas.
+ */
+export function getCanvasLayer(svg: any, width: number, height: number): CanvasRenderingContext2D | null {
+    let layer = svg.select("foreignObject.canvas-layer");
+    if (layer.empty()) {
+        layer = svg.insert("foreignObject", ":first-child").attr("class", "canvas-layer");
+        layer.append("xhtml:canvas").style("display", "block");
+    }
+    layer.attr("width", width).attr("height", height);
+
+    const canvas = layer.select("canvas").node() as HTMLCanvasElement;
+    const context = typeof canvas.getContext === "function" ? canvas.getContext("2d") : null;
+    if (!context) {
+        layer.remove();
+        return null;
+    }
+
+    const ratio = (typeof window !== "undefined" && window.devicePixelRatio) || 1;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    return context;
+}
+
+export function removeCanvasLayer(svg: any): void {
+    svg.select("foreignObject.canvas-layer").remove();
+}
+
+/**
+ * One hit target per bar, or per stack segment in stacked mode, with the same
+ * geometry the SVG backend reports in BarEventDetail.
+ */
+export function getCanvasHitTargets(processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig): CanvasHitTarget[] {
+    const barCount = processedData.length;
+    return processedData.flatMap((d): CanvasHitTarget[] => config.stacked
+        ? d.stacks.map((stack, i) => ({
+            label: d.label,
+            value: stack.value,
+            data: d,
+            stackIndex: i,
+            geometry: getBarGeometry(d, i, xScale, yScale, config, margins, barCount)
+        }))
+        : [{
+            label: d.label,
+            value: d.barTotal,
+            data: d,
+            stackIndex: null,
+            geometry: getBarGeometry(d, null, xScale, yScale, config, margins, barCount)
+        }]);
+}
+
+// Rectangle grown about its centre to at least MIN_HIT_SIZE on each side
+function hitRegion(geometry: BarGeometry): BarGeometry {
+    const width = Math.max(geometry.width, MIN_HIT_SIZE);
+    const height = Math.max(geometry.height, MIN_HIT_SIZE);
+    return {
+        x: geometry.x + (geometry.width - width) / 2,
+        y: geometry.y + (geometry.height - height) / 2,
+        width,
+        height
+    };
+}
+
+function contains(rect: BarGeometry, x: number, y: number): boolean {
+    return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+}
+
+/**
+ * Point lookup over the hit targets through a spatial index of their centres. Only
+ * quadrants within half the largest target of the pointer are visited, so hovering stays
+ * logarithmic in the bar count. A bar that contains the pointer wins over a neighbour
+ * whose grown hit region does; ties go to the nearest centre.
+ */
+export function createCanvasHitTest(targets: CanvasHitTarget[]): CanvasHitTest {
+    const regions = targets.map(t => hitRegion(t.geometry));
+    const index = createWaterfallSpatialIndex(targets, null, null, (_target, i) => [
+        regions[i].x + regions[i].width / 2,
+        regions[i].y + regions[i].height / 2
+    ]);
+    const reachX = regions.reduce((max, r) => Math.max(max, r.width / 2), 0);
+    const reachY = regions.reduce((max, r) => Math.max(max, r.height / 2), 0);
+
+    return (x, y) => {
+        let best: CanvasHitTarget | null = null;
+        let bestInside = false;
+        let bestDistance = Infinity;
+
+        index.quadTree.visit((node, x0, y0, x1, y1) => {
+            if (!node.length) {
+                for (let leaf: any = node; leaf; leaf = leaf.next) {
+                    const i = leaf.data.index;
+                    const region = regions[i];
+                    if (!contains(region, x, y)) continue;
+                    const inside = contains(targets[i].geometry, x, y);
+                    const distance = (x - leaf.data.x) ** 2 + (y - leaf.data.y) ** 2;
+                    if ((inside && !bestInside) || (inside === bestInside && distance < bestDistance)) {
+                        best = targets[i];
+                        bestInside = inside;
+                        bestDistance = distance;
+                    }
+                }
+            }
+            return x0 > x + reachX || x1 < x - reachX || y0 > y + reachY || y1 < y - reachY;
+        });
+
+        return best;
+    };
+}
+
+/**
+ * Dispatch barClick / barMouseover / barMouseout and drive the tooltip from pointer
+ * events on the canvas, with the same arguments the SVG backend passes. Listeners
+ * are called with the canvas as `this`.
+ */
+export function bindCanvasEvents(canvas: HTMLCanvasElement, hitTest: CanvasHitTest, processedData: ProcessedData[], config: ChartConfig, listeners: d3.Dispatch<any>, tooltip: TooltipSystem): void {
+    const content = getTooltipContent(config);
+    const detailFor = (target: CanvasHitTarget): BarEventDetail => ({
+        data: target.data,
+        stackIndex: target.stackIndex,
+        geometry: target.geometry
+    });
+    const targetAt = (event: PointerEvent | MouseEvent): CanvasHitTarget | null => {
+        const [x, y] = d3.pointer(event, canvas);
+        return hitTest(x, y);
+    };
+
+    let current: CanvasHitTarget | null = null;
+    const leave = (event: PointerEvent) => {
+        if (!current) return;
+        const previous = current;
+        current = null;
+        canvas.style.cursor = "";
+        if (config.enableTooltips) tooltip.hide();
+        listeners.call("barMouseout", canvas, event, previous.data, detailFor(previous));
+    };
+
+    d3.select(canvas)
+        .on("pointermove.waterfall", (event: PointerEvent) => {
+            const target = targetAt(event);
+            if (target === current) {
+                if (current && config.enableTooltips) tooltip.move(event);
+                return;
+            }
+            leave(event);
+            if (!target) return;
+            current = target;
+            canvas.style.cursor = target.data.hasBreakdown || target.data.parentLabel ? "pointer" : "";
+            listeners.call("barMouseover", canvas, event, target.data, detailFor(target));
+            if (config.enableTooltips) {
+                tooltip.show(content, event, getTooltipData(processedData, processedData.indexOf(target.data)));
+            }
+        })
+        .on("pointerleave.waterfall", leave)
+        .on("click.waterfall", (event: MouseEvent) => {
+            const target = targetAt(event);
+            if (target) listeners.call("barClick", canvas, event, target.data, detailFor(target));
+        });
+}
+
+function drawGrid(context: CanvasRenderingContext2D, yScale: any, config: ChartConfig, margins: MarginConfig): void {
+    const horizontal = isHorizontal(config);
+    context.save();
+    context.strokeStyle = "rgba(224, 224, 224, 0.5)";
+    context.lineWidth = 1;
+    context.beginPath();
+    yScale.ticks().forEach((tick: number) => {
+        const p = Math.round(yScale(tick)) + 0.5;
+        if (horizontal) {
+            context.moveTo(p, margins.top);
+            context.lineTo(p, config.height - margins.bottom);
+        } else {
+            context.moveTo(margins.left, p);
+            context.lineTo(config.width - margins.right, p);
+        }
+    });
+    context.stroke();
+    context.restore();
+}
+
+function drawBars(context: CanvasRenderingContext2D, processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig, isDimmed: (d: ProcessedData) => boolean): void {
+    const paint = (geometry: BarGeometry, fill: string, stroke: string | undefined, strokeWidth: number | undefined) => {
+        context.fillStyle = fill;
+        context.fillRect(geometry.x, geometry.y, geometry.width, geometry.height);
+        if (stroke) {
+            context.strokeStyle = stroke;
+            context.lineWidth = strokeWidth ?? 1;
+            context.strokeRect(geometry.x, geometry.y, geometry.width, geometry.height);
+        }
+    };
+
+    processedData.forEach((d, i) => {
+        context.globalAlpha = isDimmed(d) ? 0.3 : 1;
+        if (config.stacked) {
+            d.stacks.forEach((stack, stackIndex) => {
+                const style = resolveFormatting(config.formattingRules.values(), d, stack);
+                const geometry = getBarGeometry(d, stackIndex, xScale, yScale, config, margins, processedData.length);
+                paint(geometry, style.fill || stack.color, style.stroke, style.strokeWidth);
+                if (stack.label) {
+                    context.fillStyle = "#333";
+                    context.font = "12px Arial, sans-serif";
+                    context.textAlign = "center";
+                    if (context.measureText(stack.label).width <= geometry.width && geometry.height >= 12) {
+                        context.fillText(stack.label, geometry.x + geometry.width / 2, geometry.y + geometry.height / 2 + 4);
+                    }
+                }
+            });
+        } else {
+            const style = resolveFormatting(config.formattingRules.values(), d);
+            const geometry = getBarGeometry(d, null, xScale, yScale, config, margins, processedData.length);
+            paint(geometry, style.fill || getBarColor(d, i, config, processedData), style.stroke, style.strokeWidth);
+        }
+    });
+    context.globalAlpha = 1;
+}
+
+function drawConnectors(context: CanvasRenderingContext2D, processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig): void {
+    const connectors = getConnectors(processedData, xScale, yScale, config, margins);
+    if (connectors.length === 0) return;
+    const { color, width } = resolveConnectorOptions(config);
+
+    context.save();
+    context.strokeStyle = color;
+    context.globalAlpha = 0.6;
+    context.lineWidth = width;
+    context.setLineDash(getConnectorDash(config) || []);
+    context.beginPath();
+    connectors.forEach(d => {
+        context.moveTo(d.x1, d.y1);
+        context.lineTo(d.x2, d.y2);
+    });
+    context.stroke();
+
+    context.globalAlpha = 1;
+    context.fillStyle = "#666";
+    context.font = "11px Arial, sans-serif";
+    context.textBaseline = "alphabetic";
+    connectors.forEach(d => {
+        if (!d.label) return;
+        context.textAlign = d.label.anchor === "middle" ? "center" : "left";
+        context.fillText(d.label.text, d.label.x, d.label.y);
+    });
+    context.restore();
+}
+
+// Value labels share the SVG layout, so crowded labels are dropped the same way
+function drawValueLabels(context: CanvasRenderingContext2D, processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig, isDimmed: (d: ProcessedData) => boolean): void {
+    const labels = getValueLabels(getLabelledBars(processedData, xScale, yScale, config, margins), config);
+
+    context.save();
+    labels.forEach(label => {
+        context.font = `${label.fontWeight} ${label.fontSize}px ${label.fontFamily}`;
+        context.textAlign = label.anchor === "middle" ? "center" : label.anchor;
+        context.globalAlpha = isDimmed(label.d) ? 0.3 : 1;
+        context.fillStyle = label.color;
+        context.fillText(label.text, label.x, label.y);
+    });
+    context.restore();
+}
+
+// A tick's position along its axis and its text; category ticks keep the category they mark
+interface AxisTick {
+    at: number;
+    key?: string;
+    text: string;
+}
+
+// Category labels wrapped, cut short or turned as computeLayout fitted them, each turned
+// about its tick like the SVG axis' text
+function drawFittedCategoryLabels(context: CanvasRenderingContext2D, ticks: AxisTick[], position: number, categoryLabels: CategoryLabelLayout): void {
+    const { x, y, anchor } = getCategoryLabelPosition(categoryLabels.rotation);
+    context.textAlign = anchor === "middle" ? "center" : "end";
+    // Level text hangs below its tick (0.71em); turned text is centred on its line (0.32em)
+    context.textBaseline = categoryLabels.rotation === 0 ? "top" : "middle";
+    ticks.forEach(t => {
+        const lines = categoryLabels.labels.get(t.key ?? t.text)?.lines ?? [t.text];
+        context.save();
+        context.translate(t.at, position);
+        context.rotate(-categoryLabels.rotation * Math.PI / 180);
+        lines.forEach((line, i) => context.fillText(line, x, y + i * AXIS_LINE_HEIGHT));
+        context.restore();
+    });
+}
+
+// Ticks and labels in the layout of d3.axisLeft/axisBottom. Category labels follow
+// categoryLabels when the layout fitted them, and are otherwise thinned when crowded.
+function drawAxes(context: CanvasRenderingContext2D, xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig, categoryLabels: CategoryLabelLayout | null): void {
+    const horizontal = isHorizontal(config);
+    const bottom = config.height - margins.bottom;
+
+    const valueTicks: AxisTick[] = yScale.ticks().map((tick: number) => ({ at: yScale(tick), text: config.formatNumber(tick) }));
+
+    const bandwidth = xScale.bandwidth ? xScale.bandwidth() : 0;
+    const categories: any[] = xScale.bandwidth ? xScale.domain() : xScale.ticks();
+    const categoryFormat = xScale.bandwidth || !xScale.tickFormat ? String : xScale.tickFormat();
+    let categoryTicks: AxisTick[] = categories.map(c => ({ at: xScale(c) + bandwidth / 2, key: String(c), text: categoryFormat(c) }));
+
+    context.save();
+    context.font = AXIS_FONT;
+    context.fillStyle = "#000";
+    context.strokeStyle = "#000";
+    context.lineWidth = 1;
+
+    if (categoryTicks.length > 1 && !categoryLabels) {
+        const step = Math.abs(categoryTicks[1].at - categoryTicks[0].at);
+        const labelSize = horizontal
+            ? 12
+            : categoryTicks.reduce((max, t) => Math.max(max, context.measureText(t.text).width), 0) + 4;
+        const every = Math.max(1, Math.ceil(labelSize / step));
+        categoryTicks = categoryTicks.filter((_t, i) => i % every === 0);
+    }
+
+    // Each axis is a domain line along `range` at `position`, with ticks pointing away from the plot
+    const drawAxis = (ticks: AxisTick[], range: number[], position: number, vertical: boolean, fitted: boolean = false) => {
+        const [r0, r1] = [Math.min(...range), Math.max(...range)];
+        context.beginPath();
+        if (vertical) {
+            context.moveTo(position - 0.5, r0);
+            context.lineTo(position - 0.5, r1);
+            ticks.forEach(t => {
+                context.moveTo(position, Math.round(t.at) + 0.5);
+                context.lineTo(position - TICK_SIZE, Math.round(t.at) + 0.5);
+            });
+        } else {
+            context.moveTo(r0, position + 0.5);
+            context.lineTo(r1, position + 0.5);
+            ticks.forEach(t => {
+                context.moveTo(Math.round(t.at) + 0.5, position);
+                context.lineTo(Math.round(t.at) + 0.5, position + TICK_SIZE);
+            });
+        }
+        context.stroke();
+
+        if (fitted) {
+            drawFittedCategoryLabels(context, ticks, position, categoryLabels!);
+            return;
+        }
+        context.textAlign = vertical ? "end" : "center";
+        context.textBaseline = vertical ? "middle" : "top";
+        ticks.forEach(t => vertical
+            ? context.fillText(t.text, position - TICK_SIZE - TICK_PADDING, t.at)
+            : context.fillText(t.text, t.at, position + TICK_SIZE + TICK_PADDING));
+    };
+
+    if (horizontal) {
+        drawAxis(valueTicks, yScale.range(), bottom, false);
+        drawAxis(categoryTicks, xScale.range(), margins.left, true);
+    } else {
+        drawAxis(valueTicks, yScale.range(), margins.left, true);
+        drawAxis(categoryTicks, xScale.range(), bottom, false, categoryLabels !== null);
+    }
+    context.restore();
+}
+
+/**
+ * Draw grid, bars (or stack segments), connectors, value labels and axes in one pass.
+ * Bars, connectors and labels are clipped to `clip`, like the SVG chart group; bars
+ * outside a non-empty brushedLabels are faded as the SVG backend dims them. Category
+ * labels are laid out by `categoryLabels`, computeLayout's fit, as on the SVG axis.
+ */
+export function drawCanvas(context: CanvasRenderingContext2D, processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig, clip: BarGeometry, brushedLabels: string[] = [], categoryLabels: CategoryLabelLayout | null = null): void {
+    const brushed = new Set(brushedLabels);
+    const isDimmed = (d: ProcessedData) => brushed.size > 0 && !brushed.has(d.label);
+
+    context.clearRect(0, 0, config.width, config.height);
+    drawGrid(context, yScale, config, margins);
+
+    context.save();
+    context.beginPath();
+    context.rect(clip.x, clip.y, clip.width, clip.height);
+    context.clip();
+    drawBars(context, processedData, xScale, yScale, config, margins, isDimmed);
+    drawConnectors(context, processedData, xScale, yScale, config, margins);
+    drawValueLabels(context, processedData, xScale, yScale, config, margins, isDimmed);
+    context.restore();
+
+    drawAxes(context, xScale, yScale, config, margins, categoryLabels);
+}
@@ -4,13 +4,24 @@ import {
     ChartConfig, defaultConfig, WaterfallChart, ProcessedData, ChartData,
     BrushOptions, TooltipConfig, ExportConfig, ZoomConfig, BreakdownConfig,
     AdvancedColorConfig, ConfidenceBandConfig, MilestoneConfig, MarginConfig,
-    calculateIntelligentMargins,
+    FormattingRule, ChartSpec, LegendItem, Annotation, applyBreakpoints,
 } from "./config.js";
-import { prepareData } from "./lifecycle.js";
+import { prepareData, isValidChartData } from "./lifecycle.js";
+import { computeLayout } from "./layout.js";
+import { getLegendItems, getLegendGradient, drawLegend } from "./legend.js";
+import { drawAnnotations } from "./annotations.js";
+import { isValidFormattingRule } from "./formatting.js";
+import {
+    CHART_SPEC_VERSION, serializeConfig, deserializeConfig, validateChartSpec, getEasePreset, getFormatPreset,
+} from "./spec.js";
 import {
     drawGrid, drawAxes, drawBars, drawConnectors, drawTrendLine,
-    drawConfidenceBands, drawMilestones,
+    drawConfidenceBands, drawMilestones, drawAxisBreak, drawPeriodGaps, drawBrush, bindBarEvents, bindBarTooltips,
 } from "./render.js";
+import {
+    shouldRenderToCanvas, getCanvasLayer, removeCanvasLayer, drawCanvas, getCanvasHitTargets,
+    createCanvasHitTest, bindCanvasEvents,
+} from "./canvas.js";
 import { createScaleSystem } from "../scales.js";
 import { createBrushSystem } from "../brush.js";
 import { createAccessibilitySystem } from "../accessibility.js";
@@ -21,17 +32,35 @@ import { createPerformanceManager } from "../performance.js";
 import { createShapeGenerators } from "../shapes.js";
 import { applyTheme } from "../themes.js";
 
+// Lets fromSpec restore config the accessors would otherwise rewrite (theme side effects, merged objects)
+const chartConfigs = new WeakMap<WaterfallChart, ChartConfig>();
+let clipPathCount = 0;
+
 export function waterfallChart(): WaterfallChart {
     const config: ChartConfig = {
         ...defaultConfig,
         formattingRules: new Map(),
+        breakpoints: [],
         advancedColorConfig: { ...defaultConfig.advancedColorConfig },
         confidenceBandConfig: { ...defaultConfig.confidenceBandConfig },
         milestoneConfig: { ...defaultConfig.milestoneConfig, milestones: [...defaultConfig.milestoneConfig.milestones] },
+        annotations: [],
     };
 
     let lastDataHash: string | null = null;
     let cachedProcessedData: ProcessedData[] | null = null;
+    // Labels under the brush, kept so a redraw can restore the selection
+    let brushedLabels: string[] = [];
+    // Semantic zoom state: the current transform and the svg the zoom behaviour is bound to
+    let zoomTransform: d3.ZoomTransform = d3.zoomIdentity;
+    let zoomedSvg: SVGSVGElement | null = null;
+    // One ResizeObserver per host element while autoResize is on
+    const resizeObservers = new Map<HTMLElement, ResizeObserver>();
+    const pendingTimers = new Set<ReturnType<typeof setTimeout>>();
+    // Bars the user has folded back up; everything else expands when breakdownConfig is enabled
+    const collapsedBreakdowns = new Set<string>();
+    // Stacks and series switched off from the legend
+    const hiddenLegendItems = new Set<string>();
 
     const scaleSystem = createScaleSystem();
     const brushSystem = createBrushSystem();
@@ -42,7 +71,7 @@ export function waterfallChart(): WaterfallChart {
     const shapeGeneratorSystem = createShapeGenerators();
     const performanceManager = createPerformanceManager();
 
-    const listeners = d3.dispatch("barClick", "barMouseover", "barMouseout", "chartUpdate", "brushSelection");
+    const listeners = d3.dispatch("barClick", "barMouseover", "barMouseout", "chartUpdate", "brushSelection", "legendToggle", "annotationChange");
 
     const chart: WaterfallChart = function chart(selection: d3.Selection<any, any, any, any>): void {
         selection.each(function (data: ChartData[]) {
@@ -55,24 +84,24 @@ export function waterfallChart(): WaterfallChart {
                 return;
             }
 
-            const isValidData = data.every(item =>
-                item && typeof item.label === "string" && Array.isArray(item.stacks) &&
-                item.stacks.every(stack => typeof stack.value === "number" && typeof stack.color === "string")
-            );
-            if (!isValidData) {
+            if (!isValidChartData(data)) {
                 console.error("MintWaterfall: Invalid data structure. Each item must have a 'label' string and 'stacks' array with 'value' numbers and 'color' strings.");
                 return;
             }
 
             const element = d3.select(this);
+            // With autoResize the host's layout box sets the size; otherwise config or the svg's attributes do
+            const host: HTMLElement | null = this.tagName === "svg" ? this.parentElement : this;
+            const hostSize = config.autoResize && host ? measureHost(host) : null;
             let svg: any;
             if (this.tagName === "svg") {
                 svg = element;
+                if (hostSize) svg.attr("width", hostSize.width).attr("height", hostSize.height);
             } else {
                 svg = element.selectAll("svg").data([0]);
                 const svgEnter = svg.enter().append("svg");
                 svg = svgEnter.merge(svg);
-                svg.attr("width", config.width).attr("height", config.height);
+                svg.attr("width", hostSize?.width ?? config.width).attr("height", hostSize?.height ?? config.height);
             }
 
             const svgNode = svg.node() as SVGSVGElement;
@@ -85,6 +114,9 @@ export function waterfallChart(): WaterfallChart {
                 if (h) actualHeight = parseInt(h, 10);
             }
 
+            // Per-render config: the measured size and any breakpoint overrides, leaving chart.width()/height() untouched
+            const renderConfig = applyBreakpoints(config, actualWidth, actualHeight);
+
             const container = svg.selectAll(".waterfall-container").data([data]);
             const containerEnter = container.enter()
                 .append("g")
@@ -96,107 +128,245 @@ export function waterfallChart(): WaterfallChart {
                 chartGroup = containerUpdate.append("g").attr("class", "chart-group");
             }
 
-            const clipPathId = `chart-clip-${Date.now()}`;
-            svg.select(`#${clipPathId}`).remove();
-            const clipPath = svg.append("defs")
-                .append("clipPath")
-                .attr("id", clipPathId)
-                .append("rect");
-            chartGroup.attr("clip-path", `url(#${clipPathId})`);
+            // One clip path per svg, kept across renders; the id only has to be unique on the page
+            let defs = svg.select("defs.waterfall-defs");
+            if (defs.empty()) defs = svg.insert("defs", ":first-child").attr("class", "waterfall-defs");
+            let clipPathNode = defs.select("clipPath.waterfall-clip");
+            if (clipPathNode.empty()) {
+                clipPathNode = defs.append("clipPath")
+                    .attr("class", "waterfall-clip")
+                    .attr("id", `mintwaterfall-clip-${++clipPathCount}`);
+                clipPathNode.append("rect");
+            }
+            const clipPath = clipPathNode.select("rect");
+            chartGroup.attr("clip-path", `url(#${clipPathNode.attr("id")})`);
 
             try {
-                const dataHash = JSON.stringify(data).slice(0, 100) + `_showTotal:${config.showTotal}`;
+                // The whole payload is keyed: items carry per-bar fields (type, breakdowns, series,
+                // dates) that can change anywhere in the array
+                const dataHash = JSON.stringify(data) + `_showTotal:${renderConfig.showTotal}` +
+                    `_breakdown:${JSON.stringify(renderConfig.breakdownConfig)}:${[...collapsedBreakdowns].join("|")}` +
+                    `_seriesColors:${JSON.stringify(renderConfig.seriesColors)}_hidden:${[...hiddenLegendItems].join("|")}` +
+                    `_valueMode:${renderConfig.valueMode}`;
                 let processedData: ProcessedData[];
                 if (dataHash === lastDataHash && cachedProcessedData) {
                     processedData = cachedProcessedData;
                 } else {
                     processedData = prepareData(
                         data,
-                        config
+                        renderConfig,
+                        collapsedBreakdowns,
+                        hiddenLegendItems
                     );
                     lastDataHash = dataHash;
                     cachedProcessedData = processedData;
                 }
 
-                const intelligentMargins = calculateIntelligentMargins(
-                    processedData, config.margin, actualWidth, actualHeight, config.formatNumber
-                );
+                const { margins: intelligentMargins, visibleData, xScale, yScale, categoryLabels, valueBreak, plotClip } =
+                    computeLayout(processedData, renderConfig, zoomTransform, scaleSystem);
+                clipPath
+                    .attr("x", plotClip.x)
+                    .attr("y", plotClip.y)
+                    .attr("width", plotClip.width)
+                    .attr("height", plotClip.height);
 
-                let xScale: any;
-                if (config.scaleType === "auto") {
-                    xScale = scaleSystem.createAdaptiveScale(processedData, "x");
-                    if (xScale.padding) xScale.padding(config.barPadding);
-                } else if (config.scaleType === "time") {
-                    const timeValues = processedData.map(d => new Date(d.label));
-                    xScale = scaleSystem.createTimeScale(timeValues);
-                } else if (config.scaleType === "ordinal") {
-                    xScale = scaleSystem.createOrdinalScale(processedData.map(d => d.label));
-                } else {
-                    xScale = d3.scaleBand()
-                        .domain(processedData.map(d => d.label))
-                        .padding(config.barPadding);
+                if (renderConfig.enableTooltips) {
+                    // content is the chart-level option; the tooltip system's own `content` is sizing
+                    const { content: _content, ...tooltipOptions } = renderConfig.tooltipConfig;
+                    tooltipSystem.configure({ ...tooltipOptions, formatNumber: renderConfig.formatNumber });
                 }
-                xScale.range([intelligentMargins.left, actualWidth - intelligentMargins.right]);
-                scaleSystem.setDefaultRange([intelligentMargins.left, actualWidth - intelligentMargins.right]);
 
-                const labelSpace = 30;
-                clipPath
-                    .attr("x", intelligentMargins.left)
-                    .attr("y", Math.max(0, intelligentMargins.top - labelSpace))
-                    .attr("width", actualWidth - intelligentMargins.left - intelligentMargins.right)
-                    .attr("height", actualHeight - intelligentMargins.top - intelligentMargins.bottom + labelSpace);
-
-                const yValues = processedData.map(d => d.cumulativeTotal);
-                const [min, max] = d3.extent(yValues) as [number, number];
-                const hasNegativeValues = min < 0;
-                let yScale: any;
-                if (hasNegativeValues) {
-                    const range = max - min;
-                    const padding = range * 0.05;
-                    yScale = d3.scaleLinear()
-                        .domain([min - padding, max + padding])
-                        .range([actualHeight - intelligentMargins.bottom, intelligentMargins.top]);
+                // Past virtualizationThreshold the grid, axes, bars, connectors and labels go to a canvas
+                // behind the svg; overlays, the brush and zoom stay in SVG. Without a 2D context we keep SVG.
+                const canvasContext = shouldRenderToCanvas(renderConfig, processedData.length)
+                    ? getCanvasLayer(svg, actualWidth, actualHeight)
+                    : null;
+                if (canvasContext) {
+                    containerUpdate.selectAll(".grid-group, .y-axis, .x-axis").remove();
+                    chartGroup.selectAll(".bars-group, .connectors-group").remove();
+                    drawCanvas(canvasContext, visibleData, xScale, yScale, renderConfig, intelligentMargins, plotClip, brushedLabels, categoryLabels);
+                    const hitTest = createCanvasHitTest(getCanvasHitTargets(visibleData, xScale, yScale, renderConfig, intelligentMargins));
+                    bindCanvasEvents(canvasContext.canvas, hitTest, processedData, renderConfig, listeners, tooltipSystem);
                 } else {
-                    yScale = scaleSystem.createLinearScale(yValues, {
-                        range: [actualHeight - intelligentMargins.bottom, intelligentMargins.top],
-                        nice: true,
-                    });
+                    removeCanvasLayer(svg);
+                    drawGrid(containerUpdate, yScale, renderConfig, intelligentMargins);
+                    drawAxes(containerUpdate, xScale, yScale, renderConfig, intelligentMargins, categoryLabels);
+                    drawBars(chartGroup, visibleData, xScale, yScale, renderConfig, intelligentMargins);
+                    bindBarEvents(chartGroup, visibleData, xScale, yScale, renderConfig, intelligentMargins, listeners);
+                    bindBarTooltips(chartGroup, processedData, renderConfig, tooltipSystem);
+                    drawConnectors(chartGroup, visibleData, xScale, yScale, renderConfig, intelligentMargins);
                 }
+                drawPeriodGaps(chartGroup, xScale, renderConfig, intelligentMargins);
+                drawTrendLine(chartGroup, visibleData, xScale, yScale, renderConfig);
+                drawConfidenceBands(chartGroup, processedData, xScale, yScale, renderConfig);
+                drawMilestones(chartGroup, visibleData, xScale, yScale, renderConfig, intelligentMargins);
+                drawAxisBreak(containerUpdate, visibleData, xScale, yScale, renderConfig, intelligentMargins, valueBreak);
+                drawAnnotations(containerUpdate, visibleData, xScale, yScale, renderConfig, intelligentMargins, (annotation: Annotation, action) => {
+                    config.annotations = action === "add"
+                        ? [...config.annotations, annotation]
+                        : config.annotations.map(a => a.id === annotation.id ? annotation : a);
+                    listeners.call("annotationChange", this, { action, annotation, annotations: config.annotations });
+                    redrawWithoutTransition(element);
+                });
+                drawBrush(containerUpdate, processedData, xScale, renderConfig, intelligentMargins, brushSystem, brushedLabels, detail => {
+                    brushedLabels = detail.data.map(d => d.label);
+                    // Canvas bars cannot be dimmed in place, so the brushed set is repainted
+                    if (canvasContext) {
+                        drawCanvas(canvasContext, visibleData, xScale, yScale, renderConfig, intelligentMargins, plotClip, brushedLabels, categoryLabels);
+                    }
+                    listeners.call("brushSelection", this, detail);
+                });
+                drawLegend(
+                    containerUpdate,
+                    defs,
+                    `${clipPathNode.attr("id")}-legend`,
+                    getLegendItems(data, renderConfig, hiddenLegendItems),
+                    getLegendGradient(processedData, renderConfig),
+                    renderConfig,
+                    intelligentMargins,
+                    (item: LegendItem) => {
+                        if (hiddenLegendItems.has(item.id)) {
+                            hiddenLegendItems.delete(item.id);
+                        } else if (item.kind === "series" && processedData.every(d => d.seriesName === item.id)) {
+                            return; // keep at least one series on screen
+                        } else {
+                            hiddenLegendItems.add(item.id);
+                        }
+                        listeners.call("legendToggle", this, { ...item, hidden: hiddenLegendItems.has(item.id) });
+                        element.call(chart);
+                    }
+                );
+
+                // Clicking (or pressing Enter on) a collapsed bar expands it; clicking a sub-bar folds its parent
+                chartGroup.selectAll(".bar-group")
+                    .style("cursor", (d: ProcessedData) => d.hasBreakdown || d.parentLabel ? "pointer" : null);
+                listeners.on("barClick.breakdown", renderConfig.breakdownConfig?.enabled
+                    ? (_event: Event, d: ProcessedData) => {
+                        if (d.hasBreakdown) {
+                            collapsedBreakdowns.delete(d.label);
+                        } else if (d.parentLabel) {
+                            collapsedBreakdowns.add(d.parentLabel);
+                        } else {
+                            return;
+                        }
+                        element.call(chart);
+                    }
+                    : null);
 
-                config.width = actualWidth;
-                config.height = actualHeight;
+                if (renderConfig.enableZoom) {
+                    // Zoom only along the category axis, never out past the full series
+                    zoomSystem.configure({
+                        mode: "semantic",
+                        scaleExtent: [1, Math.max(1, processedData.length / 3)],
+                        translateExtent: [[0, 0], [actualWidth, actualHeight]],
+                        ...renderConfig.zoomConfig,
+                    });
+                    zoomSystem.on("zoom", event => {
+                        zoomTransform = event.transform;
+                        redrawWithoutTransition(element);
+                    });
+                    // Rebinding mid-gesture would drop an in-progress pinch, so bind once per svg
+                    if (zoomedSvg !== svgNode) {
+                        zoomSystem.attach(svg);
+                        zoomedSvg = svgNode;
+                    }
+                } else if (zoomedSvg) {
+                    zoomSystem.off("zoom");
+                    zoomSystem.reset(0);
+                    zoomSystem.detach();
+                    zoomedSvg = null;
+                    zoomTransform = d3.zoomIdentity;
+                }
 
-                drawGrid(containerUpdate, yScale, config, intelligentMargins);
-                drawAxes(containerUpdate, xScale, yScale, config, intelligentMargins);
-                drawBars(chartGroup, processedData, xScale, yScale, config, intelligentMargins);
-                drawConnectors(chartGroup, processedData, xScale, yScale, config);
-                drawTrendLine(chartGroup, processedData, xScale, yScale, config);
-                drawConfidenceBands(chartGroup, processedData, xScale, yScale, config);
-                drawMilestones(chartGroup, processedData, xScale, yScale, config);
+                listeners.call("chartUpdate", this, {
+                    data: processedData,
+                    xScale,
+                    yScale,
+                    margins: intelligentMargins,
+                });
 
-                setTimeout(() => {
-                    if (config.enableAccessibility) {
+                schedule(() => {
+                    if (renderConfig.enableAccessibility) {
                         svg.attr("role", "img")
                             .attr("aria-label", `Waterfall chart with ${processedData.length} data points`);
                     }
-                    if (config.enableTooltips) {
-                        tooltipSystem.configure(config.tooltipConfig);
-                    }
                 }, 50);
             } catch (error: any) {
                 console.error("MintWaterfall rendering error:", error);
                 containerUpdate.selectAll("*").remove();
                 containerUpdate.append("text")
-                    .attr("x", config.width / 2)
-                    .attr("y", config.height / 2)
+                    .attr("x", renderConfig.width / 2)
+                    .attr("y", renderConfig.height / 2)
                     .attr("text-anchor", "middle")
                     .style("font-size", "14px")
                     .style("fill", "#ff6b6b")
                     .text(`Chart Error: ${error.message}`);
             }
+
+            if (config.autoResize && host) {
+                observeHost(host, element);
+            } else if (host) {
+                unobserveHost(host);
+            }
         });
     } as any;
 
+    // Layout size of the element the chart fills; a host without an explicit height keeps config.height
+    function measureHost(host: HTMLElement): { width: number; height: number } | null {
+        const rect = host.getBoundingClientRect();
+        if (!rect.width) return null;
+        return { width: Math.round(rect.width), height: Math.round(rect.height) || config.height };
+    }
+
+    // Deferred work the chart owns, cleared by destroy()
+    function schedule(callback: () => void, delay: number): ReturnType<typeof setTimeout> {
+        const timer = setTimeout(() => {
+            pendingTimers.delete(timer);
+            callback();
+        }, delay);
+        pendingTimers.add(timer);
+        return timer;
+    }
+
+    function cancel(timer: ReturnType<typeof setTimeout> | undefined): void {
+        if (timer === undefined) return;
+        clearTimeout(timer);
+        pendingTimers.delete(timer);
+    }
+
+    function observeHost(host: HTMLElement, target: d3.Selection<any, any, any, any>): void {
+        if (resizeObservers.has(host) || typeof ResizeObserver === "undefined") return;
+        let timer: ReturnType<typeof setTimeout> | undefined;
+        const observer = new ResizeObserver(() => {
+            cancel(timer);
+            timer = schedule(() => {
+                const size = measureHost(host);
+                const svg = target.node()?.tagName === "svg" ? target : target.select("svg");
+                // The initial observation and same-size notifications need no redraw
+                if (!size || (+svg.attr("width") === size.width && +svg.attr("height") === size.height)) return;
+                redrawWithoutTransition(target);
+            }, config.resizeDebounce);
+        });
+        observer.observe(host);
+        resizeObservers.set(host, observer);
+    }
+
+    function unobserveHost(host: HTMLElement): void {
+        resizeObservers.get(host)?.disconnect();
+        resizeObservers.delete(host);
+    }
+
+    // Zoom gestures fire continuously, so each step redraws immediately instead of animating
+    function redrawWithoutTransition(target: d3.Selection<any, any, any, any>): void {
+        const duration = config.duration;
+        config.duration = 0;
+        try {
+            target.call(chart);
+        } finally {
+            config.duration = duration;
+        }
+    }
+
     // Getter/setter methods using a generic accessor pattern
     function accessor<T>(get: () => T, set: (v: T) => void): any {
         return function (this: any, value?: T) {
@@ -210,19 +380,31 @@ export function waterfallChart(): WaterfallChart {
     chart.height = accessor(() => config.height, v => { config.height = v; });
     chart.margin = accessor(() => config.margin, v => { config.margin = v; });
     chart.stacked = accessor(() => config.stacked, v => { config.stacked = v; });
+    chart.orientation = accessor(() => config.orientation, v => { config.orientation = v; });
     chart.showTotal = accessor(() => config.showTotal, v => { config.showTotal = v; });
     chart.totalLabel = accessor(() => config.totalLabel, v => { config.totalLabel = v; });
     chart.totalColor = accessor(() => config.totalColor, v => { config.totalColor = v; });
     chart.barPadding = accessor(() => config.barPadding, v => { config.barPadding = v; });
+    chart.seriesPadding = accessor(() => config.seriesPadding, v => { config.seriesPadding = v; });
+    chart.seriesColors = accessor(() => config.seriesColors, v => { config.seriesColors = v; });
+    chart.axisBreak = accessor(() => config.axisBreak, v => { config.axisBreak = v; });
+    chart.xLabelLayout = accessor(() => config.xLabelLayout, v => { config.xLabelLayout = v; });
+    chart.periodOptions = accessor(() => config.periodOptions, v => { config.periodOptions = v; });
+    chart.connectorOptions = accessor(() => config.connectorOptions, v => { config.connectorOptions = v; });
+    chart.valueMode = accessor(() => config.valueMode, v => { config.valueMode = v; });
+    chart.showLegend = accessor(() => config.showLegend, v => { config.showLegend = v; });
+    chart.legendOptions = accessor(() => config.legendOptions, v => { config.legendOptions = v; });
     chart.duration = accessor(() => config.duration, v => { config.duration = v; });
-    chart.ease = accessor(() => config.ease, v => { config.ease = v; });
-    chart.formatNumber = accessor(() => config.formatNumber, v => { config.formatNumber = v; });
+    chart.ease = accessor(() => config.ease, v => { config.ease = typeof v === "string" ? getEasePreset(v) : v; });
+    chart.formatNumber = accessor(() => config.formatNumber, v => {
+        config.formatNumber = typeof v === "string" ? getFormatPreset(v) : v;
+    });
     chart.theme = accessor(() => config.theme, v => {
         config.theme = v;
         if (v) {
             config.advancedColorConfig.enabled = true;
             config.advancedColorConfig.themeName = v;
-            config.colorMode = "sequential";
+            config.colorMode = "default";
             applyTheme(chart as any, v as any);
         }
     });
@@ -247,13 +429,43 @@ export function waterfallChart(): WaterfallChart {
     chart.enableZoom = accessor(() => config.enableZoom, v => { config.enableZoom = v; });
     chart.zoomConfig = accessor(() => config.zoomConfig, v => { config.zoomConfig = v; });
     chart.breakdownConfig = accessor(() => config.breakdownConfig, v => { config.breakdownConfig = v; });
+    chart.milestoneConfig = accessor(() => config.milestoneConfig, v => { config.milestoneConfig = v; });
     chart.enablePerformanceOptimization = accessor(() => config.enablePerformanceOptimization, v => { config.enablePerformanceOptimization = v; });
     chart.performanceDashboard = accessor(() => config.performanceDashboard, v => { config.performanceDashboard = v; });
     chart.virtualizationThreshold = accessor(() => config.virtualizationThreshold, v => { config.virtualizationThreshold = v; });
+    chart.showValueLabels = accessor(() => config.showValueLabels, v => { config.showValueLabels = v; });
+    chart.valueLabelOptions = accessor(() => config.valueLabelOptions, v => { config.valueLabelOptions = v; });
+    chart.annotations = accessor(() => config.annotations, v => { config.annotations = v; });
+    chart.annotationOptions = accessor(() => config.annotationOptions, v => { config.annotationOptions = v; });
+    chart.autoResize = accessor(() => config.autoResize, v => {
+        config.autoResize = v;
+        if (!v) Array.from(resizeObservers.keys()).forEach(unobserveHost);
+    });
+    chart.resizeDebounce = accessor(() => config.resizeDebounce, v => { config.resizeDebounce = v; });
+    chart.breakpoints = accessor(() => config.breakpoints, v => { config.breakpoints = v; });
     chart.enableAdvancedColors = accessor(() => config.advancedColorConfig.enabled, v => { config.advancedColorConfig.enabled = v; });
     chart.colorMode = accessor(() => config.colorMode, v => { config.colorMode = v; });
     chart.colorTheme = accessor(() => config.advancedColorConfig.themeName || "default", v => { config.advancedColorConfig.themeName = v; });
     chart.neutralThreshold = accessor(() => config.advancedColorConfig.neutralThreshold || 0, v => { config.advancedColorConfig.neutralThreshold = v; });
+    chart.formattingRules = accessor(() => Array.from(config.formattingRules.values()), (rules: FormattingRule[]) => {
+        config.formattingRules.clear();
+        rules.forEach(rule => chart.addFormattingRule(rule));
+    });
+    let ruleCount = 0;
+    chart.addFormattingRule = function (rule: FormattingRule): WaterfallChart {
+        if (!isValidFormattingRule(rule)) {
+            console.warn("MintWaterfall: Ignoring formatting rule without a 'when' condition and 'style' object.", rule);
+            return chart;
+        }
+        let id = rule.id;
+        while (id === undefined || (rule.id === undefined && config.formattingRules.has(id))) id = `rule-${++ruleCount}`;
+        config.formattingRules.set(id, { ...rule, id });
+        return chart;
+    };
+    chart.removeFormattingRule = function (id: string): WaterfallChart {
+        config.formattingRules.delete(id);
+        return chart;
+    };
     let boundData: any = null;
     chart.data = function (this: any, value?: any) {
         if (arguments.length === 0) return boundData;
@@ -261,6 +473,58 @@ export function waterfallChart(): WaterfallChart {
         return chart;
     } as any;
 
+    /**
+     * Tear down what rendering created in the selection: the chart's svg (or, for an svg
+     * passed in, the chart's content, attributes and zoom handlers), plus the tooltip div,
+     * brush, resize observers and pending timers. Listeners added with chart.on() are kept,
+     * so the chart can be rendered again.
+     */
+    chart.destroy = function (selection: d3.Selection<any, any, any, any>): WaterfallChart {
+        selection.each(function (this: any) {
+            const ownSvg = this.tagName !== "svg";
+            const svg: d3.Selection<any, any, any, any> = ownSvg ? d3.select(this).select("svg") : d3.select(this);
+            const host: HTMLElement | null = ownSvg ? this : this.parentElement;
+            if (host) unobserveHost(host);
+            if (svg.empty()) return;
+
+            svg.selectAll("*").interrupt();
+            if (zoomedSvg === svg.node()) {
+                zoomSystem.off("zoom");
+                zoomSystem.detach();
+                zoomedSvg = null;
+            }
+            brushSystem.detach();
+            if (ownSvg) {
+                svg.remove();
+            } else {
+                // d3-zoom leaves its state and a tap-highlight style on the element it was bound to
+                svg.on(".zoom", null).style("-webkit-tap-highlight-color", null);
+                delete (svg.node() as any).__zoom;
+                svg.selectAll(".waterfall-container, defs.waterfall-defs, foreignObject.canvas-layer").remove();
+                svg.attr("role", null).attr("aria-label", null);
+            }
+        });
+
+        tooltipSystem.destroy();
+        pendingTimers.forEach(timer => clearTimeout(timer));
+        pendingTimers.clear();
+        listeners.on("barClick.breakdown", null);
+        lastDataHash = null;
+        cachedProcessedData = null;
+        brushedLabels = [];
+        zoomTransform = d3.zoomIdentity;
+        collapsedBreakdowns.clear();
+        hiddenLegendItems.clear();
+        return chart;
+    };
+
+    chart.toSpec = function (): ChartSpec {
+        const spec: ChartSpec = { version: CHART_SPEC_VERSION, config: serializeConfig(config) };
+        if (boundData) spec.data = JSON.parse(JSON.stringify(boundData));
+        return spec;
+    };
+    chartConfigs.set(chart, config);
+
     chart.on = function (): any {
         const value = (listeners.on as any).apply(listeners, Array.from(arguments));
         return value === listeners ? chart : value;
@@ -268,3 +532,36 @@ export function waterfallChart(): WaterfallChart {
 
     return chart;
 }
+
+/**
+ * The live config behind a chart from waterfallChart(), for components that draw with a
+ * chart's options without rendering it, such as waterfallSmallMultiples.
+ */
+export function getChartConfig(chart: WaterfallChart): ChartConfig | undefined {
+    return chartConfigs.get(chart);
+}
+
+/**
+ * Build a chart from a spec produced by chart.toSpec() (or written by hand). Nested
+ * option objects merge over the defaults, so a spec only needs the options it changes.
+ * Throws with every validation problem when the spec has unknown keys or bad values.
+ */
+waterfallChart.fromSpec = function (spec: ChartSpec): WaterfallChart {
+    const errors = validateChartSpec(spec);
+    if (errors.length > 0) {
+        throw new Error(`MintWaterfall: Invalid chart spec — ${errors.join("; ")}`);
+    }
+
+    const chart = waterfallChart();
+    const config = chartConfigs.get(chart)!;
+    const { formattingRules, ...options } = deserializeConfig(spec.config ?? {});
+    Object.entries(options).forEach(([key, value]) => {
+        const current = (config as any)[key];
+        const mergeable = current && typeof current === "object" && !Array.isArray(current) &&
+            value && typeof value === "object" && !Array.isArray(value);
+        (config as any)[key] = mergeable ? { ...current, ...value } : value;
+    });
+    if (formattingRules) chart.formattingRules(Array.from(formattingRules.values()));
+    if (spec.data) chart.data(spec.data);
+    return chart;
+};
@@ -1,5 +1,6 @@
 // MintWaterfall Chart Configuration
 import * as d3 from "d3";
+import type { TooltipContentType } from "../tooltip.js";
 
 export interface StackData {
     value: number;
@@ -7,19 +8,73 @@ export interface StackData {
     label?: string;
 }
 
+export type BarType = "delta" | "subtotal" | "absolute";
+
+// One series' stacks at a category in a multi-series chart
+export interface SeriesData {
+    name: string;
+    stacks?: StackData[];
+}
+
 export interface ChartData {
     label: string;
-    stacks: StackData[];
+    // Subtotal items take their value from the running total and may omit stacks;
+    // absolute items reset the running total to the sum of their stacks
+    stacks?: StackData[];
+    type?: BarType;
+    // Side-by-side series (Actual, Budget, ...) in place of stacks; a series missing
+    // here has no bar at this category, except on subtotals, which every series gets
+    series?: SeriesData[];
+    // Sub-items shown in place of the bar when breakdownConfig is enabled
+    // (read from breakdownConfig.field, "breakdown" by default)
+    breakdown?: ChartData[];
+    // Start of the period the bar covers when scaleType is "time"; the label is parsed when
+    // it's missing, and bars with neither follow the bar before them
+    date?: Date | string | number;
+    // Length of that period, periodOptions.interval when left out
+    period?: PeriodInterval;
+    // Set by breakdown expansion
+    parentLabel?: string;
+    breakdownLevel?: number;
+    isOthers?: boolean;
+    hasBreakdown?: boolean;
 }
 
 export interface ProcessedData extends ChartData {
+    stacks: StackData[];
     barTotal: number;
     cumulativeTotal: number;
     prevCumulativeTotal?: number;
     stackPositions?: Array<{ start: number; end: number; color: string; value: number; label?: string }>;
     isTotal?: boolean;
+    // Set when the data has series: the bar's series and its slot in the category band
+    seriesName?: string;
+    seriesIndex?: number;
+    seriesCount?: number;
+    // Set in percentage value modes: the same bar in data units
+    raw?: ProcessedData;
+}
+
+export type Orientation = "vertical" | "horizontal";
+
+// Calendar period a dated bar spans on a time axis
+export type PeriodInterval = "day" | "week" | "month" | "quarter" | "year";
+
+export interface PeriodOptions {
+    // Period of items that don't name their own
+    interval?: PeriodInterval;
+    // Mark the stretches between dated bars that have no data
+    showGaps?: boolean;
+    gapLabel?: string;
 }
 
+// How x-axis labels too wide for their band are fitted: on several lines, turned, cut short
+// with an ellipsis, whichever of those fits first ("auto"), or left as they are
+export type XLabelLayout = "auto" | "wrap" | "rotate" | "truncate" | "none";
+
+// Absolute data units, or each value as a share of the opening bar or of the final total
+export type ValueMode = "absolute" | "percentOfStart" | "percentOfTotal";
+
 export interface MarginConfig {
     top: number;
     right: number;
@@ -30,13 +85,104 @@ export interface MarginConfig {
 export interface BrushOptions {
     extent?: [[number, number], [number, number]];
     handleSize?: number;
+    // Thickness of the brush strip beside the category axis
+    size?: number;
     [key: string]: any;
 }
 
+// outside: past the bar's end; inside: within the bar at its end; auto: inside where the label fits
+export type ValueLabelPlacement = "outside" | "inside" | "auto" | "none";
+
+// The bar's change, its running total, the change with its percentage of the previous total, or custom text
+export type ValueLabelContent = "delta" | "runningTotal" | "deltaPercent" | ((d: ProcessedData) => string);
+
+export interface ValueLabelOptions {
+    placement?: ValueLabelPlacement;
+    content?: ValueLabelContent;
+    fontSize?: number;
+    fontFamily?: string;
+    fontWeight?: string | number;
+}
+
+export interface AxisBreakOptions {
+    enabled?: boolean;
+    // Running total where the compressed stretch from zero ends; chosen from the data when omitted.
+    // Data that goes below zero keeps a continuous axis, with a console warning when this is set.
+    value?: number;
+    // Pixels the compressed stretch takes on the value axis
+    size?: number;
+}
+
+export type ConnectorStyle = "solid" | "dashed" | "dotted";
+
+export interface ConnectorOptions {
+    style?: ConnectorStyle;
+    color?: string;
+    width?: number;
+    // Leave out connectors that lead into subtotal and total bars
+    skipTotals?: boolean;
+    // Run each connector from the middle of one bar to the middle of the next, so the bar ends read as a staircase
+    step?: boolean;
+    // Print the running total at each connector
+    showLabels?: boolean;
+}
+
+export type AnnotationType = "callout" | "arrow" | "bracket";
+
+// Commentary pinned to a bar and value rather than to pixels, so it follows the bar through re-renders, zoom and resize
+export interface Annotation {
+    id: string;
+    type: AnnotationType;
+    // Category label of the bar it points at; series picks the bar within a multi-series category
+    label: string;
+    series?: string;
+    // Value it points at; the bar's running total when omitted
+    value?: number;
+    // Last bar a bracket spans
+    toLabel?: string;
+    text: string;
+    // Pixel offset of the text from the anchor; a bracket's offset along the value axis lifts it off the bars
+    dx?: number;
+    dy?: number;
+    color?: string;
+}
+
+export interface AnnotationOptions {
+    // Drag text and anchors, and double-click a bar to add a callout
+    editable?: boolean;
+    color?: string;
+    fontSize?: number;
+}
+
+export interface AnnotationChangeDetail {
+    action: "add" | "move";
+    annotation: Annotation;
+    annotations: Annotation[];
+}
+
+export type LegendPosition = "top" | "bottom" | "right";
+
+export interface LegendOptions {
+    position?: LegendPosition;
+}
+
+export interface LegendItem {
+    // Stack label or series name, hidden from the data while the item is toggled off
+    id: string;
+    label: string;
+    color: string;
+    // Stack and series items toggle; increase/decrease/total items only explain colours,
+    // and reference items name the reference bands and target ticks
+    kind: "stack" | "series" | "semantic" | "reference";
+    hidden: boolean;
+}
+
 export interface TooltipConfig {
     enabled?: boolean;
     className?: string;
     offset?: { x: number; y: number };
+    // HTML string, { template, formatters } or (data) => html; defaults to the bar summary
+    content?: TooltipContentType;
     [key: string]: any;
 }
 
@@ -52,17 +198,69 @@ export interface ZoomConfig {
     [key: string]: any;
 }
 
+export type BreakdownSortStrategy = "none" | "value" | "absolute" | "label";
+
 export interface BreakdownConfig {
     enabled: boolean;
+    // How many nested breakdown levels expand
     levels: number;
     field?: string;
+    // Sub-items smaller than this (by absolute total) fold into the others bucket
     minGroupSize?: number;
-    sortStrategy?: string;
+    sortStrategy?: BreakdownSortStrategy;
+    // false drops the remainder instead of folding it into an others bucket
     showOthers?: boolean;
     othersLabel?: string;
+    // Named sub-bars per parent; the others bucket comes on top
     maxGroups?: number;
 }
 
+export type FormattingOperator = "<" | "<=" | ">" | ">=" | "==" | "!=" | "in";
+
+// Declarative conditions keep rules JSON-serializable; `field` is a dot path into the
+// bar (e.g. "barTotal", "type", "stack.value" for a stack segment)
+export type FormattingCondition =
+    | { field: string; op: FormattingOperator; value: any }
+    | { all: FormattingCondition[] }
+    | { any: FormattingCondition[] }
+    | { not: FormattingCondition };
+
+export type FormattingPredicate = (d: ProcessedData, stack?: StackData) => boolean;
+
+export type FormattingPattern = "stripes" | "dots" | "crosshatch";
+
+export interface FormattingStyle {
+    fill?: string;
+    stroke?: string;
+    strokeWidth?: number;
+    labelColor?: string;
+    fontWeight?: string | number;
+    pattern?: FormattingPattern;
+}
+
+export interface FormattingRule {
+    id?: string;
+    // Higher priorities override lower ones property by property; ties go to the later rule
+    priority?: number;
+    // Predicate functions work but are dropped by JSON.stringify
+    when: FormattingCondition | FormattingPredicate;
+    style: FormattingStyle;
+}
+
+export interface Breakpoint {
+    // Applies while the rendered chart is at most this wide / tall
+    maxWidth?: number;
+    maxHeight?: number;
+    config: Partial<ChartConfig>;
+}
+
+// Plain-JSON chart definition; ease and formatNumber are stored as preset names
+export interface ChartSpec {
+    version: number;
+    config: Record<string, unknown>;
+    data?: ChartData[];
+}
+
 export interface AdvancedColorConfig {
     enabled: boolean;
     scaleType: "auto" | "sequential" | "diverging" | "conditional";
@@ -81,6 +279,21 @@ export interface ConfidenceBandConfig {
     showTrendLines?: boolean;
 }
 
+// Shaded range between two values on the value axis, such as a tolerance band
+export interface ReferenceBand {
+    from: number;
+    to: number;
+    label?: string;
+    color?: string;
+}
+
+// Target for one bar: the budgeted change for delta bars, the budgeted level for subtotals and totals
+export interface BarTarget {
+    label: string;
+    series?: string;
+    value: number;
+}
+
 export interface MilestoneConfig {
     enabled: boolean;
     milestones: Array<{
@@ -89,10 +302,50 @@ export interface MilestoneConfig {
         type: "target" | "threshold" | "alert" | "achievement";
         description?: string;
     }>;
+    bands?: ReferenceBand[];
+    targets?: BarTarget[];
+    // Legend entry for the target ticks
+    targetLabel?: string;
+    targetColor?: string;
+    // Print each target's value beside its tick
+    showTargetLabels?: boolean;
+}
+
+export interface BarGeometry {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+}
+
+export interface BarEventDetail {
+    data: ProcessedData;
+    // Index into data.stacks for the hovered/clicked segment, null for the whole bar
+    stackIndex: number | null;
+    // Bar (or stack segment) bounds in SVG pixel coordinates
+    geometry: BarGeometry;
 }
 
 export interface BarEventHandler {
-    (event: Event, data: ProcessedData): void;
+    (event: Event, data: ProcessedData, detail: BarEventDetail): void;
+}
+
+export interface BrushSelectionDetail {
+    // Selected bars in category order; empty when the brush is cleared
+    data: ProcessedData[];
+    // Net change in the running total across the selected bars (of the first series)
+    delta: number;
+    // Net change per series when the data has series
+    deltaBySeries?: Record<string, number>;
+    // Snapped pixel extent along the category axis
+    range: [number, number] | null;
+}
+
+export interface ChartUpdateDetail {
+    data: ProcessedData[];
+    xScale: any;
+    yScale: any;
+    margins: MarginConfig;
 }
 
 export interface WaterfallChart {
@@ -104,6 +357,8 @@ export interface WaterfallChart {
     margin(value: MarginConfig): WaterfallChart;
     stacked(): boolean;
     stacked(value: boolean): WaterfallChart;
+    orientation(): Orientation;
+    orientation(value: Orientation): WaterfallChart;
     showTotal(): boolean;
     showTotal(value: boolean): WaterfallChart;
     totalLabel(): string;
@@ -112,18 +367,36 @@ export interface WaterfallChart {
     totalColor(value: string): WaterfallChart;
     barPadding(): number;
     barPadding(value: number): WaterfallChart;
+    seriesPadding(): number;
+    seriesPadding(value: number): WaterfallChart;
+    seriesColors(): Record<string, string>;
+    seriesColors(value: Record<string, string>): WaterfallChart;
+    axisBreak(): AxisBreakOptions;
+    axisBreak(value: AxisBreakOptions): WaterfallChart;
+    xLabelLayout(): XLabelLayout;
+    xLabelLayout(value: XLabelLayout): WaterfallChart;
+    periodOptions(): PeriodOptions;
+    periodOptions(value: PeriodOptions): WaterfallChart;
+    connectorOptions(): ConnectorOptions;
+    connectorOptions(value: ConnectorOptions): WaterfallChart;
+    valueMode(): ValueMode;
+    valueMode(value: ValueMode): WaterfallChart;
     duration(): number;
     duration(value: number): WaterfallChart;
     ease(): (t: number) => number;
-    ease(value: (t: number) => number): WaterfallChart;
+    ease(value: ((t: number) => number) | string): WaterfallChart;
     formatNumber(): (n: number) => string;
-    formatNumber(value: (n: number) => string): WaterfallChart;
+    formatNumber(value: ((n: number) => string) | string): WaterfallChart;
     theme(): string | null;
     theme(value: string | null): WaterfallChart;
     enableBrush(): boolean;
     enableBrush(value: boolean): WaterfallChart;
     brushOptions(): BrushOptions;
     brushOptions(value: BrushOptions): WaterfallChart;
+    showLegend(): boolean;
+    showLegend(value: boolean): WaterfallChart;
+    legendOptions(): LegendOptions;
+    legendOptions(value: LegendOptions): WaterfallChart;
     enableAdvancedColors(): boolean;
     enableAdvancedColors(value: boolean): WaterfallChart;
     colorMode(): "default" | "conditional" | "sequential" | "diverging";
@@ -170,15 +443,93 @@ export interface WaterfallChart {
     zoomConfig(value: ZoomConfig): WaterfallChart;
     breakdownConfig(): BreakdownConfig | null;
     breakdownConfig(value: BreakdownConfig | null): WaterfallChart;
+    milestoneConfig(): MilestoneConfig;
+    milestoneConfig(value: MilestoneConfig): WaterfallChart;
+    formattingRules(): FormattingRule[];
+    formattingRules(value: FormattingRule[]): WaterfallChart;
+    addFormattingRule(rule: FormattingRule): WaterfallChart;
+    removeFormattingRule(id: string): WaterfallChart;
     enablePerformanceOptimization(): boolean;
     enablePerformanceOptimization(value: boolean): WaterfallChart;
     performanceDashboard(): boolean;
     performanceDashboard(value: boolean): WaterfallChart;
     virtualizationThreshold(): number;
     virtualizationThreshold(value: number): WaterfallChart;
+    showValueLabels(): boolean;
+    showValueLabels(value: boolean): WaterfallChart;
+    valueLabelOptions(): ValueLabelOptions;
+    valueLabelOptions(value: ValueLabelOptions): WaterfallChart;
+    annotations(): Annotation[];
+    annotations(value: Annotation[]): WaterfallChart;
+    annotationOptions(): AnnotationOptions;
+    annotationOptions(value: AnnotationOptions): WaterfallChart;
+    autoResize(): boolean;
+    autoResize(value: boolean): WaterfallChart;
+    resizeDebounce(): number;
+    resizeDebounce(value: number): WaterfallChart;
+    breakpoints(): Breakpoint[];
+    breakpoints(value: Breakpoint[]): WaterfallChart;
+    on(event: "chartUpdate", handler: ((detail: ChartUpdateDetail) => void) | null): WaterfallChart;
+    on(event: "brushSelection", handler: ((detail: BrushSelectionDetail) => void) | null): WaterfallChart;
+    on(event: "legendToggle", handler: ((item: LegendItem) => void) | null): WaterfallChart;
+    on(event: "annotationChange", handler: ((detail: AnnotationChangeDetail) => void) | null): WaterfallChart;
     on(event: string, handler: BarEventHandler | null): WaterfallChart;
     data(): WaterfallChart;
     data(value: any): WaterfallChart;
+    toSpec(): ChartSpec;
+    destroy(selection: d3.Selection<any, any, any, any>): WaterfallChart;
+    (selection: d3.Selection<any, any, any, any>): void;
+}
+
+// The field each small-multiples item names its facet in, or a function that reads it
+export type FacetAccessor = string | ((d: ChartData) => string);
+
+export interface SmallMultiplesConfig {
+    facet: FacetAccessor;
+    columns: number;
+    // Size of each panel, including its title
+    panelWidth: number;
+    panelHeight: number;
+    // Space between panels
+    gap: number;
+    // One value domain and one set of margins for every panel, so bar heights compare across them
+    sharedYDomain: boolean;
+    // Every panel lays out every facet's categories in one order, bars lined up across a row
+    sharedCategories: boolean;
+    // Hovering a bar highlights its category in every panel
+    syncHover: boolean;
+    // One legend for all panels, placed as the panel chart's legendOptions.position says
+    showLegend: boolean;
+}
+
+export interface FacetBarEventDetail extends BarEventDetail {
+    facet: string;
+}
+
+export interface WaterfallSmallMultiples {
+    facet(): FacetAccessor;
+    facet(value: FacetAccessor): WaterfallSmallMultiples;
+    columns(): number;
+    columns(value: number): WaterfallSmallMultiples;
+    panelWidth(): number;
+    panelWidth(value: number): WaterfallSmallMultiples;
+    panelHeight(): number;
+    panelHeight(value: number): WaterfallSmallMultiples;
+    gap(): number;
+    gap(value: number): WaterfallSmallMultiples;
+    sharedYDomain(): boolean;
+    sharedYDomain(value: boolean): WaterfallSmallMultiples;
+    sharedCategories(): boolean;
+    sharedCategories(value: boolean): WaterfallSmallMultiples;
+    syncHover(): boolean;
+    syncHover(value: boolean): WaterfallSmallMultiples;
+    showLegend(): boolean;
+    showLegend(value: boolean): WaterfallSmallMultiples;
+    // Chart whose options every panel is drawn with; it is never rendered itself
+    chart(): WaterfallChart;
+    chart(value: WaterfallChart): WaterfallSmallMultiples;
+    on(event: "legendToggle", handler: ((item: LegendItem) => void) | null): WaterfallSmallMultiples;
+    on(event: string, handler: ((event: Event, data: ProcessedData, detail: FacetBarEventDetail) => void) | null): WaterfallSmallMultiples;
     (selection: d3.Selection<any, any, any, any>): void;
 }
 
@@ -190,13 +541,25 @@ export interface ChartConfig {
     totalLabel: string;
     totalColor: string;
     stacked: boolean;
+    orientation: Orientation;
     barPadding: number;
+    // Gap between series bars within a category, as a fraction of a series slot
+    seriesPadding: number;
+    // Colour of each series' subtotal and total bars, by series name; totalColor otherwise
+    seriesColors: Record<string, string>;
+    valueMode: ValueMode;
+    axisBreak: AxisBreakOptions;
+    xLabelLayout: XLabelLayout;
+    periodOptions: PeriodOptions;
+    connectorOptions: ConnectorOptions;
     duration: number;
     ease: (t: number) => number;
     formatNumber: (n: number) => string;
     theme: string | null;
     enableBrush: boolean;
     brushOptions: BrushOptions;
+    showLegend: boolean;
+    legendOptions: LegendOptions;
     staggeredAnimations: boolean;
     staggerDelay: number;
     scaleType: string;
@@ -220,12 +583,33 @@ export interface ChartConfig {
     enableZoom: boolean;
     zoomConfig: ZoomConfig;
     breakdownConfig: BreakdownConfig | null;
-    formattingRules: Map<string, any>;
+    formattingRules: Map<string, FormattingRule>;
     enablePerformanceOptimization: boolean;
     performanceDashboard: boolean;
+    // Bar count above which enablePerformanceOptimization switches rendering to canvas
     virtualizationThreshold: number;
+    showValueLabels: boolean;
+    valueLabelOptions: ValueLabelOptions;
+    annotations: Annotation[];
+    annotationOptions: AnnotationOptions;
+    // Follow the host element's size with a ResizeObserver
+    autoResize: boolean;
+    resizeDebounce: number;
+    breakpoints: Breakpoint[];
 }
 
+export const defaultSmallMultiplesConfig: SmallMultiplesConfig = {
+    facet: "facet",
+    columns: 3,
+    panelWidth: 320,
+    panelHeight: 320,
+    gap: 16,
+    sharedYDomain: true,
+    sharedCategories: true,
+    syncHover: true,
+    showLegend: false,
+};
+
 export const defaultConfig: ChartConfig = {
     width: 800,
     height: 400,
@@ -234,13 +618,23 @@ export const defaultConfig: ChartConfig = {
     totalLabel: "Total",
     totalColor: "#95A5A6",
     stacked: false,
+    orientation: "vertical",
     barPadding: 0.05,
+    seriesPadding: 0.1,
+    seriesColors: {},
+    valueMode: "absolute",
+    axisBreak: { enabled: false, size: 24 },
+    xLabelLayout: "auto",
+    periodOptions: { interval: "month", showGaps: true, gapLabel: "No data" },
+    connectorOptions: { style: "dashed", color: "#bdc3c7", width: 1, skipTotals: false, step: false, showLabels: false },
     duration: 750,
     ease: d3.easeQuadInOut,
     formatNumber: d3.format(".0f"),
     theme: null,
     enableBrush: false,
     brushOptions: {},
+    showLegend: false,
+    legendOptions: { position: "bottom" },
     staggeredAnimations: false,
     staggerDelay: 100,
     scaleType: "auto",
@@ -259,6 +653,11 @@ export const defaultConfig: ChartConfig = {
     milestoneConfig: {
         enabled: false,
         milestones: [],
+        bands: [],
+        targets: [],
+        targetLabel: "Target",
+        targetColor: "#2c3e50",
+        showTargetLabels: false,
     },
     showTrendLine: false,
     trendLineColor: "#e74c3c",
@@ -280,6 +679,13 @@ export const defaultConfig: ChartConfig = {
     enablePerformanceOptimization: false,
     performanceDashboard: false,
     virtualizationThreshold: 10000,
+    showValueLabels: true,
+    valueLabelOptions: { placement: "outside", content: "delta", fontSize: 14, fontFamily: "Arial, sans-serif", fontWeight: "bold" },
+    annotations: [],
+    annotationOptions: { editable: false, color: "#333", fontSize: 12 },
+    autoResize: false,
+    resizeDebounce: 100,
+    breakpoints: [],
 };
 
 export function getBarWidth(scale: any, barCount: number, totalWidth: number): number {
@@ -300,13 +706,52 @@ export function getBarPosition(scale: any, value: any, barWidth: number): number
     }
 }
 
+// Axis, label and tooltip format in the percentage value modes, where values are fractions
+export const percentFormat = d3.format(".1~%");
+
+/**
+ * Config for one render at the given size: every matching breakpoint's overrides are
+ * layered from the widest to the narrowest, so the tightest breakpoint wins. In the
+ * percentage value modes numbers are formatted with percentFormat unless formatNumber
+ * has been set.
+ */
+export function applyBreakpoints(config: ChartConfig, width: number, height: number): ChartConfig {
+    const overrides = config.breakpoints
+        .filter(bp => width <= (bp.maxWidth ?? Infinity) && height <= (bp.maxHeight ?? Infinity))
+        .sort((a, b) => (b.maxWidth ?? Infinity) - (a.maxWidth ?? Infinity) || (b.maxHeight ?? Infinity) - (a.maxHeight ?? Infinity))
+        .map(bp => bp.config);
+    const renderConfig: ChartConfig = Object.assign({}, config, ...overrides, { width, height });
+    if (renderConfig.valueMode !== "absolute" && renderConfig.formatNumber === defaultConfig.formatNumber) {
+        renderConfig.formatNumber = percentFormat;
+    }
+    return renderConfig;
+}
+
+// Space the brush strip takes from the category-axis margin, including a small gap
+export function getBrushStripSize(config: ChartConfig): number {
+    return config.enableBrush ? (config.brushOptions.size ?? 20) + 8 : 0;
+}
+
+// Space the legend takes from its margin: one row above or below the plot, or a column to its right
+export function getLegendSize(config: ChartConfig): number {
+    if (!config.showLegend) return 0;
+    return config.legendOptions.position === "right" ? 140 : 28;
+}
+
 export function calculateIntelligentMargins(
     processedData: ProcessedData[],
     baseMargin: MarginConfig,
     width: number,
     height: number,
-    formatNumber: (n: number) => string
+    formatNumber: (n: number) => string,
+    orientation: Orientation = "vertical",
+    // Room the x-axis labels need below the axis line, from getCategoryLabelLayout
+    categoryLabelHeight: number = 0
 ): MarginConfig {
+    if (orientation === "horizontal") {
+        return calculateHorizontalMargins(processedData, baseMargin, width, formatNumber);
+    }
+
     const allValues = processedData.flatMap(d => [d.cumulativeTotal, d.prevCumulativeTotal || 0]);
     const maxValue = d3.max(allValues) || 0;
     const minValue = d3.min(allValues) || 0;
@@ -368,7 +813,51 @@ export function calculateIntelligentMargins(
     return {
         top: initialTopMargin + extraTopMarginNeeded + safetyBuffer,
         right: minRightMargin,
-        bottom: baseMargin.bottom + extraBottomMargin + (hasNegativeValues ? safetyBuffer : 10),
+        bottom: Math.max(
+            baseMargin.bottom + extraBottomMargin + (hasNegativeValues ? safetyBuffer : 10),
+            categoryLabelHeight + labelPadding
+        ),
         left: baseMargin.left,
     };
 }
+
+
+// In horizontal orientation category labels sit on the left axis and value labels
+// trail the bar ends, so the left and right margins grow instead of the top one.
+function calculateHorizontalMargins(
+    processedData: ProcessedData[],
+    baseMargin: MarginConfig,
+    width: number,
+    formatNumber: (n: number) => string
+): MarginConfig {
+    const allValues = processedData.flatMap(d => [d.cumulativeTotal, d.prevCumulativeTotal || 0]);
+    const maxValue = d3.max(allValues) || 0;
+    const minValue = d3.min(allValues) || 0;
+
+    const charWidth = 7;
+    const labelCharWidth = 9;
+    const labelPadding = 8;
+    const tickPadding = 16;
+    const safetyBuffer = 20;
+
+    const maxCategoryLength = Math.max(0, ...processedData.map(d => d.label.length));
+    const left = Math.max(baseMargin.left, maxCategoryLength * charWidth + tickPadding);
+
+    const tempXScale = d3.scaleLinear()
+        .domain([Math.min(0, minValue), maxValue * 1.02])
+        .range([left, width - baseMargin.right])
+        .nice();
+
+    const labelEnds = processedData.map(d =>
+        tempXScale(d.cumulativeTotal) + labelPadding + formatNumber(d.barTotal).length * labelCharWidth
+    );
+    const rightmostLabelEnd = Math.max(width - baseMargin.right, ...labelEnds);
+    const extraRightMarginNeeded = rightmostLabelEnd - (width - baseMargin.right);
+
+    return {
+        top: baseMargin.top,
+        right: baseMargin.right + extraRightMarginNeeded + (extraRightMarginNeeded > 0 ? safetyBuffer : 0),
+        bottom: baseMargin.bottom,
+        left,
+    };
+}
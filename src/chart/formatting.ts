@@ -0,0 +1,114 @@
+// MintWaterfall Chart Formatting — conditional styling rules
+import { FormattingCondition, FormattingRule, FormattingStyle, ProcessedData, StackData } from "./config.js";
+
+const PATTERN_SIZE = 6;
+
+function fieldValue(subject: any, path: string): any {
+    return path.split(".").reduce((current, key) => current?.[key], subject);
+}
+
+export function matchesCondition(condition: FormattingCondition, subject: any): boolean {
+    if ("all" in condition) return condition.all.every(c => matchesCondition(c, subject));
+    if ("any" in condition) return condition.any.some(c => matchesCondition(c, subject));
+    if ("not" in condition) return !matchesCondition(condition.not, subject);
+
+    const actual = fieldValue(subject, condition.field);
+    switch (condition.op) {
+        case "<": return actual < condition.value;
+        case "<=": return actual <= condition.value;
+        case ">": return actual > condition.value;
+        case ">=": return actual >= condition.value;
+        case "==": return actual === condition.value;
+        case "!=": return actual !== condition.value;
+        case "in": return Array.isArray(condition.value) && condition.value.includes(actual);
+        default: return false;
+    }
+}
+
+// Rules loaded from JSON are checked before they reach the renderer
+export function isValidFormattingRule(rule: any): rule is FormattingRule {
+    return !!rule && typeof rule === "object" &&
+        (typeof rule.when === "function" || (!!rule.when && typeof rule.when === "object")) &&
+        !!rule.style && typeof rule.style === "object";
+}
+
+/**
+ * Merged style of every rule matching the bar (or one of its stacks), applied in
+ * ascending priority so higher-priority rules win per property.
+ */
+export function resolveFormatting(rules: Iterable<FormattingRule>, d: ProcessedData, stack?: StackData): FormattingStyle {
+    const subject = stack ? { ...d, stack } : d;
+    return Array.from(rules)
+        .map((rule, order) => ({ rule, order }))
+        .sort((a, b) => (a.rule.priority ?? 0) - (b.rule.priority ?? 0) || a.order - b.order)
+        .filter(({ rule }) => typeof rule.when === "function"
+            ? rule.when(d, stack)
+            : matchesCondition(rule.when, subject))
+        .reduce((style, { rule }) => ({ ...style, ...rule.style }), {} as FormattingStyle);
+}
+
+export interface PatternSpec {
+    id: string;
+    // Tile width and height in user-space pixels
+    size: number;
+    // Tiles of the pattern, as SVG element names and attributes
+    shapes: Array<{ tag: "rect" | "circle" | "path"; attrs: Record<string, string> }>;
+}
+
+/**
+ * Pattern tile for a formatted shape: the rule's pattern drawn over `color`, or null when
+ * the style has no pattern. The id is derived from pattern and colours, so it is shared.
+ */
+export function getPatternSpec(style: FormattingStyle, color: string): PatternSpec | null {
+    if (!style.pattern) return null;
+
+    const ink = style.stroke || "rgba(0, 0, 0, 0.35)";
+    const size = String(PATTERN_SIZE);
+    const shapes: PatternSpec["shapes"] = [{ tag: "rect", attrs: { width: size, height: size, fill: color } }];
+    if (style.pattern === "dots") {
+        shapes.push({ tag: "circle", attrs: { cx: String(PATTERN_SIZE / 2), cy: String(PATTERN_SIZE / 2), r: "1.2", fill: ink } });
+    } else {
+        const strokes = style.pattern === "crosshatch"
+            ? [`M0,${PATTERN_SIZE} L${PATTERN_SIZE},0`, `M0,0 L${PATTERN_SIZE},${PATTERN_SIZE}`]
+            : [`M0,${PATTERN_SIZE} L${PATTERN_SIZE},0`];
+        strokes.forEach(d => shapes.push({ tag: "path", attrs: { d, stroke: ink, "stroke-width": "1" } }));
+    }
+
+    return {
+        id: `mintwaterfall-pattern-${style.pattern}-${`${color}-${ink}`.replace(/[^a-z0-9-]/gi, "")}`,
+        size: PATTERN_SIZE,
+        shapes
+    };
+}
+
+/**
+ * Fill for a formatted shape: the pattern from getPatternSpec, registered once in
+ * the chart's <defs>, or null when the style has no pattern.
+ */
+export function patternFill(element: SVGElement, style: FormattingStyle, color: string): string | null {
+    const svg = element.ownerSVGElement;
+    const spec = getPatternSpec(style, color);
+    if (!spec || !svg) return null;
+    if (svg.querySelector(`#${spec.id}`)) return `url(#${spec.id})`;
+
+    const ns = "http://www.w3.org/2000/svg";
+    let defs = svg.querySelector("defs.waterfall-defs");
+    if (!defs) {
+        defs = svg.insertBefore(document.createElementNS(ns, "defs"), svg.firstChild);
+        defs.setAttribute("class", "waterfall-defs");
+    }
+
+    const pattern = document.createElementNS(ns, "pattern");
+    pattern.setAttribute("id", spec.id);
+    pattern.setAttribute("patternUnits", "userSpaceOnUse");
+    pattern.setAttribute("width", String(spec.size));
+    pattern.setAttribute("height", String(spec.size));
+    spec.shapes.forEach(shape => {
+        const node = document.createElementNS(ns, shape.tag);
+        Object.entries(shape.attrs).forEach(([name, value]) => node.setAttribute(name, value));
+        pattern.appendChild(node);
+    });
+
+    defs.appendChild(pattern);
+    return `url(#${spec.id})`;
+}
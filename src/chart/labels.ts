@@ -0,0 +1,191 @@
+// MintWaterfall Chart Labels — value label text, placement and collision avoidance
+import { ChartConfig, ProcessedData, BarGeometry, FormattingStyle, ValueLabelOptions, defaultConfig, percentFormat } from "./config.js";
+
+// A bar as the label layout sees it: its pixel bounds, fill and formatting style
+export interface LabelledBar {
+    d: ProcessedData;
+    geometry: BarGeometry;
+    fill: string;
+    style: FormattingStyle;
+}
+
+export interface ValueLabel {
+    d: ProcessedData;
+    text: string;
+    // Text anchor point in SVG coordinates; y is the baseline
+    x: number;
+    y: number;
+    anchor: "start" | "middle" | "end";
+    inside: boolean;
+    color: string;
+    fontSize: number;
+    fontFamily: string;
+    fontWeight: string | number;
+}
+
+interface Box {
+    x0: number;
+    y0: number;
+    x1: number;
+    y1: number;
+}
+
+// One possible position for a label, with its estimated bounds and whether it fits inside the bar
+interface Candidate {
+    x: number;
+    y: number;
+    anchor: ValueLabel["anchor"];
+    inside: boolean;
+    box: Box;
+    fits: boolean;
+}
+
+const PADDING = 8;
+// Labels are laid out before anything is measured (and on the server), so widths are estimated
+const CHAR_WIDTH = 0.6;
+// Kept labels checked for overlap with each new one; bars are laid out in category order
+const NEIGHBOURS = 4;
+
+function resolveOptions(config: ChartConfig): Required<ValueLabelOptions> {
+    return { ...defaultConfig.valueLabelOptions, ...config.valueLabelOptions } as Required<ValueLabelOptions>;
+}
+
+/**
+ * Label text for a bar in the configured content mode. Built-in modes leave bars with
+ * no change unlabeled; deltaPercent adds the change as a share of the previous total.
+ */
+export function getValueLabelText(d: ProcessedData, config: ChartConfig): string {
+    const { content } = resolveOptions(config);
+    if (typeof content === "function") return content(d);
+    if (d.barTotal === 0) return "";
+    if (content === "runningTotal") return config.formatNumber(d.cumulativeTotal);
+
+    const delta = config.formatNumber(d.barTotal);
+    const previous = d.prevCumulativeTotal || 0;
+    if (content !== "deltaPercent" || d.isTotal || previous === 0) return delta;
+    const change = d.barTotal / Math.abs(previous);
+    return `${delta} (${change > 0 ? "+" : ""}${percentFormat(change)})`;
+}
+
+function parseColor(color: string): [number, number, number] | null {
+    const hex = color.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, c => c + c) : hex[1];
+        return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16)) as [number, number, number];
+    }
+    const rgb = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+    return rgb ? [+rgb[1], +rgb[2], +rgb[3]] : null;
+}
+
+/**
+ * Dark or light text, whichever reads better on `fill` by WCAG relative luminance.
+ * Fills that are not hex or rgb() colours, such as pattern urls, get dark text.
+ */
+export function getContrastingTextColor(fill: string): string {
+    const rgb = parseColor(fill);
+    if (!rgb) return "#333";
+    const [r, g, b] = rgb.map(channel => {
+        const c = channel / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    // Contrast against #fff beats contrast against #333 below this luminance
+    return luminance < 0.18 ? "#fff" : "#333";
+}
+
+// End of the bar that carries the label: the running total, or zero-to-total for totals
+function risesFromBase(d: ProcessedData): boolean {
+    return d.isTotal ? d.cumulativeTotal >= 0 : d.barTotal >= 0;
+}
+
+function candidate(bar: LabelledBar, text: string, inside: boolean, horizontal: boolean, options: Required<ValueLabelOptions>): Candidate {
+    const { geometry: g } = bar;
+    const size = options.fontSize;
+    const width = text.length * size * CHAR_WIDTH;
+    const rises = risesFromBase(bar.d);
+    // Outside labels continue past the bar's end; inside ones step back into the bar
+    const outward = inside ? -1 : 1;
+
+    if (horizontal) {
+        const end = rises ? g.x + g.width : g.x;
+        const direction = (rises ? 1 : -1) * outward;
+        const x = end + direction * PADDING;
+        const anchor = direction > 0 ? "start" : "end";
+        const y = g.y + g.height / 2 + size * 0.35;
+        const x0 = anchor === "start" ? x : x - width;
+        return {
+            x, y, anchor, inside,
+            box: { x0, x1: x0 + width, y0: y - size * 0.8, y1: y + size * 0.2 },
+            fits: width + 2 * PADDING <= g.width && size <= g.height,
+        };
+    }
+
+    const end = rises ? g.y : g.y + g.height;
+    // Screen y grows downwards, so a label above the end has the smaller y
+    const up = (rises ? 1 : -1) * outward > 0;
+    const y = up ? end - PADDING : end + PADDING + size * 0.8;
+    const x = g.x + g.width / 2;
+    return {
+        x, y, anchor: "middle", inside,
+        box: { x0: x - width / 2, x1: x + width / 2, y0: y - size * 0.8, y1: y + size * 0.2 },
+        fits: size + 2 * PADDING <= g.height && width <= g.width - 2,
+    };
+}
+
+function overlaps(a: Box, b: Box): boolean {
+    return a.x0 < b.x1 && b.x0 < a.x1 && a.y0 < b.y1 && b.y0 < a.y1;
+}
+
+function boxOf(geometry: BarGeometry): Box {
+    return { x0: geometry.x, y0: geometry.y, x1: geometry.x + geometry.width, y1: geometry.y + geometry.height };
+}
+
+/**
+ * Value labels for bars given in category order, placed by valueLabelOptions.placement.
+ * Every bar with a change is labelled, except inside labels that don't fit their bar. Under
+ * "auto" a label that would overlap a neighbouring label or bar tries the other side of the
+ * bar end and is otherwise dropped. Inside labels take a text colour that contrasts with the
+ * bar fill; a formatting rule's labelColor and fontWeight win over the defaults.
+ */
+export function getValueLabels(bars: LabelledBar[], config: ChartConfig): ValueLabel[] {
+    const options = resolveOptions(config);
+    if (!config.showValueLabels || options.placement === "none") return [];
+    const horizontal = config.orientation === "horizontal";
+
+    const kept: Array<{ label: ValueLabel; box: Box }> = [];
+    bars.forEach((bar, i) => {
+        const text = getValueLabelText(bar.d, config);
+        if (!text) return;
+
+        const inside = candidate(bar, text, true, horizontal, options);
+        const outside = candidate(bar, text, false, horizontal, options);
+        const tries = options.placement === "inside" ? [inside].filter(c => c.fits)
+            : options.placement === "auto" ? [inside, outside].filter(c => c === outside || c.fits)
+                : [outside];
+
+        // Only auto placement gives way to neighbours; the fixed placements label every bar
+        const obstacles = options.placement === "auto" ? [
+            ...kept.slice(-NEIGHBOURS).map(k => k.box),
+            ...[bars[i - 1], bars[i + 1]].filter(Boolean).map(neighbour => boxOf(neighbour.geometry)),
+        ] : [];
+        const placed = tries.find(c => !obstacles.some(box => overlaps(c.box, box)));
+        if (!placed) return;
+
+        kept.push({
+            box: placed.box,
+            label: {
+                d: bar.d,
+                text,
+                x: placed.x,
+                y: placed.y,
+                anchor: placed.anchor,
+                inside: placed.inside,
+                color: bar.style.labelColor || (placed.inside ? getContrastingTextColor(bar.fill) : "#333"),
+                fontSize: options.fontSize,
+                fontFamily: options.fontFamily,
+                fontWeight: bar.style.fontWeight ?? options.fontWeight,
+            },
+        });
+    });
+    return kept.map(k => k.label);
+}
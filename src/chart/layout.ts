@@ -0,0 +1,192 @@
+// MintWaterfall Chart Layout — margins, scales and plot area for one render
+import * as d3 from "d3";
+import {
+    ChartConfig, ProcessedData, MarginConfig, BarGeometry, calculateIntelligentMargins, getBrushStripSize, getLegendSize,
+} from "./config.js";
+import { CategoryLabelLayout, LINE_HEIGHT, getCategoryLabelLayout } from "./axis.js";
+import { createPeriodScale, getPeriods, resolvePeriodOptions } from "./periods.js";
+import { createScaleSystem, ScaleFactory } from "../scales.js";
+import { getVisibleCategories } from "../zoom.js";
+
+export interface ChartLayout {
+    margins: MarginConfig;
+    // Bars left on screen after semantic zoom; all bars when zoom is off
+    visibleData: ProcessedData[];
+    // Always the category scale, whatever the orientation
+    xScale: any;
+    // Always the value scale
+    yScale: any;
+    categoryRange: [number, number];
+    // x-axis labels fitted to their bands; null when categories aren't on a band scale along the bottom
+    categoryLabels: CategoryLabelLayout | null;
+    // Where the value axis' compressed stretch from zero ends, or null when the axis is continuous
+    valueBreak: number | null;
+    // Area bars are clipped to, with headroom above for value labels in vertical charts
+    plotClip: BarGeometry;
+}
+
+// What a set of panels lines up on: one category order, and the value domain and margins
+// sized over every panel's bars rather than each panel's own
+export interface SharedScales {
+    categories?: string[];
+    valueData?: ProcessedData[];
+}
+
+/**
+ * Value the axis break compresses up to: the configured value, or a round number below the
+ * smallest running total when that leaves less than half the axis for the changes. Null when
+ * the break is off, would not help, or the data goes below zero, which is logged when a
+ * value was given.
+ */
+function getValueBreak(processedData: ProcessedData[], config: ChartConfig, max: number, min: number): number | null {
+    if (!config.axisBreak.enabled || processedData.length === 0) return null;
+    const { value } = config.axisBreak;
+    if (min < 0) {
+        if (value !== undefined) console.warn(`MintWaterfall: axisBreak.value ${value} needs data that stays at or above zero; showing a continuous axis.`);
+        return null;
+    }
+    if (value !== undefined) return value > 0 && value < max ? value : null;
+
+    const lowest = d3.min(processedData, d => d.cumulativeTotal)!;
+    if (lowest <= 0 || lowest < (max - lowest)) return null;
+    // Leave the lowest level some room above the break, then round down to a tick
+    const [start] = d3.scaleLinear().domain([lowest - (max - lowest) * 0.2, max]).nice().domain();
+    return start > 0 ? start : null;
+}
+
+// Middle of a category along the category axis, NaN when the scale doesn't place it
+export function getCategoryCentre(scale: any, label: string): number {
+    if (scale.period) {
+        const period = scale.period(label);
+        return period ? (scale(period.start) + scale(period.end)) / 2 : NaN;
+    }
+    const position = scale(label);
+    return position === undefined ? NaN : position + (scale.bandwidth ? scale.bandwidth() / 2 : 0);
+}
+
+export function computeLayout(
+    processedData: ProcessedData[],
+    config: ChartConfig,
+    zoomTransform: { k: number; x: number; y: number } = { k: 1, x: 0, y: 0 },
+    scaleSystem: ScaleFactory = createScaleSystem(),
+    shared: SharedScales = {}
+): ChartLayout {
+    const { width, height } = config;
+    const domainData = shared.valueData ?? processedData;
+    const margins = calculateIntelligentMargins(
+        domainData, config.margin, width, height, config.formatNumber, config.orientation
+    );
+    // What the axis itself gets below the plot, before the brush strip and legend are added
+    const intelligentBottom = margins.bottom;
+
+    const horizontal = config.orientation === "horizontal";
+    if (horizontal) {
+        margins.left += getBrushStripSize(config);
+    } else {
+        margins.bottom += getBrushStripSize(config);
+    }
+    const legendPosition = config.legendOptions.position ?? "bottom";
+    margins[legendPosition] += getLegendSize(config);
+    const categoryRange: [number, number] = horizontal
+        ? [margins.top, height - margins.bottom]
+        : [margins.left, width - margins.right];
+
+    // Category scale over `data`, laid out along the category range
+    const createCategoryScale = (categoryLabels: string[], data: ProcessedData[]): any => {
+        let scale: any;
+        if (config.scaleType === "auto") {
+            scale = scaleSystem.createAdaptiveScale(categoryLabels.map(label => ({ label })), "x");
+            if (scale.padding) scale.padding(config.barPadding);
+        } else if (config.scaleType === "time") {
+            // Each category spans its calendar period; with no dated bar none can be placed
+            scale = createPeriodScale(getPeriods(data, resolvePeriodOptions(config).interval));
+        } else if (config.scaleType === "ordinal") {
+            scale = scaleSystem.createOrdinalScale(categoryLabels);
+        } else {
+            scale = d3.scaleBand()
+                .domain(categoryLabels)
+                .padding(config.barPadding);
+        }
+        return scale.range(categoryRange);
+    };
+
+    // Semantic zoom lays out only the categories left on screen, each at full band width.
+    // Series share their category's band, so zoom and the category scale work on labels.
+    // What's on screen is read off the unzoomed scale, where periods differ in length.
+    const labels = shared.categories ?? Array.from(new Set(processedData.map(d => d.label)));
+    let visibleLabels: Set<string> | null = null;
+    if (config.enableZoom) {
+        const unzoomed = createCategoryScale(labels, processedData);
+        const centres = labels.map(label => getCategoryCentre(unzoomed, label));
+        visibleLabels = new Set(getVisibleCategories(labels, zoomTransform, categoryRange, horizontal ? "y" : "x", centres));
+    }
+    let visibleData = visibleLabels ? processedData.filter(d => visibleLabels!.has(d.label)) : processedData;
+    // One label per category, in category order
+    const categories = visibleLabels ? labels.filter(label => visibleLabels!.has(label)) : labels;
+
+    const xScale = createCategoryScale(categories, visibleData);
+    // Bars a period scale can't place are left out. Its ticks are thinned to fit their labels,
+    // which stack a line apart along a left axis
+    if (xScale.period) {
+        visibleData = visibleData.filter(d => xScale.period(d.label));
+        if (horizontal) xScale.tickLabelSize(LINE_HEIGHT);
+    }
+    scaleSystem.setDefaultRange(categoryRange);
+
+    const categoryLabels: CategoryLabelLayout | null = !horizontal && xScale.bandwidth
+        ? getCategoryLabelLayout(
+            categories, xScale.step ? xScale.step() : xScale.bandwidth(), config.xLabelLayout
+        )
+        : null;
+    if (categoryLabels) {
+        // Only the bottom margin depends on the labels, so the category range above still holds
+        const fitted = calculateIntelligentMargins(
+            domainData, config.margin, width, height, config.formatNumber, config.orientation, categoryLabels.height
+        );
+        margins.bottom += fitted.bottom - intelligentBottom;
+    }
+    const valueRange: [number, number] = horizontal
+        ? [margins.left, width - margins.right]
+        : [height - margins.bottom, margins.top];
+
+    const labelSpace = 30;
+    const plotClip: BarGeometry = horizontal ? {
+        x: margins.left,
+        y: margins.top,
+        width: width - margins.left,
+        height: height - margins.top - margins.bottom,
+    } : {
+        x: margins.left,
+        y: Math.max(0, margins.top - labelSpace),
+        width: width - margins.left - margins.right,
+        height: height - margins.top - margins.bottom + labelSpace,
+    };
+
+    // Every bar's baseline belongs in the domain, including the zero that totals rise from
+    const yValues = domainData.flatMap(d => [d.isTotal ? 0 : d.prevCumulativeTotal || 0, d.cumulativeTotal]);
+    const [min, max] = d3.extent(yValues) as [number, number];
+    const valueBreak = getValueBreak(domainData, config, max, min);
+    let yScale: any;
+    if (valueBreak !== null) {
+        // Zero to the break is squeezed into axisBreak.size pixels; the rest spreads over the axis
+        const top = d3.scaleLinear().domain([valueBreak, max]).nice().domain()[1];
+        const direction = Math.sign(valueRange[1] - valueRange[0]);
+        yScale = d3.scaleLinear()
+            .domain([0, valueBreak, top])
+            .range([valueRange[0], valueRange[0] + direction * (config.axisBreak.size ?? 24), valueRange[1]]);
+        // Ticks inside the compressed stretch would pile up, so only zero is kept there
+        yScale.ticks = (count: number = 10) => [0, ...d3.ticks(valueBreak, top, count)];
+    } else if (min < 0) {
+        const padding = (max - min) * 0.05;
+        yScale = d3.scaleLinear()
+            .domain([min - padding, max + padding])
+            .range(valueRange);
+    } else {
+        yScale = scaleSystem.createLinearScale(yValues, {
+            range: valueRange,
+            nice: true,
+        });
+    }
+
+    return { margins, visibleData, xScale, yScale, categoryRange, categoryLabels, valueBreak, plotClip };
+}
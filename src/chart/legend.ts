@@ -0,0 +1,237 @@
+// MintWaterfall Chart Legend — stack, series and colour-scale keys with toggling
+import { ChartConfig, ChartData, ProcessedData, MarginConfig, LegendItem, getBrushStripSize, getLegendSize } from "./config.js";
+import { getSeriesNames } from "./lifecycle.js";
+import { getTargetColor } from "./render.js";
+import { createSequentialScale, createDivergingScale, getConditionalColor, ThemeCollection } from "../themes.js";
+
+export interface LegendGradient {
+    domain: [number, number];
+    stops: Array<{ offset: number; color: string }>;
+}
+
+// The gradient key is a row of min label, colour bar and max label; x values are relative to its group
+export interface LegendGradientLayout {
+    x: number;
+    y: number;
+    width: number;
+    barX: number;
+    barWidth: number;
+    minLabel: string;
+    maxLabel: string;
+}
+
+export interface LegendLayout {
+    items: Array<LegendItem & { x: number; y: number }>;
+    gradient: LegendGradientLayout | null;
+}
+
+export const LEGEND_SWATCH_SIZE = 12;
+const ROW_HEIGHT = 20;
+const ITEM_GAP = 16;
+const GRADIENT_WIDTH = 120;
+const GRADIENT_STOPS = 10;
+
+// Rough label width; layout runs before anything is measured and on the server
+function textWidth(text: string): number {
+    return text.length * 7;
+}
+
+function themeOf(config: ChartConfig): keyof ThemeCollection {
+    return (config.advancedColorConfig.themeName as keyof ThemeCollection) || "default";
+}
+
+// Advanced colours replace bar colours only on non-stacked bars
+function advancedColorMode(config: ChartConfig): ChartConfig["colorMode"] | null {
+    return !config.stacked && config.advancedColorConfig.enabled ? config.colorMode : null;
+}
+
+/**
+ * Legend entries for the data: one per series when it has series, otherwise one per
+ * stack label, in order of first appearance. Labeled reference bands and bar targets get
+ * an entry each, and conditional colour mode adds increase, decrease and total entries
+ * explaining the bar colours.
+ */
+export function getLegendItems(data: ChartData[], config: ChartConfig, hidden: ReadonlySet<string> = new Set()): LegendItem[] {
+    const seriesNames = getSeriesNames(data);
+    const items: LegendItem[] = [];
+
+    if (seriesNames.length > 0) {
+        seriesNames.forEach(name => {
+            const firstStack = data.flatMap(item => item.series || []).find(entry => entry.name === name && entry.stacks?.length)?.stacks?.[0];
+            const color = config.seriesColors[name] || firstStack?.color || config.totalColor;
+            items.push({ id: name, label: name, color, kind: "series", hidden: hidden.has(name) });
+        });
+    } else {
+        const stackColors = new Map<string, string>();
+        data.forEach(item => (item.stacks || []).forEach(stack => {
+            if (stack.label && !stackColors.has(stack.label)) stackColors.set(stack.label, stack.color);
+        }));
+        stackColors.forEach((color, label) => items.push({ id: label, label, color, kind: "stack", hidden: hidden.has(label) }));
+    }
+
+    if (config.milestoneConfig.enabled) {
+        (config.milestoneConfig.bands || []).filter(band => band.label).forEach(band => {
+            items.push({ id: `band:${band.label}`, label: band.label!, color: band.color || "#3498db", kind: "reference", hidden: false });
+        });
+        if (config.milestoneConfig.targets?.length) {
+            const label = config.milestoneConfig.targetLabel || "Target";
+            items.push({ id: "target", label, color: getTargetColor(config), kind: "reference", hidden: false });
+        }
+    }
+
+    if (advancedColorMode(config) === "conditional") {
+        const theme = themeOf(config);
+        items.push(
+            { id: "increase", label: "Increase", color: getConditionalColor(1, theme), kind: "semantic", hidden: false },
+            { id: "decrease", label: "Decrease", color: getConditionalColor(-1, theme), kind: "semantic", hidden: false },
+            { id: "total", label: "Total", color: config.totalColor, kind: "semantic", hidden: false },
+        );
+    }
+    return items;
+}
+
+/**
+ * Colour ramp for sequential and diverging colour modes, sampled from the same scale
+ * and domain getAdvancedBarColor colours the bars with; null in other modes.
+ */
+export function getLegendGradient(processedData: ProcessedData[], config: ChartConfig): LegendGradient | null {
+    const mode = advancedColorMode(config);
+    if ((mode !== "sequential" && mode !== "diverging") || processedData.length === 0) return null;
+
+    const values = processedData.map(d => d.barTotal || 0);
+    let domain: [number, number];
+    let scale: (value: number) => string;
+    if (mode === "sequential") {
+        domain = [Math.min(...values), Math.max(...values)];
+        scale = createSequentialScale(domain, themeOf(config));
+    } else {
+        const maxAbs = Math.max(...values.map(Math.abs));
+        domain = [-maxAbs, maxAbs];
+        scale = createDivergingScale([-maxAbs, 0, maxAbs], themeOf(config));
+    }
+
+    const stops = Array.from({ length: GRADIENT_STOPS + 1 }, (_, i) => {
+        const offset = i / GRADIENT_STOPS;
+        return { offset, color: scale(domain[0] + offset * (domain[1] - domain[0])) };
+    });
+    return { domain, stops };
+}
+
+/**
+ * Positions of the legend entries and gradient: a row in the top or bottom margin
+ * (above the brush strip), or a column in the right margin.
+ */
+export function getLegendLayout(items: LegendItem[], gradient: LegendGradient | null, config: ChartConfig, margins: MarginConfig): LegendLayout {
+    const position = config.legendOptions.position ?? "bottom";
+    const gradientAt = (x: number, y: number, width: number): LegendGradientLayout | null => {
+        if (!gradient) return null;
+        const [minLabel, maxLabel] = gradient.domain.map(config.formatNumber);
+        const barX = textWidth(minLabel) + 4;
+        return { x, y, width, barX, barWidth: Math.max(20, width - barX - textWidth(maxLabel) - 4), minLabel, maxLabel };
+    };
+
+    if (position === "right") {
+        const x = config.width - getLegendSize(config) + ITEM_GAP / 2;
+        const placed = items.map((item, i) => ({ ...item, x, y: margins.top + i * ROW_HEIGHT }));
+        return { items: placed, gradient: gradientAt(x, margins.top + items.length * ROW_HEIGHT, getLegendSize(config) - ITEM_GAP) };
+    }
+
+    const bottomOffset = config.orientation === "horizontal" ? 0 : getBrushStripSize(config);
+    const y = position === "top" ? 8 : config.height - bottomOffset - ROW_HEIGHT;
+    let x = margins.left;
+    const placed = items.map(item => {
+        const entry = { ...item, x, y };
+        x += LEGEND_SWATCH_SIZE + 6 + textWidth(item.label) + ITEM_GAP;
+        return entry;
+    });
+    return { items: placed, gradient: gradientAt(x, y, GRADIENT_WIDTH) };
+}
+
+/**
+ * Draw (or update) the legend in `container`, with its gradient registered in `defs` under
+ * `gradientId`. Clicking a stack or series entry, or pressing Enter or Space on it, calls
+ * onToggle; the chart then hides or shows that stack or series and redraws.
+ */
+export function drawLegend(
+    container: any,
+    defs: any,
+    gradientId: string,
+    items: LegendItem[],
+    gradient: LegendGradient | null,
+    config: ChartConfig,
+    margins: MarginConfig,
+    onToggle: (item: LegendItem) => void
+): void {
+    if (!config.showLegend || (items.length === 0 && !gradient)) {
+        container.selectAll(".legend-group").remove();
+        defs.select(`#${gradientId}`).remove();
+        return;
+    }
+
+    const layout = getLegendLayout(items, gradient, config, margins);
+    let legend = container.select(".legend-group");
+    if (legend.empty()) legend = container.append("g").attr("class", "legend-group");
+
+    const entries = legend.selectAll(".legend-item").data(layout.items, (d: LegendItem) => `${d.kind}:${d.id}`);
+    entries.exit().remove();
+    const entriesEnter = entries.enter().append("g").attr("class", "legend-item");
+    entriesEnter.append("rect")
+        .attr("class", "legend-swatch")
+        .attr("width", LEGEND_SWATCH_SIZE)
+        .attr("height", LEGEND_SWATCH_SIZE)
+        .attr("rx", 2);
+    entriesEnter.append("text")
+        .attr("class", "legend-label")
+        .attr("x", LEGEND_SWATCH_SIZE + 6)
+        .attr("y", LEGEND_SWATCH_SIZE - 2)
+        .style("font-family", "Arial, sans-serif")
+        .style("font-size", "12px")
+        .attr("fill", "#333");
+
+    const toggles = (d: LegendItem) => d.kind === "stack" || d.kind === "series";
+    const entriesUpdate = entriesEnter.merge(entries)
+        .attr("transform", (d: any) => `translate(${d.x}, ${d.y})`)
+        .classed("hidden", (d: LegendItem) => d.hidden)
+        .style("opacity", (d: LegendItem) => d.hidden ? 0.4 : null)
+        .style("cursor", (d: LegendItem) => toggles(d) ? "pointer" : null)
+        .attr("tabindex", (d: LegendItem) => toggles(d) ? 0 : null)
+        .attr("role", (d: LegendItem) => toggles(d) ? "button" : null)
+        .attr("aria-pressed", (d: LegendItem) => toggles(d) ? String(!d.hidden) : null)
+        .on("click.legend", (_event: MouseEvent, d: LegendItem) => {
+            if (toggles(d)) onToggle(d);
+        })
+        .on("keydown.legend", (event: KeyboardEvent, d: LegendItem) => {
+            if (!toggles(d) || (event.key !== "Enter" && event.key !== " ")) return;
+            event.preventDefault();
+            onToggle(d);
+        });
+    entriesUpdate.select(".legend-swatch").attr("fill", (d: LegendItem) => d.color);
+    entriesUpdate.select(".legend-label")
+        .style("text-decoration", (d: LegendItem) => d.hidden ? "line-through" : null)
+        .text((d: LegendItem) => d.label);
+
+    legend.selectAll(".legend-gradient").remove();
+    defs.select(`#${gradientId}`).remove();
+    if (gradient && layout.gradient) {
+        const linear = defs.append("linearGradient").attr("id", gradientId);
+        gradient.stops.forEach(stop => {
+            linear.append("stop").attr("offset", `${stop.offset * 100}%`).attr("stop-color", stop.color);
+        });
+
+        const { x, y, width, barX, barWidth, minLabel, maxLabel } = layout.gradient;
+        const scale = legend.append("g").attr("class", "legend-gradient").attr("transform", `translate(${x}, ${y})`);
+        scale.append("text").attr("y", LEGEND_SWATCH_SIZE - 2).style("font-size", "10px").attr("fill", "#333").text(minLabel);
+        scale.append("rect")
+            .attr("x", barX)
+            .attr("width", barWidth)
+            .attr("height", LEGEND_SWATCH_SIZE)
+            .attr("fill", `url(#${gradientId})`);
+        scale.append("text")
+            .attr("x", width)
+            .attr("y", LEGEND_SWATCH_SIZE - 2)
+            .attr("text-anchor", "end")
+            .style("font-size", "10px")
+            .attr("fill", "#333")
+            .text(maxLabel);
+    }
+}
@@ -1,21 +1,138 @@
 // MintWaterfall Chart Lifecycle — data preparation
-import { ChartConfig, ProcessedData, ChartData } from "./config.js";
+import { ChartConfig, ProcessedData, ChartData, BreakdownConfig } from "./config.js";
 
-export function prepareData(
+function stackTotal(item: ChartData): number {
+    return (item.stacks || []).reduce((sum, stack) => sum + stack.value, 0);
+}
+
+// Sorted, size-limited sub-bars for one parent, with the remainder folded into an others bucket
+function breakdownGroups(parent: ChartData, items: ChartData[], breakdown: BreakdownConfig): ChartData[] {
+    const sorted = [...items];
+    switch (breakdown.sortStrategy) {
+        case "value":
+            sorted.sort((a, b) => stackTotal(b) - stackTotal(a));
+            break;
+        case "absolute":
+            sorted.sort((a, b) => Math.abs(stackTotal(b)) - Math.abs(stackTotal(a)));
+            break;
+        case "label":
+            sorted.sort((a, b) => a.label.localeCompare(b.label));
+            break;
+    }
+
+    const minGroupSize = breakdown.minGroupSize ?? 0;
+    const maxGroups = breakdown.maxGroups ?? Infinity;
+    const groups: ChartData[] = [];
+    const remainder: ChartData[] = [];
+    sorted.forEach(item => {
+        if (groups.length < maxGroups && Math.abs(stackTotal(item)) >= minGroupSize) {
+            groups.push(item);
+        } else {
+            remainder.push(item);
+        }
+    });
+
+    if (remainder.length > 0 && breakdown.showOthers !== false) {
+        groups.push({
+            // Suffixed with the parent so several expanded bars keep distinct band keys
+            label: `${breakdown.othersLabel || "Others"} (${parent.label})`,
+            stacks: [{
+                value: remainder.reduce((sum, item) => sum + stackTotal(item), 0),
+                color: remainder[0].stacks?.[0]?.color || parent.stacks?.[0]?.color || "#95A5A6",
+            }],
+            isOthers: true,
+        });
+    }
+    return groups;
+}
+
+/**
+ * Replace each delta bar that has sub-items with adjacent sub-bars, recursing up to
+ * breakdownConfig.levels deep. Bars whose label is in `collapsed` stay whole and are
+ * flagged with hasBreakdown so they can be expanded again.
+ */
+export function expandBreakdowns(
     data: ChartData[],
-    config: ChartConfig
-): ProcessedData[] {
-    let workingData = [...data];
+    breakdown: BreakdownConfig,
+    collapsed: ReadonlySet<string> = new Set(),
+    level: number = 0
+): ChartData[] {
+    const field = breakdown.field || "breakdown";
+    return data.flatMap(bar => {
+        const items = (bar as Record<string, any>)[field] as ChartData[] | undefined;
+        const expandable = Array.isArray(items) && items.length > 0 && (bar.type ?? "delta") === "delta";
+        if (!expandable || level >= breakdown.levels) {
+            return [bar];
+        }
+        if (collapsed.has(bar.label)) {
+            return [{ ...bar, hasBreakdown: true }];
+        }
+        const children = breakdownGroups(bar, items, breakdown)
+            .map(item => ({ ...item, parentLabel: bar.label, breakdownLevel: level + 1 }));
+        return expandBreakdowns(children, breakdown, collapsed, level + 1);
+    });
+}
 
+function isValidStacks(stacks: unknown): boolean {
+    return Array.isArray(stacks) &&
+        stacks.every(stack => typeof stack.value === "number" && typeof stack.color === "string");
+}
+
+// Every item needs a string label and numeric, coloured stacks (per series when it has series);
+// subtotals may omit stacks
+export function isValidChartData(data: ChartData[]): boolean {
+    return data.every(item =>
+        item && typeof item.label === "string" && (Array.isArray(item.series)
+            ? item.series.every(entry => entry && typeof entry.name === "string" &&
+                ((item.type === "subtotal" && entry.stacks === undefined) || isValidStacks(entry.stacks)))
+            : (item.type === "subtotal" && item.stacks === undefined) || isValidStacks(item.stacks))
+    );
+}
+
+// Series names in order of first appearance; empty for single-series data
+export function getSeriesNames(data: ChartData[]): string[] {
+    return Array.from(new Set(data.flatMap(item => (item.series || []).map(entry => entry.name))));
+}
+
+// Running totals through one series of bars, plus the total bar when showTotal is on
+function accumulate(data: ChartData[], config: ChartConfig, totalColor: string = config.totalColor): ProcessedData[] {
     let cumulativeTotal = 0;
     let prevCumulativeTotal = 0;
 
-    const processedData: ProcessedData[] = workingData.map((bar, i) => {
-        const barTotal = bar.stacks.reduce((sum, stack) => sum + stack.value, 0);
+    const processedData: ProcessedData[] = data.map((bar, i) => {
+        // Subtotals are drawn from zero up to the running total and leave it unchanged
+        if (bar.type === "subtotal") {
+            const color = bar.stacks?.[0]?.color || totalColor;
+            return {
+                ...bar,
+                stacks: [{ value: cumulativeTotal, color }],
+                barTotal: cumulativeTotal,
+                cumulativeTotal,
+                prevCumulativeTotal: 0,
+                isTotal: true,
+            };
+        }
+
+        const stacks = bar.stacks || [];
+        const barTotal = stacks.reduce((sum, stack) => sum + stack.value, 0);
+
+        // Absolute bars (opening balances, resets) set the running total instead of adding to it
+        if (bar.type === "absolute") {
+            cumulativeTotal = barTotal;
+            return {
+                ...bar,
+                stacks,
+                barTotal,
+                cumulativeTotal,
+                prevCumulativeTotal: 0,
+                isTotal: true,
+            };
+        }
+
         prevCumulativeTotal = cumulativeTotal;
         cumulativeTotal += barTotal;
 
-        let processedStacks = bar.stacks;
+        let processedStacks = stacks;
 
         const result: ProcessedData = {
             ...bar,
@@ -32,12 +149,86 @@ export function prepareData(
         const totalValue = cumulativeTotal;
         processedData.push({
             label: config.totalLabel,
-            stacks: [{ value: totalValue, color: config.totalColor }],
+            stacks: [{ value: totalValue, color: totalColor }],
             barTotal: totalValue,
             cumulativeTotal: totalValue,
             prevCumulativeTotal: 0,
+            isTotal: true,
         });
     }
 
     return processedData;
 }
+
+// Drop stacks whose label, and series whose name, the legend has toggled off
+function hideLegendItems(data: ChartData[], hidden: ReadonlySet<string>): ChartData[] {
+    if (hidden.size === 0) return data;
+    return data.map(item => ({
+        ...item,
+        ...(item.stacks ? { stacks: item.stacks.filter(stack => !stack.label || !hidden.has(stack.label)) } : {}),
+        ...(item.series ? { series: item.series.filter(entry => !hidden.has(entry.name)) } : {}),
+    }));
+}
+
+// Opening bar or final total of one series' bars, or null in absolute mode
+function valueModeBase(processedData: ProcessedData[], config: ChartConfig): number | null {
+    if (config.valueMode === "percentOfStart") return processedData[0]?.cumulativeTotal ?? null;
+    if (config.valueMode === "percentOfTotal") return processedData[processedData.length - 1]?.cumulativeTotal ?? null;
+    return null;
+}
+
+// Values as fractions of the base, keeping each bar in data units as `raw`
+function rescale(processedData: ProcessedData[], config: ChartConfig): ProcessedData[] {
+    const base = valueModeBase(processedData, config);
+    if (base === null) return processedData;
+    if (base === 0) {
+        console.warn(`MintWaterfall: ${config.valueMode} needs a non-zero base; showing absolute values.`);
+        return processedData;
+    }
+    // Dividing by the magnitude keeps increases positive when the base is negative
+    const scale = (value: number) => value / Math.abs(base);
+    return processedData.map(d => ({
+        ...d,
+        stacks: d.stacks.map(stack => ({ ...stack, value: scale(stack.value) })),
+        barTotal: scale(d.barTotal),
+        cumulativeTotal: scale(d.cumulativeTotal),
+        prevCumulativeTotal: d.prevCumulativeTotal === undefined ? undefined : scale(d.prevCumulativeTotal),
+        raw: d,
+    }));
+}
+
+/**
+ * Running totals for every bar. Data with series is accumulated one series at a time and
+ * returned category by category, each category's bars in series order. Stacks and series
+ * named in `hiddenItems` are left out before the totals are worked out. The percentage
+ * value modes rescale each series against its own opening bar or final total.
+ */
+export function prepareData(
+    data: ChartData[],
+    config: ChartConfig,
+    collapsedBreakdowns: ReadonlySet<string> = new Set(),
+    hiddenItems: ReadonlySet<string> = new Set()
+): ProcessedData[] {
+    // Sub-items have no series to sit in, so only single-series data expands breakdowns
+    const allSeries = getSeriesNames(data);
+    const workingData = hideLegendItems(config.breakdownConfig?.enabled && allSeries.length === 0
+        ? expandBreakdowns(data, config.breakdownConfig, collapsedBreakdowns)
+        : [...data], hiddenItems);
+    if (allSeries.length === 0) return rescale(accumulate(workingData, config), config);
+
+    const seriesNames = allSeries.filter(name => !hiddenItems.has(name));
+
+    const categoryOrder = new Map(workingData.map((item, i) => [item.label, i]));
+    const seriesCount = seriesNames.length;
+    return seriesNames
+        .flatMap((seriesName, seriesIndex) => rescale(accumulate(
+            workingData
+                .filter(item => item.type === "subtotal" || item.series?.some(entry => entry.name === seriesName))
+                .map(({ series, ...item }) => ({ ...item, stacks: series?.find(entry => entry.name === seriesName)?.stacks })),
+            config,
+            config.seriesColors[seriesName] || config.totalColor
+        ), config).map(d => ({ ...d, seriesName, seriesIndex, seriesCount })))
+        // The total bar is not in the data, so it sorts last
+        .sort((a, b) => (categoryOrder.get(a.label) ?? Infinity) - (categoryOrder.get(b.label) ?? Infinity) ||
+            a.seriesIndex - b.seriesIndex);
+}
@@ -0,0 +1,260 @@
+// MintWaterfall Small Multiples — a grid of waterfalls, one per facet, on shared scales
+import * as d3 from "d3";
+import {
+    ChartConfig, ChartData, ProcessedData, LegendItem, BarEventDetail, SmallMultiplesConfig,
+    WaterfallSmallMultiples, WaterfallChart, FacetAccessor, defaultSmallMultiplesConfig, applyBreakpoints, getLegendSize,
+} from "./config.js";
+import { prepareData, isValidChartData } from "./lifecycle.js";
+import { computeLayout, SharedScales } from "./layout.js";
+import { getLegendItems, getLegendGradient, drawLegend } from "./legend.js";
+import { waterfallChart, getChartConfig } from "./chart.js";
+import {
+    drawGrid, drawAxes, drawBars, drawConnectors, drawMilestones, drawAxisBreak, drawPeriodGaps, bindBarEvents, bindBarTooltips,
+} from "./render.js";
+import { createTooltipSystem } from "../tooltip.js";
+
+export interface Facet {
+    name: string;
+    data: ChartData[];
+}
+
+// Height of the facet name above each panel's plot
+const TITLE_SIZE = 14;
+let multiplesCount = 0;
+// Clip path and gradient ids are prefixed per svg, kept across renders
+const svgIds = new WeakMap<Element, string>();
+
+// Facet names can be any text; escaping all but letters, digits and hyphens keeps distinct names distinct
+function toIdSuffix(name: string): string {
+    return name.replace(/[^A-Za-z0-9-]/g, c => `_${c.charCodeAt(0).toString(16)}`);
+}
+
+function facetOf(d: ChartData, facet: FacetAccessor): string {
+    return String(typeof facet === "function" ? facet(d) : (d as any)[facet]);
+}
+
+/**
+ * Split items into facets, in the order each facet first appears. Items keep their order
+ * within a facet.
+ */
+export function getFacets(data: ChartData[], facet: FacetAccessor): Facet[] {
+    return Array.from(d3.group(data, d => facetOf(d, facet)), ([name, items]) => ({ name, data: items }));
+}
+
+/**
+ * One category order for every panel: each panel's labels in its own order, with a label
+ * no earlier panel has going in after the label it follows, so totals stay last.
+ */
+export function getSharedCategories(sequences: string[][]): string[] {
+    const order: string[] = [];
+    sequences.forEach(labels => {
+        let previous = -1;
+        labels.forEach(label => {
+            const at = order.indexOf(label);
+            if (at === -1) {
+                order.splice(previous + 1, 0, label);
+                previous += 1;
+            } else {
+                previous = at;
+            }
+        });
+    });
+    return order;
+}
+
+/**
+ * Top-left corner of each panel in a grid `columns` wide, leaving `offset` for a legend
+ * above or to the left of the grid.
+ */
+export function getPanelPositions(count: number, config: SmallMultiplesConfig, offset: { x: number; y: number } = { x: 0, y: 0 }): Array<{ x: number; y: number }> {
+    const columns = Math.max(1, Math.floor(config.columns));
+    return d3.range(count).map(i => ({
+        x: offset.x + (i % columns) * (config.panelWidth + config.gap),
+        y: offset.y + Math.floor(i / columns) * (config.panelHeight + config.gap),
+    }));
+}
+
+export function waterfallSmallMultiples(): WaterfallSmallMultiples {
+    const config: SmallMultiplesConfig = { ...defaultSmallMultiplesConfig };
+    let panelChart: WaterfallChart = waterfallChart();
+    // Stacks and series switched off from the shared legend, hidden in every panel
+    const hiddenLegendItems = new Set<string>();
+    const tooltipSystem = createTooltipSystem();
+    const listeners = d3.dispatch("barClick", "barMouseover", "barMouseout", "legendToggle");
+
+    const multiples: WaterfallSmallMultiples = function multiples(selection: d3.Selection<any, any, any, any>): void {
+        selection.each(function (data: ChartData[]) {
+            if (!Array.isArray(data) || data.length === 0 || !isValidChartData(data)) {
+                console.error("MintWaterfall: Invalid data structure. Small multiples need a non-empty array of chart items, each with a facet.");
+                return;
+            }
+
+            const element = d3.select(this);
+            const chartConfig = getChartConfig(panelChart)!;
+            // Panels are drawn once at their size; zoom, brushing and per-panel legends don't apply
+            const panelConfig: ChartConfig = {
+                ...applyBreakpoints(chartConfig, config.panelWidth, config.panelHeight - TITLE_SIZE),
+                showLegend: false,
+                enableZoom: false,
+                enableBrush: false,
+            };
+            const legendConfig: ChartConfig = { ...panelConfig, showLegend: config.showLegend };
+            const legendPosition = legendConfig.legendOptions.position ?? "bottom";
+            const legendSize = getLegendSize(legendConfig);
+
+            const facets = getFacets(data, config.facet);
+            const panels = facets.map(facet => ({
+                ...facet,
+                processedData: prepareData(facet.data, panelConfig, new Set(), hiddenLegendItems),
+            }));
+            const allProcessed = panels.flatMap(panel => panel.processedData);
+            const shared: SharedScales = {
+                categories: config.sharedCategories
+                    ? getSharedCategories(panels.map(panel => panel.processedData.map(d => d.label)))
+                    : undefined,
+                valueData: config.sharedYDomain ? allProcessed : undefined,
+            };
+
+            const columns = Math.max(1, Math.floor(config.columns));
+            const rows = Math.ceil(panels.length / columns);
+            const gridWidth = Math.min(columns, panels.length) * (config.panelWidth + config.gap) - config.gap;
+            const gridHeight = rows * (config.panelHeight + config.gap) - config.gap;
+            const positions = getPanelPositions(panels.length, config, { x: 0, y: legendPosition === "top" ? legendSize : 0 });
+            legendConfig.width = gridWidth + (legendPosition === "right" ? legendSize : 0);
+            legendConfig.height = gridHeight + (legendPosition === "right" ? 0 : legendSize);
+
+            let svg: any = element.selectAll("svg.waterfall-multiples").data([0]);
+            svg = svg.enter().append("svg").attr("class", "waterfall-multiples").merge(svg)
+                .attr("width", legendConfig.width)
+                .attr("height", legendConfig.height);
+            let defs = svg.select("defs.waterfall-defs");
+            if (defs.empty()) defs = svg.insert("defs", ":first-child").attr("class", "waterfall-defs");
+            if (!svgIds.has(svg.node())) svgIds.set(svg.node(), `mintwaterfall-multiples-${++multiplesCount}`);
+            const id = svgIds.get(svg.node())!;
+
+            if (panelConfig.enableTooltips) {
+                const { content: _content, ...tooltipOptions } = panelConfig.tooltipConfig;
+                tooltipSystem.configure({ ...tooltipOptions, formatNumber: panelConfig.formatNumber });
+            }
+
+            // Clip paths are keyed by facet like the panels, so a panel keeps its clip as others come and go
+            const clipIdOf = (name: string) => `${id}-clip-${toIdSuffix(name)}`;
+            const clips = defs.selectAll("clipPath.panel-clip").data(panels, (d: any) => d.name);
+            clips.exit().remove();
+            clips.enter().append("clipPath")
+                .attr("class", "panel-clip")
+                .attr("id", (d: any) => clipIdOf(d.name))
+                .append("rect");
+
+            const panelGroups = svg.selectAll(".waterfall-panel").data(panels, (d: any) => d.name);
+            panelGroups.exit().remove();
+            const panelEnter = panelGroups.enter().append("g").attr("class", "waterfall-panel");
+            panelEnter.append("text")
+                .attr("class", "panel-title")
+                .attr("y", TITLE_SIZE - 2)
+                .style("font-family", "Arial, sans-serif")
+                .style("font-size", "12px")
+                .style("font-weight", "bold")
+                .attr("fill", "#333");
+            const containerEnter = panelEnter.append("g")
+                .attr("class", "waterfall-container")
+                .attr("transform", `translate(0,${TITLE_SIZE})`);
+            containerEnter.append("g").attr("class", "chart-group");
+
+            panelEnter.merge(panelGroups)
+                .order()
+                .attr("transform", (_d: any, i: number) => `translate(${positions[i].x},${positions[i].y})`)
+                .each(function (this: SVGGElement, panel: typeof panels[number]) {
+                    const group = d3.select(this);
+                    const container = group.select(".waterfall-container");
+                    const chartGroup = container.select(".chart-group");
+                    const { margins, visibleData, xScale, yScale, categoryLabels, valueBreak, plotClip } =
+                        computeLayout(panel.processedData, panelConfig, undefined, undefined, shared);
+
+                    group.select(".panel-title").attr("x", margins.left).text(panel.name);
+                    const clipId = clipIdOf(panel.name);
+                    defs.select(`#${clipId}`).select("rect")
+                        .attr("x", plotClip.x)
+                        .attr("y", plotClip.y)
+                        .attr("width", plotClip.width)
+                        .attr("height", plotClip.height);
+                    chartGroup.attr("clip-path", `url(#${clipId})`);
+
+                    // Bar events carry the facet, and drive the highlight across panels
+                    const panelListeners = d3.dispatch("barClick", "barMouseover", "barMouseout");
+                    (["barClick", "barMouseover", "barMouseout"] as const).forEach(type => {
+                        panelListeners.on(type, function (this: any, event: Event, d: ProcessedData, detail: BarEventDetail) {
+                            if (config.syncHover && type !== "barClick") highlight(svg, type === "barMouseover" ? d.label : null);
+                            listeners.call(type, this, event, d, { ...detail, facet: panel.name });
+                        });
+                    });
+
+                    drawGrid(container, yScale, panelConfig, margins);
+                    drawAxes(container, xScale, yScale, panelConfig, margins, categoryLabels);
+                    drawPeriodGaps(chartGroup, xScale, panelConfig, margins);
+                    drawBars(chartGroup, visibleData, xScale, yScale, panelConfig, margins);
+                    bindBarEvents(chartGroup, visibleData, xScale, yScale, panelConfig, margins, panelListeners);
+                    bindBarTooltips(chartGroup, panel.processedData, panelConfig, tooltipSystem);
+                    drawConnectors(chartGroup, visibleData, xScale, yScale, panelConfig, margins);
+                    drawMilestones(chartGroup, visibleData, xScale, yScale, panelConfig, margins);
+                    drawAxisBreak(container, visibleData, xScale, yScale, panelConfig, margins, valueBreak);
+                });
+
+            let legendGroup = svg.select(".multiples-legend");
+            if (legendGroup.empty()) legendGroup = svg.append("g").attr("class", "multiples-legend");
+            drawLegend(
+                legendGroup,
+                defs,
+                `${id}-legend`,
+                getLegendItems(data, legendConfig, hiddenLegendItems),
+                getLegendGradient(allProcessed, legendConfig),
+                legendConfig,
+                { top: 0, right: 0, bottom: 0, left: 0 },
+                (item: LegendItem) => {
+                    if (hiddenLegendItems.has(item.id)) {
+                        hiddenLegendItems.delete(item.id);
+                    } else if (item.kind === "series" && allProcessed.every(d => d.seriesName === item.id)) {
+                        return; // keep at least one series on screen
+                    } else {
+                        hiddenLegendItems.add(item.id);
+                    }
+                    listeners.call("legendToggle", this, { ...item, hidden: hiddenLegendItems.has(item.id) });
+                    element.call(multiples);
+                }
+            );
+        });
+    } as any;
+
+    // Fade every bar outside the hovered category, in all panels; null clears the highlight
+    function highlight(svg: any, label: string | null): void {
+        svg.selectAll(".waterfall-panel .bar-group")
+            .classed("sync-hover", (d: ProcessedData) => label !== null && d.label === label)
+            .style("opacity", (d: ProcessedData) => label === null || d.label === label ? null : 0.35);
+    }
+
+    function accessor<T>(get: () => T, set: (v: T) => void): any {
+        return function (this: any, value?: T) {
+            if (arguments.length === 0) return get();
+            set(value!);
+            return multiples;
+        };
+    }
+
+    multiples.facet = accessor(() => config.facet, v => { config.facet = v; });
+    multiples.columns = accessor(() => config.columns, v => { config.columns = v; });
+    multiples.panelWidth = accessor(() => config.panelWidth, v => { config.panelWidth = v; });
+    multiples.panelHeight = accessor(() => config.panelHeight, v => { config.panelHeight = v; });
+    multiples.gap = accessor(() => config.gap, v => { config.gap = v; });
+    multiples.sharedYDomain = accessor(() => config.sharedYDomain, v => { config.sharedYDomain = v; });
+    multiples.sharedCategories = accessor(() => config.sharedCategories, v => { config.sharedCategories = v; });
+    multiples.syncHover = accessor(() => config.syncHover, v => { config.syncHover = v; });
+    multiples.showLegend = accessor(() => config.showLegend, v => { config.showLegend = v; });
+    multiples.chart = accessor(() => panelChart, v => { panelChart = v; });
+
+    multiples.on = function (): any {
+        const value = (listeners.on as any).apply(listeners, Array.from(arguments));
+        return value === listeners ? multiples : value;
+    };
+
+    return multiples;
+}
@@ -0,0 +1,228 @@
+// MintWaterfall Period Axis — bars spanning calendar periods on a continuous time scale
+import * as d3 from "d3";
+import { ChartConfig, PeriodInterval, PeriodOptions, ProcessedData, defaultConfig } from "./config.js";
+import { estimateTextWidth } from "./axis.js";
+
+export interface Period {
+    start: Date;
+    end: Date;
+    interval: PeriodInterval;
+    // Tick text: the calendar period, or the bar's own label when it has no date
+    text: string;
+    // Placed by its own date or label rather than by the bars around it
+    dated: boolean;
+}
+
+export interface PeriodGap {
+    start: Date;
+    end: Date;
+}
+
+// Least room between neighbouring tick labels
+const TICK_LABEL_GAP = 8;
+
+export function resolvePeriodOptions(config: ChartConfig): Required<PeriodOptions> {
+    return { ...defaultConfig.periodOptions, ...config.periodOptions } as Required<PeriodOptions>;
+}
+
+// Local-time intervals, as Date's own fields are; looked up per call so the module loads without d3's time API
+function intervalOf(interval: PeriodInterval): d3.TimeInterval {
+    switch (interval) {
+        case "day": return d3.timeDay;
+        case "week": return d3.timeMonday;
+        case "quarter": return d3.timeMonth.every(3)!;
+        case "year": return d3.timeYear;
+        default: return d3.timeMonth;
+    }
+}
+
+/**
+ * Read a period start from a Date, a timestamp or a string: "2025", "2025-03", "2025-03-14",
+ * "2025-Q1" or "Q1 2025", or a full ISO timestamp. Date-only strings are local dates, like
+ * the calendar intervals, rather than UTC midnight. Anything else is null, so labels such as
+ * "Opening" are never mistaken for dates.
+ */
+export function parsePeriodDate(value: unknown): Date | null {
+    if (value instanceof Date) return isNaN(+value) ? null : value;
+    if (typeof value === "number") return Number.isFinite(value) ? new Date(value) : null;
+    if (typeof value !== "string") return null;
+
+    const text = value.trim();
+    const quarter = /^(\d{4})-?Q([1-4])$/i.exec(text);
+    if (quarter) return new Date(+quarter[1], (+quarter[2] - 1) * 3, 1);
+    const quarterFirst = /^Q([1-4])\s+(\d{4})$/i.exec(text);
+    if (quarterFirst) return new Date(+quarterFirst[2], (+quarterFirst[1] - 1) * 3, 1);
+    const day = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(text);
+    if (day) return new Date(+day[1], day[2] ? +day[2] - 1 : 0, day[3] ? +day[3] : 1);
+    if (/^\d{4}-\d{2}-\d{2}T/.test(text)) {
+        const date = new Date(text);
+        return isNaN(+date) ? null : date;
+    }
+    return null;
+}
+
+// "Q1 2025", "2025", "Jan" or "Jan 2025", "Mar 3" or "Mar 3, 2025"; the year is added when it changes
+export function formatPeriod(start: Date, interval: PeriodInterval, withYear: boolean): string {
+    switch (interval) {
+        case "quarter": return `Q${Math.floor(start.getMonth() / 3) + 1} ${start.getFullYear()}`;
+        case "year": return String(start.getFullYear());
+        case "month": return d3.timeFormat(withYear ? "%b %Y" : "%b")(start);
+        default: return d3.timeFormat(withYear ? "%b %-d, %Y" : "%b %-d")(start);
+    }
+}
+
+/**
+ * The period each category covers, by label. A bar's period starts at the floor of its date
+ * (or parsed label) to its interval; a bar with neither, like a total, takes the slot after
+ * the bar before it, and undated bars ahead of the first dated one, like an opening balance,
+ * the slots before it. Bars that land on the same period split it between them in category
+ * order, as series split a band, and dated ones share its text. With no dated bar at all
+ * nothing is placed.
+ */
+export function getPeriods(processedData: ProcessedData[], defaultInterval: PeriodInterval): Map<string, Period> {
+    const periods = new Map<string, Period>();
+    const leading: ProcessedData[] = [];
+    // Text of each calendar period a dated bar has taken, by start and end
+    const calendarText = new Map<string, string>();
+    let previous: Period | undefined;
+    let year: number | null = null;
+    processedData.forEach(d => {
+        // Series bars share their category's period
+        if (periods.has(d.label) || leading.some(l => l.label === d.label)) return;
+        const date = parsePeriodDate(d.date ?? d.label);
+        if (!date && !previous) {
+            leading.push(d);
+            return;
+        }
+
+        const interval = d.period ?? (date ? defaultInterval : previous!.interval);
+        const start = date ? intervalOf(interval).floor(date) : previous!.end;
+        const end = intervalOf(interval).offset(start, 1);
+        let text = d.label;
+        if (date) {
+            const key = `${+start}-${+end}`;
+            text = calendarText.get(key) ?? formatPeriod(start, interval, start.getFullYear() !== year);
+            calendarText.set(key, text);
+            year = start.getFullYear();
+        }
+        const period: Period = { start, end, interval, text, dated: date !== null };
+        if (!previous) {
+            let end = period.start;
+            leading.reverse().forEach(l => {
+                const leadingInterval = l.period ?? interval;
+                const leadingStart = intervalOf(leadingInterval).offset(end, -1);
+                periods.set(l.label, { start: leadingStart, end, interval: leadingInterval, text: l.label, dated: false });
+                end = leadingStart;
+            });
+        }
+        previous = period;
+        periods.set(d.label, period);
+    });
+    return splitSharedPeriods(periods);
+}
+
+// Bars on the same period each take an equal part of it, in category order
+function splitSharedPeriods(periods: Map<string, Period>): Map<string, Period> {
+    const sharing = new Map<string, string[]>();
+    periods.forEach((period, label) => {
+        const key = `${+period.start}-${+period.end}`;
+        sharing.set(key, [...(sharing.get(key) ?? []), label]);
+    });
+    sharing.forEach(labels => {
+        if (labels.length < 2) return;
+        const { start, end } = periods.get(labels[0])!;
+        const part = (+end - +start) / labels.length;
+        labels.forEach((label, i) => periods.set(label, {
+            ...periods.get(label)!,
+            start: new Date(+start + i * part),
+            end: i === labels.length - 1 ? end : new Date(+start + (i + 1) * part),
+        }));
+    });
+    return periods;
+}
+
+/**
+ * Stretches of time between periods that no bar covers, in time order.
+ */
+export function getPeriodGaps(periods: Period[]): PeriodGap[] {
+    const sorted = [...periods].sort((a, b) => +a.start - +b.start);
+    const gaps: PeriodGap[] = [];
+    let covered = sorted.length > 0 ? sorted[0].end : null;
+    sorted.slice(1).forEach(period => {
+        if (+period.start > +covered!) gaps.push({ start: covered!, end: period.start });
+        if (+period.end > +covered!) covered = period.end;
+    });
+    return gaps;
+}
+
+/**
+ * A time scale over the periods, from the first start to the last end. `period(label)` gives
+ * a category's period, and the scale's ticks are the periods' midpoints with their calendar
+ * text as the tick format, so the SVG, canvas and string axes all label periods alike. Bars
+ * sharing a calendar period share its tick. Where the labels would overlap only the ticks
+ * with room for theirs are kept, each year named at its first kept tick; `tickLabelSize`
+ * sets the room a label takes along the axis, its estimated text width by default.
+ */
+export function createPeriodScale(periods: Map<string, Period>): any {
+    const list = Array.from(periods.values());
+    const middle = (p: { start: Date; end: Date }) => new Date((+p.start + +p.end) / 2);
+    // Touching parts of one period, as splitSharedPeriods leaves them, merge back into it
+    const spans: Period[] = [];
+    [...list].sort((a, b) => +a.start - +b.start).forEach(p => {
+        const last = spans[spans.length - 1];
+        if (last && last.text === p.text && +last.end === +p.start) {
+            last.end = p.end;
+        } else {
+            spans.push({ ...p });
+        }
+    });
+    let labelSize: number | null = null;
+    const scale: any = d3.scaleTime().domain(list.length > 0
+        ? [d3.min(list, p => p.start)!, d3.max(list, p => p.end)!]
+        : [new Date(0), new Date(1)]);
+
+    scale.period = (label: string): Period | undefined => periods.get(label);
+    scale.periods = (): Period[] => list;
+
+    // Ticks in time order, each kept when its label clears the last kept one's
+    const fittedTicks = (): Array<{ date: Date; text: string }> => {
+        const ticks: Array<{ date: Date; text: string; at: number; size: number }> = [];
+        let year: number | null = null;
+        spans.forEach(span => {
+            const start = intervalOf(span.interval).floor(span.start);
+            const text = span.dated ? formatPeriod(start, span.interval, start.getFullYear() !== year) : span.text;
+            const date = middle(span);
+            const at = scale(date);
+            const size = labelSize ?? estimateTextWidth(text);
+            const last = ticks[ticks.length - 1];
+            if (last && Math.abs(at - last.at) < (size + last.size) / 2 + TICK_LABEL_GAP) return;
+            ticks.push({ date, text, at, size });
+            if (span.dated) year = start.getFullYear();
+        });
+        return ticks;
+    };
+
+    scale.ticks = (): Date[] => fittedTicks().map(tick => tick.date);
+    scale.tickFormat = () => {
+        const text = new Map(fittedTicks().map(tick => [+tick.date, tick.text]));
+        return (date: Date) => text.get(+date) ?? "";
+    };
+    scale.tickLabelSize = function (size?: number | null): any {
+        if (arguments.length === 0) return labelSize;
+        labelSize = size ?? null;
+        return scale;
+    };
+    return scale;
+}
+
+/**
+ * Start and thickness of a category's period along the axis, inset by `padding` like a band.
+ * Categories without a period get a NaN offset, as bars outside a band scale's domain do.
+ */
+export function getPeriodBand(xScale: any, label: string, padding: number): { offset: number; width: number } {
+    const period: Period | undefined = xScale.period(label);
+    if (!period) return { offset: NaN, width: 0 };
+    const [a, b] = [xScale(period.start), xScale(period.end)];
+    const width = Math.abs(b - a);
+    return { offset: Math.min(a, b) + width * padding / 2, width: width * (1 - padding) };
+}
@@ -1,9 +1,370 @@
 // MintWaterfall Chart Render Functions
 import * as d3 from "d3";
-import { ChartConfig, ProcessedData, MarginConfig, getBarWidth, getBarPosition } from "./config.js";
-import { createWaterfallConfidenceBands, createWaterfallMilestones } from "../shapes.js";
+import {
+    ChartConfig, ProcessedData, MarginConfig, BarGeometry, BarEventDetail, BrushSelectionDetail, ConnectorOptions,
+    defaultConfig, getBarWidth, getBarPosition,
+} from "./config.js";
+import type { TooltipData, TooltipSystem, TooltipContentType } from "../tooltip.js";
+import type { BrushSystem, BrushSelection } from "../brush.js";
+import { resolveFormatting, patternFill } from "./formatting.js";
+import { getValueLabels, LabelledBar, ValueLabel } from "./labels.js";
+import { CategoryLabelLayout, estimateTextWidth, getCategoryLabelPosition } from "./axis.js";
+import { getPeriodBand, getPeriodGaps, resolvePeriodOptions } from "./periods.js";
+import { getCategoryCentre } from "./layout.js";
+import { createWaterfallConfidenceBands, createWaterfallMilestones, createWaterfallReferenceBands, createWaterfallTargetMarkers } from "../shapes.js";
 import { getAdvancedBarColor, getThemeColorPalette, ThemeCollection } from "../themes.js";
 
+interface BarRect {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+}
+
+function isHorizontal(config: ChartConfig): boolean {
+    return config.orientation === "horizontal";
+}
+
+// Length of the plot area along the category axis
+function categoryExtent(config: ChartConfig, margins: MarginConfig): number {
+    return isHorizontal(config)
+        ? config.height - margins.top - margins.bottom
+        : config.width - margins.left - margins.right;
+}
+
+function categoryTransform(offset: number, config: ChartConfig): string {
+    return isHorizontal(config) ? `translate(0, ${offset})` : `translate(${offset}, 0)`;
+}
+
+// Rectangle inside a bar group spanning the values v0..v1 along the value axis
+function valueSpanRect(v0: number, v1: number, yScale: any, barWidth: number, config: ChartConfig): BarRect {
+    const p0 = yScale(v0);
+    const p1 = yScale(v1);
+    if (isHorizontal(config)) {
+        return { x: Math.min(p0, p1), y: 0, width: Math.abs(p1 - p0), height: barWidth };
+    }
+    return { x: 0, y: Math.min(p0, p1), width: barWidth, height: Math.abs(p1 - p0) };
+}
+
+// Zero-length rectangle at the value baseline, used as the enter/exit state
+function collapsedRect(yScale: any, barWidth: number, config: ChartConfig): BarRect {
+    return valueSpanRect(0, 0, yScale, barWidth, config);
+}
+
+// Start and thickness of a category along the category axis; on a period axis, the
+// stretch of its period
+function labelBand(label: string, xScale: any, config: ChartConfig, margins: MarginConfig, categoryCount: number): { offset: number; width: number } {
+    if (xScale.period) return getPeriodBand(xScale, label, config.barPadding);
+    const width = getBarWidth(xScale, categoryCount, categoryExtent(config, margins));
+    return { offset: getBarPosition(xScale, label, width), width };
+}
+
+// Start and thickness of a bar along the category axis: its category's band, or its
+// series' slot in that band, spaced like d3.scaleBand with seriesPadding as inner padding
+function categoryBand(d: ProcessedData, xScale: any, config: ChartConfig, margins: MarginConfig, barCount: number): { offset: number; width: number } {
+    const count = d.seriesCount ?? 1;
+    const band = labelBand(d.label, xScale, config, margins, barCount / count);
+    if (count <= 1) return band;
+    const step = band.width / (count - config.seriesPadding);
+    return { offset: band.offset + (d.seriesIndex ?? 0) * step, width: step * (1 - config.seriesPadding) };
+}
+
+// The previous bar in the same series, or undefined for a series' first bar
+function previousInSeries(processedData: ProcessedData[], index: number): ProcessedData | undefined {
+    const seriesName = processedData[index].seriesName;
+    for (let i = index - 1; i >= 0; i--) {
+        if (processedData[i].seriesName === seriesName) return processedData[i];
+    }
+    return undefined;
+}
+
+// Running total just before the bar at `index`
+function runningTotalBefore(processedData: ProcessedData[], index: number): number {
+    return previousInSeries(processedData, index)?.cumulativeTotal ?? 0;
+}
+
+// Join key for a bar: its label, qualified by series when the data has series
+function barKey(d: ProcessedData): string {
+    return d.seriesName === undefined ? d.label : `${d.label}\u0000${d.seriesName}`;
+}
+
+/**
+ * Consecutive bar pairs that a connector joins: neighbours in the same series, so
+ * side-by-side series each get their own chain of connectors.
+ */
+export function getConnectorPairs(processedData: ProcessedData[]): Array<[ProcessedData, ProcessedData]> {
+    return processedData.flatMap((d, i): Array<[ProcessedData, ProcessedData]> => {
+        const previous = previousInSeries(processedData, i);
+        return previous ? [[previous, d]] : [];
+    });
+}
+
+// Bars the trend line and confidence bands follow: the first series when the data has series
+function primarySeries(processedData: ProcessedData[]): ProcessedData[] {
+    return processedData.filter(d => !d.seriesIndex);
+}
+
+/**
+ * Pixel bounds of a bar, or of one of its stack segments, in SVG coordinates.
+ * Computed from the scales so it is correct even while transitions are running.
+ */
+export function getBarGeometry(d: ProcessedData, stackIndex: number | null, xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig, barCount: number = 1): BarGeometry {
+    const { offset, width: barWidth } = categoryBand(d, xScale, config, margins, barCount);
+    const base = d.isTotal ? 0 : d.prevCumulativeTotal || 0;
+
+    let rect: BarRect;
+    if (stackIndex === null) {
+        rect = valueSpanRect(base, d.cumulativeTotal, yScale, barWidth, config);
+    } else {
+        const start = (d.prevCumulativeTotal || 0) + d.stacks.slice(0, stackIndex).reduce((sum, stack) => sum + stack.value, 0);
+        rect = valueSpanRect(start, start + d.stacks[stackIndex].value, yScale, barWidth, config);
+    }
+
+    return isHorizontal(config)
+        ? { ...rect, y: rect.y + offset }
+        : { ...rect, x: rect.x + offset };
+}
+
+// Stack index of the element under the pointer, or null when it is not part of a stack
+function stackIndexOf(element: EventTarget | null): number | null {
+    if (!element || !(element as Element).classList) return null;
+    const datum: any = d3.select(element as Element).datum();
+    return datum && typeof datum.stackIndex === "number" ? datum.stackIndex : null;
+}
+
+/**
+ * Tooltip payload for the bar at `index`. The previous total is the running total
+ * before this bar, so subtotals report no change and absolute bars report the reset.
+ */
+export function getTooltipData(processedData: ProcessedData[], index: number): TooltipData {
+    const d = processedData[index];
+    const previousTotal = runningTotalBefore(processedData, index);
+    return {
+        label: d.label,
+        series: d.seriesName,
+        type: d.type || "delta",
+        stacks: d.stacks,
+        delta: d.cumulativeTotal - previousTotal,
+        previousTotal,
+        runningTotal: d.cumulativeTotal
+    };
+}
+
+/**
+ * The configured tooltip content, with template placeholders for the totals
+ * formatted by config.formatNumber unless the template supplies its own formatters.
+ */
+export function getTooltipContent(config: ChartConfig): TooltipContentType | null {
+    const format = config.formatNumber;
+    const content = config.tooltipConfig.content ?? null;
+    if (content && typeof content === "object") {
+        return {
+            ...content,
+            formatters: { delta: format, previousTotal: format, runningTotal: format, ...content.formatters }
+        };
+    }
+    return content;
+}
+
+/**
+ * Show, move and hide the tooltip as the pointer crosses each .bar-group.
+ * Template placeholders for the totals are formatted with config.formatNumber
+ * unless the template supplies its own formatters.
+ */
+export function bindBarTooltips(container: any, processedData: ProcessedData[], config: ChartConfig, tooltip: TooltipSystem): void {
+    const barGroups = container.selectAll(".bar-group");
+    if (!config.enableTooltips) {
+        barGroups.on("pointerover.tooltip", null).on("pointermove.tooltip", null).on("pointerout.tooltip", null);
+        tooltip.hide();
+        return;
+    }
+
+    const content = getTooltipContent(config);
+
+    barGroups
+        .on("pointerover.tooltip", function(this: SVGGElement, event: PointerEvent, d: ProcessedData) {
+            const from = event.relatedTarget as Node | null;
+            if (from && this.contains(from)) return;
+            tooltip.show(content, event, getTooltipData(processedData, processedData.indexOf(d)));
+        })
+        .on("pointermove.tooltip", (event: PointerEvent) => {
+            tooltip.move(event);
+        })
+        .on("pointerout.tooltip", function(this: SVGGElement, event: PointerEvent) {
+            const to = event.relatedTarget as Node | null;
+            if (to && this.contains(to)) return;
+            tooltip.hide();
+        });
+}
+
+/**
+ * Dispatch barClick / barMouseover / barMouseout for pointer and keyboard interaction
+ * on each .bar-group. In stacked mode the detail carries the .stack under the pointer;
+ * moving between segments of one bar reports a mouseout/mouseover pair for each segment.
+ */
+export function bindBarEvents(container: any, processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig, listeners: d3.Dispatch<any>): void {
+    const detailFor = (d: ProcessedData, stackIndex: number | null): BarEventDetail => ({
+        data: d,
+        stackIndex,
+        geometry: getBarGeometry(d, stackIndex, xScale, yScale, config, margins, processedData.length)
+    });
+
+    container.selectAll(".bar-group")
+        .attr("tabindex", config.enableAccessibility ? 0 : null)
+        .attr("role", config.enableAccessibility ? "button" : null)
+        .attr("aria-label", config.enableAccessibility
+            ? (d: ProcessedData) => `${d.label}${d.seriesName ? ` (${d.seriesName})` : ""}: ${config.formatNumber(d.barTotal)}`
+            : null)
+        .on("click.waterfall", function(this: SVGGElement, event: MouseEvent, d: ProcessedData) {
+            listeners.call("barClick", this, event, d, detailFor(d, stackIndexOf(event.target)));
+        })
+        .on("pointerover.waterfall", function(this: SVGGElement, event: PointerEvent, d: ProcessedData) {
+            const from = event.relatedTarget as Node | null;
+            const stackIndex = stackIndexOf(event.target);
+            if (from && this.contains(from) && stackIndexOf(from) === stackIndex) return;
+            listeners.call("barMouseover", this, event, d, detailFor(d, stackIndex));
+        })
+        .on("pointerout.waterfall", function(this: SVGGElement, event: PointerEvent, d: ProcessedData) {
+            const to = event.relatedTarget as Node | null;
+            const stackIndex = stackIndexOf(event.target);
+            if (to && this.contains(to) && stackIndexOf(to) === stackIndex) return;
+            listeners.call("barMouseout", this, event, d, detailFor(d, stackIndex));
+        })
+        .on("keydown.waterfall", function(this: SVGGElement, event: KeyboardEvent, d: ProcessedData) {
+            if (event.key !== "Enter" && event.key !== " ") return;
+            event.preventDefault();
+            listeners.call("barClick", this, event, d, detailFor(d, null));
+        })
+        .on("focus.waterfall", function(this: SVGGElement, event: FocusEvent, d: ProcessedData) {
+            listeners.call("barMouseover", this, event, d, detailFor(d, null));
+        })
+        .on("blur.waterfall", function(this: SVGGElement, event: FocusEvent, d: ProcessedData) {
+            listeners.call("barMouseout", this, event, d, detailFor(d, null));
+        });
+}
+
+// Category band of a bar, shared by every series at that category
+function barLabelBand(d: ProcessedData, xScale: any, config: ChartConfig, margins: MarginConfig, barCount: number): { offset: number; width: number } {
+    return labelBand(d.label, xScale, config, margins, barCount / (d.seriesCount ?? 1));
+}
+
+/**
+ * Bars picked out by a pixel range along the category axis. A category is selected when
+ * its centre falls inside the range; a range too narrow to cover any centre selects the
+ * categories it touches. Every series at a selected category is selected with it. The
+ * returned range is snapped to the outer edges of the selected bands.
+ */
+export function getBrushSelection(processedData: ProcessedData[], xScale: any, range: [number, number], config: ChartConfig, margins: MarginConfig): BrushSelectionDetail {
+    const [r0, r1] = [Math.min(...range), Math.max(...range)];
+    // Bars the category scale does not place (zoomed out of view) cannot be brushed
+    const bands = processedData
+        .map((d, i) => ({ d, i, ...barLabelBand(d, xScale, config, margins, processedData.length) }))
+        .filter(b => Number.isFinite(b.offset));
+
+    let selected = bands.filter(b => b.offset + b.width / 2 >= r0 && b.offset + b.width / 2 <= r1);
+    if (selected.length === 0) {
+        selected = bands.filter(b => b.offset + b.width >= r0 && b.offset <= r1);
+    }
+    if (selected.length === 0) {
+        return { data: [], delta: 0, range: null };
+    }
+
+    const deltaOf = (bars: typeof selected) =>
+        bars.reduce((sum, b) => sum + b.d.cumulativeTotal - runningTotalBefore(processedData, b.i), 0);
+    const seriesNames = Array.from(new Set(selected.map(b => b.d.seriesName)));
+    const deltaBySeries = seriesNames[0] === undefined ? undefined : Object.fromEntries(
+        seriesNames.map(name => [name, deltaOf(selected.filter(b => b.d.seriesName === name))])
+    );
+
+    return {
+        data: selected.map(b => b.d),
+        delta: deltaOf(selected.filter(b => !b.d.seriesIndex)),
+        ...(deltaBySeries ? { deltaBySeries } : {}),
+        range: [
+            Math.min(...selected.map(b => b.offset)),
+            Math.max(...selected.map(b => b.offset + b.width))
+        ]
+    };
+}
+
+// Fade bars outside the brushed set; null restores every bar
+function dimBars(container: any, selected: ProcessedData[] | null): void {
+    const isDimmed = (d: ProcessedData) => selected !== null && !selected.includes(d);
+    container.selectAll(".bar-group")
+        .classed("dimmed", isDimmed)
+        .attr("fill-opacity", (d: ProcessedData) => isDimmed(d) ? 0.3 : null);
+}
+
+/**
+ * Brush strip along the category axis (below the plot, or left of it in horizontal
+ * orientation). Selections snap to whole bands when the gesture ends and are reported
+ * through onSelect; bars named in selectedLabels are re-selected after a redraw.
+ */
+export function drawBrush(container: any, processedData: ProcessedData[], xScale: any, config: ChartConfig, margins: MarginConfig, brush: BrushSystem, selectedLabels: string[], onSelect: (detail: BrushSelectionDetail) => void): void {
+    let brushGroup = container.select(".brush-group");
+    if (!config.enableBrush) {
+        if (!brushGroup.empty()) {
+            brush.detach();
+            brushGroup.remove();
+        }
+        dimBars(container, null);
+        return;
+    }
+    if (brushGroup.empty()) {
+        brushGroup = container.append("g").attr("class", "brush-group");
+    }
+
+    const horizontal = isHorizontal(config);
+    const axis = horizontal ? "y" : "x";
+    const size = config.brushOptions.size ?? 20;
+    const extent: [[number, number], [number, number]] = config.brushOptions.extent || (horizontal
+        ? [[4, margins.top], [4 + size, config.height - margins.bottom]]
+        : [[margins.left, config.height - size - 4], [config.width - margins.right, config.height - 4]]);
+    const toBrushSelection = (range: [number, number]): BrushSelection => horizontal
+        ? { x: [extent[0][0], extent[1][0]], y: range }
+        : { x: range, y: [extent[0][1], extent[1][1]] };
+
+    brush.configure({
+        dimension: axis,
+        extent,
+        ...(config.brushOptions.handleSize !== undefined ? { handleSize: config.brushOptions.handleSize } : {})
+    });
+    brush.attach(brushGroup);
+
+    // Programmatic moves (snapping, restoring) carry no sourceEvent and are ignored
+    brush.on("brush", event => {
+        if (!event.sourceEvent || !event.selection) return;
+        dimBars(container, getBrushSelection(processedData, xScale, event.selection[axis], config, margins).data);
+    });
+    brush.on("brushend", event => {
+        if (!event.sourceEvent) return;
+        const detail = event.selection
+            ? getBrushSelection(processedData, xScale, event.selection[axis], config, margins)
+            : { data: [], delta: 0, range: null };
+        if (detail.range) {
+            brush.setSelection(toBrushSelection(detail.range));
+            dimBars(container, detail.data);
+        } else {
+            brush.clear();
+            dimBars(container, null);
+        }
+        onSelect(detail);
+    });
+
+    const restored = processedData
+        .filter(d => selectedLabels.includes(d.label))
+        .map(d => barLabelBand(d, xScale, config, margins, processedData.length))
+        .filter(band => Number.isFinite(band.offset));
+    if (restored.length > 0) {
+        const last = restored[restored.length - 1];
+        brush.setSelection(toBrushSelection([restored[0].offset, last.offset + last.width]));
+        dimBars(container, processedData.filter(d => selectedLabels.includes(d.label)));
+    } else {
+        brush.clear();
+        dimBars(container, null);
+    }
+}
+
 export function drawGrid(container: any, yScale: any, config: ChartConfig, margins: MarginConfig): void {
     const gridGroup = container.selectAll(".grid-group").data([0]);
     const gridGroupEnter = gridGroup.enter()
@@ -15,11 +376,17 @@ export function drawGrid(container: any, yScale: any, config: ChartConfig, margi
 
     const gridLines = gridGroupUpdate.selectAll(".grid-line").data(tickValues);
 
+    // Grid lines run across the category axis at each value tick
+    const horizontal = isHorizontal(config);
+    const span: [number, number] = horizontal
+        ? [margins.top, config.height - margins.bottom]
+        : [margins.left, config.width - margins.right];
+
     const gridLinesEnter = gridLines.enter()
         .append("line")
         .attr("class", "grid-line")
-        .attr("x1", margins.left)
-        .attr("x2", config.width - margins.right)
+        .attr(horizontal ? "y1" : "x1", span[0])
+        .attr(horizontal ? "y2" : "x2", span[1])
         .attr("stroke", "rgba(224, 224, 224, 0.5)")
         .attr("stroke-width", 1)
         .style("opacity", 0);
@@ -28,10 +395,10 @@ export function drawGrid(container: any, yScale: any, config: ChartConfig, margi
         .transition()
         .duration(config.duration)
         .ease(config.ease)
-        .attr("y1", (d: any) => yScale(d))
-        .attr("y2", (d: any) => yScale(d))
-        .attr("x1", margins.left)
-        .attr("x2", config.width - margins.right)
+        .attr(horizontal ? "x1" : "y1", (d: any) => yScale(d))
+        .attr(horizontal ? "x2" : "y2", (d: any) => yScale(d))
+        .attr(horizontal ? "y1" : "x1", span[0])
+        .attr(horizontal ? "y2" : "x2", span[1])
         .style("opacity", 1);
 
     gridLines.exit()
@@ -42,30 +409,75 @@ export function drawGrid(container: any, yScale: any, config: ChartConfig, margi
         .remove();
 }
 
-export function drawAxes(container: any, xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig): void {
+// Set a tick's text to its fitted lines, turned as the layout says, with the whole label as
+// a <title> when the lines cut it short. Every attribute is set so a change of layout
+// leaves nothing of the previous one behind.
+function fitCategoryLabel(node: SVGTextElement, value: string, categoryLabels: CategoryLabelLayout): void {
+    const label = categoryLabels.labels.get(String(value));
+    if (!label) return;
+    const position = getCategoryLabelPosition(categoryLabels.rotation);
+    const text = d3.select(node)
+        .attr("x", position.x)
+        .attr("y", position.y)
+        .attr("dy", position.dy)
+        .attr("text-anchor", position.anchor)
+        .attr("transform", position.transform);
+
+    text.text(label.lines.length === 1 ? label.lines[0] : null);
+    if (label.lines.length > 1) {
+        label.lines.forEach((line, i) => text.append("tspan")
+            .attr("x", position.x)
+            .attr("dy", i === 0 ? null : "1.2em")
+            .text(line));
+    }
+    if (label.title) text.append("title").text(label.title);
+}
+
+export function drawAxes(container: any, xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig, categoryLabels: CategoryLabelLayout | null = null): void {
+    // .y-axis always carries the value scale and .x-axis the categories
+    const horizontal = isHorizontal(config);
+    const valueAxisTransform = horizontal
+        ? `translate(0,${config.height - margins.bottom})`
+        : `translate(${margins.left},0)`;
+    const categoryAxisTransform = horizontal
+        ? `translate(${margins.left},0)`
+        : `translate(0,${config.height - margins.bottom})`;
+    const valueAxis = horizontal ? d3.axisBottom(yScale) : d3.axisLeft(yScale);
+    const categoryAxis = horizontal ? d3.axisLeft(xScale) : d3.axisBottom(xScale);
+
     const yAxisGroup = container.selectAll(".y-axis").data([0]);
     const yAxisGroupEnter = yAxisGroup.enter()
         .append("g")
         .attr("class", "y-axis")
-        .attr("transform", `translate(${margins.left},0)`);
+        .attr("transform", valueAxisTransform);
 
     yAxisGroupEnter.merge(yAxisGroup)
+        .attr("transform", valueAxisTransform)
         .transition()
         .duration(config.duration)
         .ease(config.ease)
-        .call(d3.axisLeft(yScale).tickFormat((d: any) => config.formatNumber(d as number)));
+        .call(valueAxis.tickFormat((d: any) => config.formatNumber(d as number)));
 
     const xAxisGroup = container.selectAll(".x-axis").data([0]);
     const xAxisGroupEnter = xAxisGroup.enter()
         .append("g")
         .attr("class", "x-axis")
-        .attr("transform", `translate(0,${config.height - margins.bottom})`);
+        .attr("transform", categoryAxisTransform);
 
-    xAxisGroupEnter.merge(xAxisGroup)
+    const xAxisTransition = xAxisGroupEnter.merge(xAxisGroup)
+        .attr("transform", categoryAxisTransform)
         .transition()
         .duration(config.duration)
         .ease(config.ease)
-        .call(d3.axisBottom(xScale));
+        .call(categoryAxis);
+
+    if (categoryLabels) {
+        // The axis sets tick text as its transition starts; a later tween starts after it
+        xAxisTransition.selectAll(".tick text").tween("category-label", function (this: SVGTextElement, value: string) {
+            fitCategoryLabel(this, value, categoryLabels);
+            return null;
+        });
+    }
 }
 
 export function drawBars(container: any, processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig): void {
@@ -75,34 +487,21 @@ export function drawBars(container: any, processedData: ProcessedData[], xScale:
         .attr("class", "bars-group");
     const barsGroupUpdate = barsGroupEnter.merge(barsGroup);
 
-    const barGroups = barsGroupUpdate.selectAll(".bar-group").data(processedData, (d: any) => d.label);
+    const barGroups = barsGroupUpdate.selectAll(".bar-group").data(processedData, barKey);
+
+    const barGroupTransform = (d: any) =>
+        categoryTransform(categoryBand(d, xScale, config, margins, processedData.length).offset, config);
 
     const barGroupsEnter = barGroups.enter()
         .append("g")
         .attr("class", "bar-group")
-        .attr("transform", (d: any) => {
-            if (xScale.bandwidth) {
-                return `translate(${xScale(d.label)}, 0)`;
-            } else {
-                const barWidth = getBarWidth(xScale, processedData.length, config.width - margins.left - margins.right);
-                const barX = getBarPosition(xScale, d.label, barWidth);
-                return `translate(${barX}, 0)`;
-            }
-        });
+        .attr("transform", barGroupTransform);
 
     const barGroupsUpdate = barGroupsEnter.merge(barGroups)
         .transition()
         .duration(config.duration)
         .ease(config.ease)
-        .attr("transform", (d: any) => {
-            if (xScale.bandwidth) {
-                return `translate(${xScale(d.label)}, 0)`;
-            } else {
-                const barWidth = getBarWidth(xScale, processedData.length, config.width - margins.left - margins.right);
-                const barX = getBarPosition(xScale, d.label, barWidth);
-                return `translate(${barX}, 0)`;
-            }
-        });
+        .attr("transform", barGroupTransform);
 
     if (config.stacked) {
         drawStackedBars(barGroupsUpdate, xScale, yScale, config, margins);
@@ -110,7 +509,7 @@ export function drawBars(container: any, processedData: ProcessedData[], xScale:
         drawWaterfallBars(barGroupsUpdate, xScale, yScale, config, margins, processedData);
     }
 
-    drawValueLabels(barGroupsUpdate, xScale, yScale, config, margins);
+    drawValueLabels(barGroupsUpdate, processedData, xScale, yScale, config, margins);
 
     barGroups.exit()
         .transition()
@@ -123,49 +522,63 @@ export function drawBars(container: any, processedData: ProcessedData[], xScale:
 export function drawStackedBars(barGroups: any, xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig): void {
     barGroups.each(function(this: SVGGElement, d: any) {
         const group = d3.select(this);
-        const stackData = d.stacks.map((stack: any, i: number) => ({
-            ...stack,
-            stackIndex: i,
-            parent: d
-        }));
+        const stackData = d.stacks.map((stack: any, i: number) => {
+            const style = resolveFormatting(config.formattingRules.values(), d, stack);
+            const color = style.fill || stack.color;
+            return {
+                ...stack,
+                color,
+                style,
+                pattern: patternFill(this, style, color),
+                stackIndex: i,
+                parent: d
+            };
+        });
+
+        const barWidth = categoryBand(d, xScale, config, margins, barGroups.size()).width;
+        const collapsed = collapsedRect(yScale, barWidth, config);
 
         let cumulativeHeight = d.prevCumulativeTotal || 0;
         stackData.forEach((stack: any) => {
             stack.startY = cumulativeHeight;
             stack.endY = cumulativeHeight + stack.value;
-            stack.y = yScale(Math.max(stack.startY, stack.endY));
-            stack.height = Math.abs(yScale(stack.startY) - yScale(stack.endY));
+            Object.assign(stack, valueSpanRect(stack.startY, stack.endY, yScale, barWidth, config));
             cumulativeHeight += stack.value;
         });
 
         const stacks = group.selectAll(".stack").data(stackData);
 
-        const barWidth = xScale.bandwidth ? xScale.bandwidth() : getBarWidth(xScale, barGroups.size(), config.width - margins.left - margins.right);
-
         const stacksEnter = stacks.enter()
             .append("rect")
             .attr("class", "stack")
-            .attr("x", 0)
-            .attr("width", barWidth)
-            .attr("y", yScale(0))
-            .attr("height", 0)
+            .attr("x", collapsed.x)
+            .attr("y", collapsed.y)
+            .attr("width", collapsed.width)
+            .attr("height", collapsed.height)
             .attr("fill", (stack: any) => stack.color);
 
+        // Patterns go in the fill style so the colour can still transition underneath
         (stacksEnter as any).merge(stacks)
+            .style("fill", (stack: any) => stack.pattern)
             .transition()
             .duration(config.duration)
             .ease(config.ease)
+            .attr("x", (stack: any) => stack.x)
             .attr("y", (stack: any) => stack.y)
+            .attr("width", (stack: any) => stack.width)
             .attr("height", (stack: any) => stack.height)
             .attr("fill", (stack: any) => stack.color)
-            .attr("width", barWidth);
+            .attr("stroke", (stack: any) => stack.style.stroke || null)
+            .attr("stroke-width", (stack: any) => stack.style.strokeWidth ?? null);
 
         stacks.exit()
             .transition()
             .duration(config.duration)
             .ease(config.ease)
-            .attr("height", 0)
-            .attr("y", yScale(0))
+            .attr("x", collapsed.x)
+            .attr("y", collapsed.y)
+            .attr("width", collapsed.width)
+            .attr("height", collapsed.height)
             .remove();
 
         const stackLabels = group.selectAll(".stack-label").data(stackData.filter((s: any) => s.label));
@@ -174,8 +587,8 @@ export function drawStackedBars(barGroups: any, xScale: any, yScale: any, config
             .append("text")
             .attr("class", "stack-label")
             .attr("text-anchor", "middle")
-            .attr("x", barWidth / 2)
-            .attr("y", yScale(0))
+            .attr("x", collapsed.x + collapsed.width / 2)
+            .attr("y", collapsed.y + collapsed.height / 2)
             .style("opacity", 0);
 
         (stackLabelsEnter as any).merge(stackLabels)
@@ -183,7 +596,7 @@ export function drawStackedBars(barGroups: any, xScale: any, yScale: any, config
             .duration(config.duration)
             .ease(config.ease)
             .attr("y", (stack: any) => stack.y + stack.height / 2 + 4)
-            .attr("x", barWidth / 2)
+            .attr("x", (stack: any) => stack.x + stack.width / 2)
             .style("opacity", 1)
             .text((stack: any) => stack.label);
 
@@ -196,37 +609,39 @@ export function drawStackedBars(barGroups: any, xScale: any, yScale: any, config
     });
 }
 
+/**
+ * Fill of a non-stacked bar before formatting rules: its single stack's colour, or the
+ * advanced colour scheme's pick when advancedColorConfig is enabled. Conditional mode
+ * colours increases and decreases and leaves totals their own colour; sequential and
+ * diverging modes colour by value on the same scales the legend's gradient shows.
+ */
+export function getBarColor(d: ProcessedData, index: number, config: ChartConfig, allData: ProcessedData[]): string {
+    const defaultColor = d.stacks.length === 1 ? d.stacks[0].color : "#3498db";
+    if (!config.advancedColorConfig.enabled) return defaultColor;
+    const themeName = (config.advancedColorConfig.themeName as keyof ThemeCollection) || 'default';
+    if (config.colorMode === 'conditional' && d.isTotal) return defaultColor;
+    if (config.colorMode !== 'default') {
+        return getAdvancedBarColor(d.barTotal, defaultColor, allData, themeName, config.colorMode);
+    }
+    const palette = getThemeColorPalette(themeName);
+    return palette[index % palette.length];
+}
+
 export function drawWaterfallBars(barGroups: any, xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig, allData: ProcessedData[] = []): void {
     barGroups.each(function(this: SVGGElement, d: any, i: number) {
         const group = d3.select(this);
 
-        const barWidth = xScale.bandwidth ? xScale.bandwidth() : getBarWidth(xScale, barGroups.size(), config.width - margins.left - margins.right);
-
-        const defaultColor = d.stacks.length === 1 ? d.stacks[0].color : "#3498db";
-        let advancedColor = defaultColor;
-        if (config.advancedColorConfig.enabled) {
-            if (config.colorMode === 'conditional') {
-                advancedColor = getAdvancedBarColor(
-                    d.barTotal, defaultColor, allData,
-                    config.advancedColorConfig.themeName as keyof ThemeCollection || 'default',
-                    config.colorMode
-                );
-            } else {
-                const themeName = (config.advancedColorConfig.themeName as keyof ThemeCollection) || 'default';
-                const palette = getThemeColorPalette(themeName);
-                advancedColor = palette[i % palette.length];
-            }
-        }
+        const barWidth = categoryBand(d, xScale, config, margins, barGroups.size()).width;
+        const collapsed = collapsedRect(yScale, barWidth, config);
 
+        const style = resolveFormatting(config.formattingRules.values(), d);
+        const color = style.fill || getBarColor(d, i, config, allData);
         const barData = [{
             value: d.barTotal,
-            color: advancedColor,
-            y: d.isTotal ?
-                Math.min(yScale(0), yScale(d.cumulativeTotal)) :
-                yScale(Math.max(d.prevCumulativeTotal, d.cumulativeTotal)),
-            height: d.isTotal ?
-                Math.abs(yScale(0) - yScale(d.cumulativeTotal)) :
-                Math.abs(yScale(d.prevCumulativeTotal || 0) - yScale(d.cumulativeTotal)),
+            color,
+            style,
+            pattern: patternFill(this, style, color),
+            ...valueSpanRect(d.isTotal ? 0 : d.prevCumulativeTotal || 0, d.cumulativeTotal, yScale, barWidth, config),
             parent: d
         }];
 
@@ -235,75 +650,94 @@ export function drawWaterfallBars(barGroups: any, xScale: any, yScale: any, conf
         const barsEnter = bars.enter()
             .append("rect")
             .attr("class", "waterfall-bar")
-            .attr("x", 0)
-            .attr("width", barWidth)
-            .attr("y", yScale(0))
-            .attr("height", 0)
+            .attr("x", collapsed.x)
+            .attr("y", collapsed.y)
+            .attr("width", collapsed.width)
+            .attr("height", collapsed.height)
             .attr("fill", (bar: any) => bar.color);
 
         (barsEnter as any).merge(bars)
+            .style("fill", (bar: any) => bar.pattern)
             .transition()
             .duration(config.duration)
             .ease(config.ease)
+            .attr("x", (bar: any) => bar.x)
             .attr("y", (bar: any) => bar.y)
+            .attr("width", (bar: any) => bar.width)
             .attr("height", (bar: any) => bar.height)
             .attr("fill", (bar: any) => bar.color)
-            .attr("width", barWidth);
+            .attr("stroke", (bar: any) => bar.style.stroke || null)
+            .attr("stroke-width", (bar: any) => bar.style.strokeWidth ?? null);
 
         bars.exit()
             .transition()
             .duration(config.duration)
             .ease(config.ease)
-            .attr("height", 0)
-            .attr("y", yScale(0))
+            .attr("x", collapsed.x)
+            .attr("y", collapsed.y)
+            .attr("width", collapsed.width)
+            .attr("height", collapsed.height)
             .remove();
     });
 }
 
-export function drawValueLabels(barGroups: any, xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig): void {
+/**
+ * Bars as the value label layout sees them, in drawing order: bounds, the fill the label
+ * sits on when inside (the end segment's colour in stacked mode) and formatting style.
+ */
+export function getLabelledBars(processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig): LabelledBar[] {
+    return processedData.map((d, i) => {
+        const style = resolveFormatting(config.formattingRules.values(), d);
+        const fill = config.stacked
+            ? d.stacks[d.stacks.length - 1]?.color || "#3498db"
+            : style.fill || getBarColor(d, i, config, processedData);
+        return { d, geometry: getBarGeometry(d, null, xScale, yScale, config, margins, processedData.length), fill, style };
+    });
+}
+
+export function drawValueLabels(barGroups: any, processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig): void {
+    const labels = new Map(getValueLabels(getLabelledBars(processedData, xScale, yScale, config, margins), config).map(label => [label.d, label]));
+    const horizontal = isHorizontal(config);
+
     barGroups.each(function(this: SVGGElement, d: any) {
         const group = d3.select(this);
-        const barWidth = getBarWidth(xScale, barGroups.size(), config.width - margins.left - margins.right);
+        const { offset, width: barWidth } = categoryBand(d, xScale, config, margins, barGroups.size());
 
-        const labelData = d.barTotal === 0 ? [] : [{
-            value: d.barTotal,
-            formattedValue: config.formatNumber(d.barTotal),
-            parent: d
-        }];
+        // Labels are laid out in SVG coordinates and drawn inside the translated bar group
+        const label = labels.get(d);
+        const labelData = label
+            ? [{ ...label, x: horizontal ? label.x : label.x - offset, y: horizontal ? label.y - offset : label.y }]
+            : [];
 
         const totalLabels = group.selectAll(".total-label").data(labelData);
 
         const totalLabelsEnter = totalLabels.enter()
             .append("text")
             .attr("class", "total-label")
-            .attr("text-anchor", "middle")
-            .attr("x", barWidth / 2)
-            .attr("y", yScale(0))
-            .style("opacity", 0)
-            .style("font-family", "Arial, sans-serif");
+            .attr("x", horizontal ? yScale(0) : barWidth / 2)
+            .attr("y", horizontal ? barWidth / 2 : yScale(0))
+            .style("opacity", 0);
 
         const labelUpdate = (totalLabelsEnter as any).merge(totalLabels);
 
         labelUpdate
+            .attr("text-anchor", (labelD: ValueLabel) => labelD.anchor)
+            .classed("inside", (labelD: ValueLabel) => labelD.inside)
             .transition()
             .duration(config.duration)
             .ease(config.ease)
-            .attr("y", (labelD: any) => {
-                const barTop = yScale(labelD.parent.cumulativeTotal);
-                const padding = 8;
-                const finalY = barTop - padding;
-                return finalY;
-            })
-            .attr("x", barWidth / 2)
+            .attr("y", (labelD: ValueLabel) => labelD.y)
+            .attr("x", (labelD: ValueLabel) => labelD.x)
             .style("opacity", 1)
-            .style("fill", "#333")
-            .style("font-weight", "bold")
-            .style("font-size", "14px")
+            .style("fill", (labelD: ValueLabel) => labelD.color)
+            .style("font-family", (labelD: ValueLabel) => labelD.fontFamily)
+            .style("font-weight", (labelD: ValueLabel) => labelD.fontWeight)
+            .style("font-size", (labelD: ValueLabel) => `${labelD.fontSize}px`)
             .style("pointer-events", "none")
             .style("visibility", "visible")
             .style("display", "block")
             .attr("clip-path", "none")
-            .text((labelD: any) => labelD.formattedValue);
+            .text((labelD: ValueLabel) => labelD.text);
 
         totalLabels.exit()
             .transition()
@@ -314,8 +748,76 @@ export function drawValueLabels(barGroups: any, xScale: any, yScale: any, config
     });
 }
 
-export function drawConnectors(container: any, processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig): void {
-    if (config.stacked || processedData.length < 2) return;
+export interface Connector {
+    id: string;
+    x1: number;
+    y1: number;
+    x2: number;
+    y2: number;
+    // Running total printed at the connector when connectorOptions.showLabels is on
+    label: { text: string; x: number; y: number; anchor: "start" | "middle" } | null;
+}
+
+// connectorOptions over the defaults, since the option object is replaced rather than merged
+export function resolveConnectorOptions(config: ChartConfig): Required<ConnectorOptions> {
+    return { ...defaultConfig.connectorOptions, ...config.connectorOptions } as Required<ConnectorOptions>;
+}
+
+/**
+ * Dash pattern for connectorOptions.style, scaled to the line width; null for solid lines.
+ */
+export function getConnectorDash(config: ChartConfig): number[] | null {
+    const { style, width } = resolveConnectorOptions(config);
+    if (style === "dashed") return [3 * width, 3 * width];
+    if (style === "dotted") return [width, 2 * width];
+    return null;
+}
+
+// Value the connector leaves a bar at: its running total, or in stacked mode the top of its segments
+function connectorLevel(d: ProcessedData, config: ChartConfig): number {
+    if (!config.stacked || d.isTotal) return d.cumulativeTotal;
+    let level = d.prevCumulativeTotal || 0;
+    let top = level;
+    d.stacks.forEach(stack => {
+        level += stack.value;
+        top = Math.max(top, level);
+    });
+    return top;
+}
+
+/**
+ * Connector lines between consecutive bars of each series, in SVG coordinates. Lines span
+ * the gap between the bars, or with connectorOptions.step run from the middle of one bar
+ * to the middle of the next; skipTotals leaves out lines into subtotal and total bars.
+ */
+export function getConnectors(processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig): Connector[] {
+    const options = resolveConnectorOptions(config);
+    const horizontal = isHorizontal(config);
+
+    return getConnectorPairs(processedData)
+        .filter(([, next]) => !(options.skipTotals && next.isTotal))
+        .map(([current, next]) => {
+            const currentBand = categoryBand(current, xScale, config, margins, processedData.length);
+            const nextBand = categoryBand(next, xScale, config, margins, processedData.length);
+            const from = options.step ? currentBand.offset + currentBand.width / 2 : currentBand.offset + currentBand.width;
+            const to = options.step ? nextBand.offset + nextBand.width / 2 : nextBand.offset;
+            const level = yScale(connectorLevel(current, config));
+            const middle = (from + to) / 2;
+            const text = config.formatNumber(current.cumulativeTotal);
+            const label = !options.showLabels ? null : horizontal
+                ? { text, x: level + 4, y: middle + 4, anchor: "start" as const }
+                : { text, x: middle, y: level - 4, anchor: "middle" as const };
+
+            return horizontal
+                ? { id: `${barKey(current)}-${barKey(next)}`, x1: level, x2: level, y1: from, y2: to, label }
+                : { id: `${barKey(current)}-${barKey(next)}`, x1: from, x2: to, y1: level, y2: level, label };
+        });
+}
+
+export function drawConnectors(container: any, processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig): void {
+    const options = resolveConnectorOptions(config);
+    const connectorData = getConnectors(processedData, xScale, yScale, config, margins);
+    const dash = getConnectorDash(config);
 
     const connectorsGroup = container.selectAll(".connectors-group").data([0]);
     const connectorsGroupEnter = connectorsGroup.enter()
@@ -323,46 +825,29 @@ export function drawConnectors(container: any, processedData: ProcessedData[], x
         .attr("class", "connectors-group");
     const connectorsGroupUpdate = connectorsGroupEnter.merge(connectorsGroup);
 
-    const connectorData: any[] = [];
-    for (let i = 0; i < processedData.length - 1; i++) {
-        const current = processedData[i];
-        const next = processedData[i + 1];
-
-        const barWidth = getBarWidth(xScale, processedData.length, config.width - config.margin.left - config.margin.right);
-        const currentX = getBarPosition(xScale, current.label, barWidth);
-        const nextX = getBarPosition(xScale, next.label, barWidth);
-
-        connectorData.push({
-            x1: currentX + barWidth,
-            x2: nextX,
-            y: yScale(current.cumulativeTotal),
-            id: `${current.label}-${next.label}`
-        });
-    }
-
-    const connectors = connectorsGroupUpdate.selectAll(".connector").data(connectorData, (d: any) => d.id);
+    const connectors = connectorsGroupUpdate.selectAll(".connector").data(connectorData, (d: Connector) => d.id);
 
     const connectorsEnter = connectors.enter()
         .append("line")
         .attr("class", "connector")
-        .attr("stroke", "#bdc3c7")
-        .attr("stroke-width", 1)
-        .attr("stroke-dasharray", "3,3")
         .style("opacity", 0)
-        .attr("x1", (d: any) => d.x1)
-        .attr("x2", (d: any) => d.x1)
-        .attr("y1", (d: any) => d.y)
-        .attr("y2", (d: any) => d.y);
+        .attr("x1", (d: Connector) => d.x1)
+        .attr("x2", (d: Connector) => d.x1)
+        .attr("y1", (d: Connector) => d.y1)
+        .attr("y2", (d: Connector) => d.y1);
 
     connectorsEnter.merge(connectors)
+        .attr("stroke", options.color)
+        .attr("stroke-width", options.width)
+        .attr("stroke-dasharray", dash ? dash.join(",") : null)
         .transition()
         .duration(config.duration)
         .ease(config.ease)
         .delay((d: any, i: number) => config.staggeredAnimations ? i * config.staggerDelay : 0)
-        .attr("x1", (d: any) => d.x1)
-        .attr("x2", (d: any) => d.x2)
-        .attr("y1", (d: any) => d.y)
-        .attr("y2", (d: any) => d.y)
+        .attr("x1", (d: Connector) => d.x1)
+        .attr("x2", (d: Connector) => d.x2)
+        .attr("y1", (d: Connector) => d.y1)
+        .attr("y2", (d: Connector) => d.y2)
         .style("opacity", 0.6);
 
     connectors.exit()
@@ -371,27 +856,43 @@ export function drawConnectors(container: any, processedData: ProcessedData[], x
         .ease(config.ease)
         .style("opacity", 0)
         .remove();
-}
 
-export function drawTrendLine(container: any, processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig): void {
-    if (!config.showTrendLine || processedData.length < 2) {
-        container.selectAll(".trend-group").remove();
-        return;
-    }
+    const labels = connectorsGroupUpdate.selectAll(".connector-label")
+        .data(connectorData.filter(d => d.label), (d: Connector) => d.id);
 
-    const trendGroup = container.selectAll(".trend-group").data([0]);
-    const trendGroupEnter = trendGroup.enter()
-        .append("g")
-        .attr("class", "trend-group");
-    const trendGroupUpdate = trendGroupEnter.merge(trendGroup);
+    labels.enter()
+        .append("text")
+        .attr("class", "connector-label")
+        .style("font-family", "Arial, sans-serif")
+        .style("font-size", "11px")
+        .attr("fill", "#666")
+        .style("opacity", 0)
+        .attr("x", (d: Connector) => d.label!.x)
+        .attr("y", (d: Connector) => d.label!.y)
+        .merge(labels)
+        .attr("text-anchor", (d: Connector) => d.label!.anchor)
+        .text((d: Connector) => d.label!.text)
+        .transition()
+        .duration(config.duration)
+        .ease(config.ease)
+        .attr("x", (d: Connector) => d.label!.x)
+        .attr("y", (d: Connector) => d.label!.y)
+        .style("opacity", 1);
+
+    labels.exit().remove();
+}
 
+/**
+ * Path data for the trend line through the bars' running totals: a least-squares line,
+ * a centred moving average or a curvature-adjusted fit, per config.trendLineType.
+ */
+export function getTrendLinePath(processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig): string {
     const trendData: { x: number; y: number }[] = [];
 
     const dataPoints: { x: number; y: number; value: number }[] = [];
-    for (let i = 0; i < processedData.length; i++) {
-        const item = processedData[i];
-        const barWidth = getBarWidth(xScale, processedData.length, config.width - config.margin.left - config.margin.right);
-        const x = getBarPosition(xScale, item.label, barWidth) + barWidth / 2;
+    for (const item of primarySeries(processedData)) {
+        const band = categoryBand(item, xScale, config, config.margin, processedData.length);
+        const x = band.offset + band.width / 2;
         const actualY = yScale(item.cumulativeTotal);
         dataPoints.push({ x, y: actualY, value: item.cumulativeTotal });
     }
@@ -453,14 +954,40 @@ export function drawTrendLine(container: any, processedData: ProcessedData[], xS
         });
     }
 
+    // Trend points are computed as (category, value) pixels; horizontal charts swap them
+    const horizontal = isHorizontal(config);
     const line = d3.line<{ x: number; y: number }>()
-        .x(d => d.x)
-        .y(d => d.y)
+        .x(d => horizontal ? d.y : d.x)
+        .y(d => horizontal ? d.x : d.y)
         .curve(config.trendLineType === "polynomial" ? d3.curveCardinal :
-               config.trendLineType === "moving-average" ? d3.curveMonotoneX :
+               config.trendLineType === "moving-average" ? (horizontal ? d3.curveMonotoneY : d3.curveMonotoneX) :
                d3.curveLinear);
 
-    const trendLine = trendGroupUpdate.selectAll(".trend-line").data([trendData]);
+    return line(trendData) || "";
+}
+
+// stroke-dasharray for config.trendLineStyle; null draws a solid line
+export function getTrendLineDash(config: ChartConfig): string | null {
+    if (config.trendLineStyle === "dashed") return "5,5";
+    if (config.trendLineStyle === "dotted") return "2,3";
+    return null;
+}
+
+export function drawTrendLine(container: any, processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig): void {
+    if (!config.showTrendLine || processedData.length < 2) {
+        container.selectAll(".trend-group").remove();
+        return;
+    }
+
+    const trendGroup = container.selectAll(".trend-group").data([0]);
+    const trendGroupEnter = trendGroup.enter()
+        .append("g")
+        .attr("class", "trend-group");
+    const trendGroupUpdate = trendGroupEnter.merge(trendGroup);
+
+    const trendPath = getTrendLinePath(processedData, xScale, yScale, config);
+
+    const trendLine = trendGroupUpdate.selectAll(".trend-line").data([trendPath]);
 
     const trendLineEnter = trendLine.enter()
         .append("path")
@@ -472,13 +999,7 @@ export function drawTrendLine(container: any, processedData: ProcessedData[], xS
         .style("opacity", 0);
 
     function applyStrokeStyle(selection: any) {
-        if (config.trendLineStyle === "dashed") {
-            selection.attr("stroke-dasharray", "5,5");
-        } else if (config.trendLineStyle === "dotted") {
-            selection.attr("stroke-dasharray", "2,3");
-        } else {
-            selection.attr("stroke-dasharray", null);
-        }
+        selection.attr("stroke-dasharray", getTrendLineDash(config));
     }
 
     applyStrokeStyle(trendLineEnter);
@@ -490,7 +1011,7 @@ export function drawTrendLine(container: any, processedData: ProcessedData[], xS
         .transition()
         .duration(config.duration)
         .ease(config.ease)
-        .attr("d", line)
+        .attr("d", trendPath)
         .attr("stroke", config.trendLineColor)
         .attr("stroke-width", config.trendLineWidth)
         .attr("stroke-opacity", config.trendLineOpacity)
@@ -504,6 +1025,20 @@ export function drawTrendLine(container: any, processedData: ProcessedData[], xS
         .remove();
 }
 
+// Confidence band and scenario trend paths for config.confidenceBandConfig.scenarios
+export function getConfidenceBandPaths(processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig): { confidencePath: string; optimisticPath: string; pessimisticPath: string } {
+    return createWaterfallConfidenceBands(
+        // Totals restate the running total and absolute bars reset it, so neither is a delta
+        primarySeries(processedData).map(d => d.type === "absolute"
+            ? { label: d.label, value: d.barTotal, absolute: true }
+            : { label: d.label, value: d.isTotal ? 0 : d.barTotal }),
+        config.confidenceBandConfig.scenarios!,
+        xScale,
+        yScale,
+        config.orientation
+    );
+}
+
 export function drawConfidenceBands(container: any, processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig): void {
     if (!config.confidenceBandConfig.enabled || !config.confidenceBandConfig.scenarios) return;
 
@@ -514,12 +1049,7 @@ export function drawConfidenceBands(container: any, processedData: ProcessedData
 
     const confidenceGroupUpdate = confidenceGroupEnter.merge(confidenceGroup);
 
-    const confidenceBandData = createWaterfallConfidenceBands(
-        processedData.map(d => ({ label: d.label, value: d.barTotal })),
-        config.confidenceBandConfig.scenarios,
-        xScale,
-        yScale
-    );
+    const confidenceBandData = getConfidenceBandPaths(processedData, xScale, yScale, config);
 
     const confidencePath = confidenceGroupUpdate.selectAll(".confidence-band").data([confidenceBandData.confidencePath]);
 
@@ -582,7 +1112,112 @@ export function drawConfidenceBands(container: any, processedData: ProcessedData
         .remove();
 }
 
-export function drawMilestones(container: any, processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig): void {
+// Milestones sit at the middle of their category's band or period; those on categories the
+// scale doesn't place (zoomed out of view, or without a period) are skipped
+export function getMilestoneMarkers(xScale: any, yScale: any, config: ChartConfig): ReturnType<typeof createWaterfallMilestones> {
+    const centre = (label: string) => getCategoryCentre(xScale, label);
+    return createWaterfallMilestones(
+        config.milestoneConfig.milestones.filter(m => Number.isFinite(centre(m.label))),
+        centre,
+        yScale,
+        config.orientation
+    );
+}
+
+/**
+ * Reference bands from milestoneConfig.bands, spanning the plot along the category axis.
+ */
+export function getReferenceBands(yScale: any, config: ChartConfig, margins: MarginConfig): ReturnType<typeof createWaterfallReferenceBands> {
+    if (!config.milestoneConfig.enabled) return [];
+    const start = isHorizontal(config) ? margins.top : margins.left;
+    return createWaterfallReferenceBands(config.milestoneConfig.bands || [], yScale, [start, start + categoryExtent(config, margins)], config.orientation);
+}
+
+export interface PeriodGapRect extends BarGeometry {
+    key: string;
+    // gapLabel, or empty when the gap is too narrow to hold it
+    text: string;
+    labelX: number;
+    labelY: number;
+}
+
+/**
+ * Rectangles across the plot for the stretches of a period axis no bar covers, so missing
+ * periods read as gaps rather than as a squeezed axis. Empty on other scales or with
+ * periodOptions.showGaps off.
+ */
+export function getPeriodGapRects(xScale: any, config: ChartConfig, margins: MarginConfig): PeriodGapRect[] {
+    const options = resolvePeriodOptions(config);
+    if (!xScale.periods || !options.showGaps) return [];
+    const horizontal = isHorizontal(config);
+    const valueStart = horizontal ? margins.left : margins.top;
+    const valueLength = horizontal
+        ? config.width - margins.left - margins.right
+        : config.height - margins.top - margins.bottom;
+    return getPeriodGaps(xScale.periods()).map(gap => {
+        const [a, b] = [xScale(gap.start), xScale(gap.end)];
+        const start = Math.min(a, b);
+        const length = Math.abs(b - a);
+        // Label across a vertical chart's gap only when it fits; a horizontal gap needs one line
+        const fits = horizontal ? length >= 12 : estimateTextWidth(options.gapLabel) + 4 <= length;
+        return {
+            key: String(+gap.start),
+            x: horizontal ? valueStart : start,
+            y: horizontal ? start : valueStart,
+            width: horizontal ? valueLength : length,
+            height: horizontal ? length : valueLength,
+            text: fits ? options.gapLabel : "",
+            labelX: horizontal ? valueStart + valueLength / 2 : start + length / 2,
+            labelY: horizontal ? start + length / 2 : valueStart + valueLength / 2,
+        };
+    });
+}
+
+export interface TargetMarker {
+    key: string;
+    path: string;
+    // Target's value as given, formatted; empty unless showTargetLabels is on
+    text: string;
+    labelX: number;
+    labelY: number;
+}
+
+/**
+ * Bullet-chart ticks for milestoneConfig.targets across their bars. A delta bar's target is
+ * a budgeted change, drawn where the bar would end from its starting total; a subtotal's or
+ * total's target is the budgeted level. Targets for bars not drawn are skipped.
+ */
+export function getTargetMarkers(processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig): TargetMarker[] {
+    if (!config.milestoneConfig.enabled) return [];
+    const horizontal = isHorizontal(config);
+    const targets = (config.milestoneConfig.targets || []).flatMap(target => {
+        const d = processedData.find(bar => bar.label === target.label && (target.series === undefined || bar.seriesName === target.series));
+        if (!d) return [];
+        const g = getBarGeometry(d, null, xScale, yScale, config, margins, processedData.length);
+        return [{
+            key: barKey(d),
+            target,
+            start: horizontal ? g.y : g.x,
+            width: horizontal ? g.height : g.width,
+            value: d.isTotal ? target.value : (d.prevCumulativeTotal || 0) + target.value,
+        }];
+    });
+    const markers = createWaterfallTargetMarkers(targets, yScale, config.orientation);
+    return targets.map((t, i) => ({
+        key: t.key,
+        ...markers[i],
+        text: config.milestoneConfig.showTargetLabels ? config.formatNumber(t.target.value) : "",
+    }));
+}
+
+// Colour of the target ticks, shared with the legend
+export function getTargetColor(config: ChartConfig): string {
+    return config.milestoneConfig.targetColor || defaultConfig.milestoneConfig.targetColor!;
+}
+
+export function drawMilestones(container: any, processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig): void {
+    drawReferenceBands(container, yScale, config, margins);
+    drawTargetMarkers(container, processedData, xScale, yScale, config, margins);
     if (!config.milestoneConfig.enabled || config.milestoneConfig.milestones.length === 0) return;
 
     const milestonesGroup = container.selectAll(".milestones-group").data([0]);
@@ -592,11 +1227,7 @@ export function drawMilestones(container: any, processedData: ProcessedData[], x
 
     const milestonesGroupUpdate = milestonesGroupEnter.merge(milestonesGroup);
 
-    const milestoneMarkers = createWaterfallMilestones(
-        config.milestoneConfig.milestones,
-        xScale,
-        yScale
-    );
+    const milestoneMarkers = getMilestoneMarkers(xScale, yScale, config);
 
     const markers = milestonesGroupUpdate.selectAll(".milestone-marker").data(milestoneMarkers);
 
@@ -625,3 +1256,192 @@ export function drawMilestones(container: any, processedData: ProcessedData[], x
         .style("opacity", 0)
         .remove();
 }
+
+// Bands shade the plot behind the bars, so their group goes first in the chart group
+function drawReferenceBands(container: any, yScale: any, config: ChartConfig, margins: MarginConfig): void {
+    const bands = getReferenceBands(yScale, config, margins);
+    const bandsGroup = container.selectAll(".reference-bands-group").data(bands.length ? [0] : []);
+    bandsGroup.exit().remove();
+    const bandsGroupUpdate = bandsGroup.enter()
+        .insert("g", ":first-child")
+        .attr("class", "reference-bands-group")
+        .merge(bandsGroup);
+
+    const rects = bandsGroupUpdate.selectAll(".reference-band").data(bands);
+    rects.exit().remove();
+    rects.enter()
+        .append("rect")
+        .attr("class", "reference-band")
+        .style("opacity", 0)
+        .merge(rects)
+        .attr("fill", (d: any) => d.color)
+        .transition()
+        .duration(config.duration)
+        .ease(config.ease)
+        .attr("x", (d: any) => d.x)
+        .attr("y", (d: any) => d.y)
+        .attr("width", (d: any) => d.width)
+        .attr("height", (d: any) => d.height)
+        .style("opacity", 0.15);
+
+    const labels = bandsGroupUpdate.selectAll(".reference-band-label").data(bands.filter(band => band.label));
+    labels.exit().remove();
+    labels.enter()
+        .append("text")
+        .attr("class", "reference-band-label")
+        .style("font-family", "Arial, sans-serif")
+        .style("font-size", "11px")
+        .attr("fill", "#555")
+        .merge(labels)
+        .attr("x", (d: any) => d.labelX)
+        .attr("y", (d: any) => d.labelY)
+        .attr("text-anchor", (d: any) => d.labelAnchor)
+        .text((d: any) => d.label);
+}
+
+// Gaps shade the plot behind the bars like reference bands, so their group goes first
+export function drawPeriodGaps(container: any, xScale: any, config: ChartConfig, margins: MarginConfig): void {
+    const gaps = getPeriodGapRects(xScale, config, margins);
+    const gapsGroup = container.selectAll(".period-gaps-group").data(gaps.length ? [0] : []);
+    gapsGroup.exit().remove();
+    const gapsGroupUpdate = gapsGroup.enter()
+        .insert("g", ":first-child")
+        .attr("class", "period-gaps-group")
+        .merge(gapsGroup);
+
+    const rects = gapsGroupUpdate.selectAll(".period-gap").data(gaps, (d: PeriodGapRect) => d.key);
+    rects.exit().remove();
+    rects.enter()
+        .append("rect")
+        .attr("class", "period-gap")
+        .attr("fill", "#f4f4f4")
+        .attr("stroke", "#ccc")
+        .attr("stroke-dasharray", "4,3")
+        .merge(rects)
+        .attr("x", (d: PeriodGapRect) => d.x)
+        .attr("y", (d: PeriodGapRect) => d.y)
+        .attr("width", (d: PeriodGapRect) => d.width)
+        .attr("height", (d: PeriodGapRect) => d.height);
+
+    const labels = gapsGroupUpdate.selectAll(".period-gap-label").data(gaps.filter(d => d.text), (d: PeriodGapRect) => d.key);
+    labels.exit().remove();
+    labels.enter()
+        .append("text")
+        .attr("class", "period-gap-label")
+        .attr("text-anchor", "middle")
+        .attr("dy", "0.32em")
+        .style("font-family", "Arial, sans-serif")
+        .style("font-size", "10px")
+        .attr("fill", "#999")
+        .merge(labels)
+        .attr("x", (d: PeriodGapRect) => d.labelX)
+        .attr("y", (d: PeriodGapRect) => d.labelY)
+        .text((d: PeriodGapRect) => d.text);
+}
+
+function drawTargetMarkers(container: any, processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig): void {
+    const markers = getTargetMarkers(processedData, xScale, yScale, config, margins);
+    const color = getTargetColor(config);
+    const targetsGroup = container.selectAll(".targets-group").data(markers.length ? [0] : []);
+    targetsGroup.exit().remove();
+    const targetsGroupUpdate = targetsGroup.enter()
+        .append("g")
+        .attr("class", "targets-group")
+        .merge(targetsGroup);
+
+    const ticks = targetsGroupUpdate.selectAll(".target-marker").data(markers, (d: TargetMarker) => d.key);
+    ticks.exit().remove();
+    ticks.enter()
+        .append("path")
+        .attr("class", "target-marker")
+        .attr("stroke-width", 3)
+        .attr("stroke-linecap", "butt")
+        .attr("d", (d: TargetMarker) => d.path)
+        .style("opacity", 0)
+        .merge(ticks)
+        .attr("stroke", color)
+        .transition()
+        .duration(config.duration)
+        .ease(config.ease)
+        .attr("d", (d: TargetMarker) => d.path)
+        .style("opacity", 1);
+
+    const labels = targetsGroupUpdate.selectAll(".target-label").data(markers.filter(d => d.text), (d: TargetMarker) => d.key);
+    labels.exit().remove();
+    labels.enter()
+        .append("text")
+        .attr("class", "target-label")
+        .style("font-family", "Arial, sans-serif")
+        .style("font-size", "10px")
+        .merge(labels)
+        .attr("fill", color)
+        .attr("text-anchor", isHorizontal(config) ? "middle" : "start")
+        .attr("x", (d: TargetMarker) => d.labelX)
+        .attr("y", (d: TargetMarker) => d.labelY)
+        .text((d: TargetMarker) => d.text);
+}
+
+// Closed zig-zag band across `from`..`to` at value pixel `at`, drawn like a cut through the bar or axis
+function zigzagBand(from: number, to: number, at: number, horizontal: boolean): string {
+    const amplitude = 3;
+    const gap = 3;
+    const step = 6;
+    const along: number[] = [];
+    for (let p = from; p < to; p += step) along.push(p);
+    along.push(to);
+    const edge = (offset: number) => along.map((p, i) => [p, at + offset + (i % 2 ? amplitude : -amplitude)]);
+    const points = [...edge(-gap), ...edge(gap).reverse()].map(([p, v]) => horizontal ? [v, p] : [p, v]);
+    return `M${points.map(([x, y]) => `${+x.toFixed(2)},${+y.toFixed(2)}`).join("L")}Z`;
+}
+
+/**
+ * Break markers for a broken value axis: one across the axis line and one across every
+ * bar that spans the compressed stretch from zero to `valueBreak`.
+ */
+export function getAxisBreakMarkers(processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig, valueBreak: number): Array<{ key: string; path: string }> {
+    const horizontal = isHorizontal(config);
+    const middle = valueBreak / 2;
+    const at = yScale(middle);
+    const axisAt = horizontal ? config.height - margins.bottom : margins.left;
+
+    const bars = processedData
+        .filter(d => {
+            const base = d.isTotal ? 0 : d.prevCumulativeTotal || 0;
+            return Math.min(base, d.cumulativeTotal) < middle && Math.max(base, d.cumulativeTotal) > middle;
+        })
+        .map(d => {
+            const g = getBarGeometry(d, null, xScale, yScale, config, margins, processedData.length);
+            return {
+                key: barKey(d),
+                path: horizontal ? zigzagBand(g.y - 2, g.y + g.height + 2, at, true) : zigzagBand(g.x - 2, g.x + g.width + 2, at, false),
+            };
+        });
+    return [{ key: "axis", path: zigzagBand(axisAt - 6, axisAt + 6, at, horizontal) }, ...bars];
+}
+
+export function drawAxisBreak(container: any, processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig, valueBreak: number | null): void {
+    const markers = valueBreak === null ? [] : getAxisBreakMarkers(processedData, xScale, yScale, config, margins, valueBreak);
+
+    const breakGroup = container.selectAll(".axis-break-group").data(markers.length ? [0] : []);
+    breakGroup.exit().remove();
+    const breakGroupUpdate = breakGroup.enter()
+        .append("g")
+        .attr("class", "axis-break-group")
+        .merge(breakGroup);
+
+    const paths = breakGroupUpdate.selectAll(".axis-break").data(markers, (d: any) => d.key);
+    paths.exit().remove();
+    paths.enter()
+        .append("path")
+        .attr("class", "axis-break")
+        .attr("fill", "#fff")
+        .attr("stroke", "#666")
+        .attr("stroke-width", 1)
+        .style("opacity", 0)
+        .merge(paths)
+        .attr("d", (d: any) => d.path)
+        .transition()
+        .duration(config.duration)
+        .ease(config.ease)
+        .style("opacity", 1);
+}
@@ -0,0 +1,239 @@
+// MintWaterfall Chart Spec — JSON chart definitions and named function presets
+import * as d3 from "d3";
+import { ChartConfig, ChartSpec, FormattingRule, defaultConfig } from "./config.js";
+import { isValidFormattingRule } from "./formatting.js";
+import { isValidChartData } from "./lifecycle.js";
+import { isValidAnnotation } from "./annotations.js";
+
+export const CHART_SPEC_VERSION = 1;
+
+const SPEC_KEYS = ["version", "config", "data"];
+
+// Named easings, spelled like d3's without the "ease" prefix. d3's short aliases
+// (easeQuad is easeQuadInOut) are left out so each function has one name.
+const easePresets = new Map<string, (t: number) => number>(
+    ["Linear", "QuadIn", "QuadOut", "QuadInOut", "CubicIn", "CubicOut", "CubicInOut", "SinIn", "SinOut",
+        "SinInOut", "ExpIn", "ExpOut", "ExpInOut", "CircleIn", "CircleOut", "CircleInOut", "BackIn", "BackOut",
+        "BackInOut", "BounceIn", "BounceOut", "BounceInOut", "ElasticIn", "ElasticOut", "ElasticInOut"]
+        .map(name => [name[0].toLowerCase() + name.slice(1), (d3 as any)[`ease${name}`]] as [string, (t: number) => number])
+        .filter(([, ease]) => typeof ease === "function")
+);
+// The default easing and number format are presets, so a default config always serializes
+easePresets.set("quadInOut", defaultConfig.ease);
+
+const formatPresets = new Map<string, (n: number) => string>([
+    ["integer", defaultConfig.formatNumber],
+    ["thousands", d3.format(",.0f")],
+    ["decimal", d3.format(",.2f")],
+    ["currency", d3.format("$,.0f")],
+    ["currencyCents", d3.format("$,.2f")],
+    ["percent", d3.format(".0%")],
+    ["percentDecimal", d3.format(".1%")],
+    ["compact", d3.format(".3~s")],
+    ["compactCurrency", d3.format("$.3~s")],
+]);
+
+/**
+ * Name an easing function so chart specs can store it. Registering a built-in
+ * name replaces that preset.
+ */
+export function registerEasePreset(name: string, ease: (t: number) => number): void {
+    easePresets.set(name, ease);
+}
+
+/**
+ * Name a number formatter so chart specs can store it. Registering a built-in
+ * name replaces that preset.
+ */
+export function registerFormatPreset(name: string, format: (n: number) => string): void {
+    formatPresets.set(name, format);
+}
+
+export function getEasePreset(name: string): (t: number) => number {
+    const ease = easePresets.get(name);
+    if (!ease) throw new Error(`MintWaterfall: Unknown ease preset "${name}".`);
+    return ease;
+}
+
+export function getFormatPreset(name: string): (n: number) => string {
+    const format = formatPresets.get(name);
+    if (!format) throw new Error(`MintWaterfall: Unknown formatNumber preset "${name}".`);
+    return format;
+}
+
+function presetName<T>(presets: Map<string, T>, value: T, option: string, register: string): string {
+    for (const [name, preset] of presets) {
+        if (preset === value) return name;
+    }
+    throw new Error(`MintWaterfall: ${option} is not a named preset; register it with ${register}(name, fn) to serialize it.`);
+}
+
+// Keys each option object takes, from its interface; null for objects that pass other keys
+// through (colours by series name, tooltip, export, brush and zoom settings)
+const optionKeys: Record<string, string[] | null> = {
+    margin: ["top", "right", "bottom", "left"],
+    seriesColors: null,
+    axisBreak: ["enabled", "value", "size"],
+    periodOptions: ["interval", "showGaps", "gapLabel"],
+    connectorOptions: ["style", "color", "width", "skipTotals", "step", "showLabels"],
+    brushOptions: null,
+    legendOptions: ["position"],
+    advancedColorConfig: ["enabled", "scaleType", "themeName", "neutralThreshold"],
+    confidenceBandConfig: ["enabled", "scenarios", "opacity", "showTrendLines"],
+    milestoneConfig: ["enabled", "milestones", "bands", "targets", "targetLabel", "targetColor", "showTargetLabels"],
+    tooltipConfig: null,
+    exportConfig: null,
+    zoomConfig: null,
+    breakdownConfig: ["enabled", "levels", "field", "minGroupSize", "sortStrategy", "showOthers", "othersLabel", "maxGroups"],
+    valueLabelOptions: ["placement", "content", "fontSize", "fontFamily", "fontWeight"],
+    annotationOptions: ["editable", "color", "fontSize"],
+};
+
+// Values of string options the chart understands, by option path
+const optionValues: Record<string, string[]> = {
+    orientation: ["vertical", "horizontal"],
+    valueMode: ["absolute", "percentOfStart", "percentOfTotal"],
+    xLabelLayout: ["auto", "wrap", "rotate", "truncate", "none"],
+    scaleType: ["auto", "band", "ordinal", "time"],
+    colorMode: ["default", "conditional", "sequential", "diverging"],
+    trendLineStyle: ["solid", "dashed", "dotted"],
+    trendLineType: ["linear", "moving-average", "polynomial"],
+    "periodOptions.interval": ["day", "week", "month", "quarter", "year"],
+    "connectorOptions.style": ["solid", "dashed", "dotted"],
+    "legendOptions.position": ["top", "bottom", "right"],
+    "advancedColorConfig.scaleType": ["auto", "sequential", "diverging", "conditional"],
+    "breakdownConfig.sortStrategy": ["none", "value", "absolute", "label"],
+    "valueLabelOptions.placement": ["outside", "inside", "auto", "none"],
+    "valueLabelOptions.content": ["delta", "runningTotal", "deltaPercent"],
+};
+
+function kindOf(value: unknown): string {
+    if (value === null) return "null";
+    return Array.isArray(value) ? "array" : typeof value;
+}
+
+/**
+ * Plain-JSON form of a (possibly partial) config: ease and formatNumber become preset
+ * names, formatting rules an array. Function-valued options, such as rules with a
+ * function `when` or function tooltip content, cannot be stored and are left out.
+ */
+export function serializeConfig(config: Partial<ChartConfig>): Record<string, unknown> {
+    const out: Record<string, unknown> = {};
+    Object.entries(config).forEach(([key, value]) => {
+        if (key === "ease") {
+            out.ease = presetName(easePresets, value, "ease", "registerEasePreset");
+        } else if (key === "formatNumber") {
+            out.formatNumber = presetName(formatPresets, value, "formatNumber", "registerFormatPreset");
+        } else if (key === "formattingRules") {
+            out.formattingRules = Array.from((value as Map<string, FormattingRule>).values())
+                .filter(rule => typeof rule.when !== "function");
+        } else if (key === "breakpoints") {
+            out.breakpoints = (value as ChartConfig["breakpoints"]).map(bp => ({ ...bp, config: serializeConfig(bp.config) }));
+        } else {
+            out[key] = value;
+        }
+    });
+    return JSON.parse(JSON.stringify(out));
+}
+
+// Inverse of serializeConfig; expects a config that passed validation
+export function deserializeConfig(config: Record<string, any>): Partial<ChartConfig> {
+    const out: Record<string, any> = {};
+    Object.entries(config).forEach(([key, value]) => {
+        if (key === "ease") {
+            out.ease = getEasePreset(value);
+        } else if (key === "formatNumber") {
+            out.formatNumber = getFormatPreset(value);
+        } else if (key === "formattingRules") {
+            out.formattingRules = new Map((value as FormattingRule[]).map((rule, i) => [rule.id ?? `rule-${i + 1}`, rule]));
+        } else if (key === "breakpoints") {
+            out.breakpoints = value.map((bp: any) => ({ ...bp, config: deserializeConfig(bp.config) }));
+        } else {
+            out[key] = value;
+        }
+    });
+    return out;
+}
+
+function validateConfig(config: unknown, path: string, errors: string[]): void {
+    if (kindOf(config) !== "object") {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    Object.entries(config as Record<string, unknown>).forEach(([key, value]) => {
+        const at = `${path}.${key}`;
+        if (!(key in defaultConfig)) {
+            errors.push(`unknown key ${at}`);
+        } else if (key === "ease") {
+            if (typeof value !== "string" || !easePresets.has(value)) errors.push(`${at} must name an ease preset`);
+        } else if (key === "formatNumber") {
+            if (typeof value !== "string" || !formatPresets.has(value)) errors.push(`${at} must name a formatNumber preset`);
+        } else if (key === "formattingRules") {
+            if (!Array.isArray(value)) {
+                errors.push(`${at} must be an array`);
+            } else {
+                value.forEach((rule, i) => {
+                    if (!isValidFormattingRule(rule) || typeof rule.when === "function") errors.push(`${at}[${i}] is not a valid formatting rule`);
+                });
+            }
+        } else if (key === "annotations") {
+            if (!Array.isArray(value)) {
+                errors.push(`${at} must be an array`);
+            } else {
+                value.forEach((annotation, i) => {
+                    if (!isValidAnnotation(annotation)) errors.push(`${at}[${i}] is not a valid annotation`);
+                });
+            }
+        } else if (key === "breakpoints") {
+            if (!Array.isArray(value)) {
+                errors.push(`${at} must be an array`);
+            } else {
+                value.forEach((bp, i) => validateConfig(bp?.config, `${at}[${i}].config`, errors));
+            }
+        } else {
+            // Options that default to null (theme, breakdownConfig) take any JSON value
+            const expected = kindOf(defaultConfig[key as keyof ChartConfig]);
+            if (expected !== "null" && kindOf(value) !== expected) {
+                errors.push(`${at} must be ${expected === "array" ? "an" : "a"} ${expected}`);
+            } else {
+                validateOption(key, value, at, errors);
+            }
+        }
+    });
+}
+
+// An option's allowed value, or for an option object its keys and their allowed values
+function validateOption(option: string, value: unknown, at: string, errors: string[]): void {
+    const values = optionValues[option];
+    if (values && !values.includes(value as string)) {
+        errors.push(`${at} must be one of ${values.map(v => JSON.stringify(v)).join(", ")}`);
+    }
+    const keys = optionKeys[option];
+    if (!keys || kindOf(value) !== "object") return;
+    Object.entries(value as Record<string, unknown>).forEach(([key, nested]) => {
+        if (keys.includes(key)) {
+            validateOption(`${option}.${key}`, nested, `${at}.${key}`, errors);
+        } else {
+            errors.push(`unknown key ${at}.${key}`);
+        }
+    });
+}
+
+/**
+ * Problems that keep a spec from loading: unknown keys at any level, an unsupported
+ * version, values of the wrong type or outside an option's choices, unknown presets and
+ * malformed data. Empty when valid.
+ */
+export function validateChartSpec(spec: unknown): string[] {
+    const errors: string[] = [];
+    if (kindOf(spec) !== "object") return ["spec must be an object"];
+    const { version, config, data } = spec as ChartSpec;
+
+    Object.keys(spec as object).filter(key => !SPEC_KEYS.includes(key)).forEach(key => errors.push(`unknown key ${key}`));
+    if (version !== CHART_SPEC_VERSION) errors.push(`unsupported version ${JSON.stringify(version)} (expected ${CHART_SPEC_VERSION})`);
+    if (config !== undefined) validateConfig(config, "config", errors);
+    if (data !== undefined && (!Array.isArray(data) || !isValidChartData(data))) {
+        errors.push("data must be an array of items with a label and stacks");
+    }
+    return errors;
+}
@@ -0,0 +1,413 @@
+// MintWaterfall Chart String Rendering — standalone SVG markup without a DOM
+import {
+    ChartConfig, ChartData, ProcessedData, MarginConfig, BarGeometry, FormattingStyle, defaultConfig, applyBreakpoints,
+} from "./config.js";
+import { prepareData, isValidChartData } from "./lifecycle.js";
+import { computeLayout } from "./layout.js";
+import { resolveFormatting, getPatternSpec, PatternSpec } from "./formatting.js";
+import { getValueLabels } from "./labels.js";
+import { CategoryLabelLayout, getCategoryLabelPosition } from "./axis.js";
+import { getAnnotationLayouts } from "./annotations.js";
+import { getLegendItems, getLegendGradient, getLegendLayout, LegendGradient, LEGEND_SWATCH_SIZE } from "./legend.js";
+import {
+    getBarGeometry, getBarColor, getConnectors, getConnectorDash, resolveConnectorOptions, getLabelledBars, getAxisBreakMarkers, getTrendLinePath, getTrendLineDash, getConfidenceBandPaths, getMilestoneMarkers,
+    getReferenceBands, getTargetMarkers, getTargetColor, getPeriodGapRects,
+} from "./render.js";
+
+type Attributes = Record<string, string | number | null | undefined>;
+
+function escapeXml(value: string): string {
+    return value
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+// Attributes with null or undefined values are left out, like d3's attr(name, null)
+function element(tag: string, attributes: Attributes, children: string = ""): string {
+    const attrs = Object.entries(attributes)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([name, value]) => ` ${name}="${escapeXml(typeof value === "number" ? String(+value.toFixed(3)) : value!)}"`)
+        .join("");
+    return children ? `<${tag}${attrs}>${children}</${tag}>` : `<${tag}${attrs}/>`;
+}
+
+function isHorizontal(config: ChartConfig): boolean {
+    return config.orientation === "horizontal";
+}
+
+function drawGrid(yScale: any, config: ChartConfig, margins: MarginConfig): string {
+    const horizontal = isHorizontal(config);
+    const lines = yScale.ticks().map((tick: number) => {
+        const p = yScale(tick);
+        return element("line", {
+            class: "grid-line",
+            x1: horizontal ? p : margins.left,
+            x2: horizontal ? p : config.width - margins.right,
+            y1: horizontal ? margins.top : p,
+            y2: horizontal ? config.height - margins.bottom : p,
+            stroke: "rgba(224, 224, 224, 0.5)",
+            "stroke-width": 1
+        });
+    }).join("");
+    return element("g", { class: "grid-group" }, lines);
+}
+
+// Tick text as the SVG chart fits it: one or more lines, turned, with a <title> when cut short
+function fittedTickText(value: any, categoryLabels: CategoryLabelLayout): string | null {
+    const label = categoryLabels.labels.get(String(value));
+    // Labels that fit as they are keep d3's plain tick text
+    if (!label || (categoryLabels.rotation === 0 && label.lines.length === 1 && !label.title)) return null;
+    const position = getCategoryLabelPosition(categoryLabels.rotation);
+    const lines = label.lines.length === 1
+        ? escapeXml(label.lines[0])
+        : label.lines.map((line, i) => element("tspan", { x: position.x, dy: i === 0 ? null : "1.2em" }, escapeXml(line))).join("");
+    return element("text", {
+        fill: "currentColor",
+        x: position.x,
+        y: position.y,
+        dy: position.dy,
+        "text-anchor": position.anchor,
+        transform: position.transform,
+    }, lines + (label.title ? element("title", {}, escapeXml(label.title)) : ""));
+}
+
+// Same markup d3.axisLeft / axisBottom produce, with ticks at band centres
+function drawAxis(className: string, scale: any, format: (value: any) => string, side: "left" | "bottom", transform: string, categoryLabels: CategoryLabelLayout | null = null): string {
+    const vertical = side === "left";
+    const bandwidth = scale.bandwidth ? scale.bandwidth() : 0;
+    const values: any[] = scale.bandwidth ? scale.domain() : scale.ticks();
+    // A broken value axis has a three-stop range; the domain line spans its ends
+    const range: number[] = scale.range();
+    const [r0, r1] = [range[0], range[range.length - 1]];
+
+    const domain = element("path", {
+        class: "domain",
+        stroke: "currentColor",
+        d: vertical ? `M-6,${r0 + 0.5}H0.5V${r1 + 0.5}H-6` : `M${r0 + 0.5},6V0.5H${r1 + 0.5}V6`
+    });
+    const ticks = values.map(value => {
+        const at = scale(value) + bandwidth / 2 + 0.5;
+        return element("g", { class: "tick", opacity: 1, transform: vertical ? `translate(0,${at})` : `translate(${at},0)` },
+            element("line", { stroke: "currentColor", [vertical ? "x2" : "y2"]: vertical ? -6 : 6 }) +
+            ((categoryLabels && fittedTickText(value, categoryLabels)) ||
+                element("text", { fill: "currentColor", [vertical ? "x" : "y"]: vertical ? -9 : 9, dy: vertical ? "0.32em" : "0.71em" },
+                    escapeXml(format(value)))));
+    }).join("");
+
+    return element("g", {
+        class: className,
+        transform,
+        fill: "none",
+        "font-size": 10,
+        "font-family": "sans-serif",
+        "text-anchor": vertical ? "end" : "middle"
+    }, domain + ticks);
+}
+
+function drawAxes(xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig, categoryLabels: CategoryLabelLayout | null): string {
+    const horizontal = isHorizontal(config);
+    const bottom = `translate(0,${config.height - margins.bottom})`;
+    const left = `translate(${margins.left},0)`;
+    const categoryFormat = xScale.bandwidth || !xScale.tickFormat ? String : xScale.tickFormat();
+    return drawAxis("y-axis", yScale, config.formatNumber, horizontal ? "bottom" : "left", horizontal ? bottom : left) +
+        drawAxis("x-axis", xScale, categoryFormat, horizontal ? "left" : "bottom", horizontal ? left : bottom, categoryLabels);
+}
+
+function drawBars(processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig, patterns: Map<string, PatternSpec>): string {
+    const horizontal = isHorizontal(config);
+    const barCount = processedData.length;
+    const fillOf = (style: FormattingStyle, color: string): string => {
+        const spec = getPatternSpec(style, color);
+        if (!spec) return color;
+        patterns.set(spec.id, spec);
+        return `url(#${spec.id})`;
+    };
+    const rect = (className: string, geometry: BarGeometry, style: FormattingStyle, color: string) => element("rect", {
+        class: className,
+        ...geometry,
+        fill: fillOf(style, color),
+        stroke: style.stroke,
+        "stroke-width": style.strokeWidth
+    });
+
+    const labels = new Map(getValueLabels(getLabelledBars(processedData, xScale, yScale, config, margins), config)
+        .map(label => [label.d, label]));
+
+    const groups = processedData.map((d, i) => {
+        let shapes: string;
+        if (config.stacked) {
+            shapes = d.stacks.map((stack, stackIndex) => {
+                const style = resolveFormatting(config.formattingRules.values(), d, stack);
+                const geometry = getBarGeometry(d, stackIndex, xScale, yScale, config, margins, barCount);
+                return rect("stack", geometry, style, style.fill || stack.color);
+            }).join("") + d.stacks.map((stack, stackIndex) => {
+                if (!stack.label) return "";
+                const geometry = getBarGeometry(d, stackIndex, xScale, yScale, config, margins, barCount);
+                return element("text", {
+                    class: "stack-label",
+                    "text-anchor": "middle",
+                    x: geometry.x + geometry.width / 2,
+                    y: geometry.y + geometry.height / 2 + 4
+                }, escapeXml(stack.label));
+            }).join("");
+        } else {
+            const style = resolveFormatting(config.formattingRules.values(), d);
+            const geometry = getBarGeometry(d, null, xScale, yScale, config, margins, barCount);
+            shapes = rect("waterfall-bar", geometry, style, style.fill || getBarColor(d, i, config, processedData));
+        }
+
+        const label = labels.get(d);
+        if (label) {
+            shapes += element("text", {
+                class: label.inside ? "total-label inside" : "total-label",
+                "text-anchor": label.anchor,
+                x: label.x,
+                y: label.y,
+                style: `font-family: ${label.fontFamily}; fill: ${label.color}; ` +
+                    `font-weight: ${label.fontWeight}; font-size: ${label.fontSize}px; pointer-events: none;`
+            }, escapeXml(label.text));
+        }
+
+        return element("g", { class: "bar-group" }, shapes);
+    }).join("");
+
+    return element("g", { class: "bars-group" }, groups);
+}
+
+function drawConnectors(processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig): string {
+    const connectors = getConnectors(processedData, xScale, yScale, config, margins);
+    if (connectors.length === 0) return "";
+    const { color, width } = resolveConnectorOptions(config);
+    const dash = getConnectorDash(config);
+    const lines = connectors.map(d => element("line", {
+        class: "connector",
+        x1: d.x1,
+        x2: d.x2,
+        y1: d.y1,
+        y2: d.y2,
+        stroke: color,
+        "stroke-width": width,
+        "stroke-dasharray": dash ? dash.join(",") : undefined,
+        style: "opacity: 0.6;"
+    })).join("");
+    const labels = connectors.map(d => d.label ? element("text", {
+        class: "connector-label",
+        x: d.label.x,
+        y: d.label.y,
+        "text-anchor": d.label.anchor,
+        fill: "#666",
+        style: "font-family: Arial, sans-serif; font-size: 11px;"
+    }, escapeXml(d.label.text)) : "").join("");
+    return element("g", { class: "connectors-group" }, lines + labels);
+}
+
+function drawOverlays(processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig): string {
+    let markup = "";
+
+    if (config.showTrendLine && processedData.length >= 2) {
+        markup += element("g", { class: "trend-group" }, element("path", {
+            class: "trend-line",
+            fill: "none",
+            d: getTrendLinePath(processedData, xScale, yScale, config),
+            stroke: config.trendLineColor,
+            "stroke-width": config.trendLineWidth,
+            "stroke-opacity": config.trendLineOpacity,
+            "stroke-dasharray": getTrendLineDash(config)
+        }));
+    }
+
+    const bands = config.confidenceBandConfig;
+    if (bands.enabled && bands.scenarios) {
+        const paths = getConfidenceBandPaths(processedData, xScale, yScale, config);
+        const scenario = (className: string, d: string, stroke: string) => element("path", {
+            class: className, fill: "none", d, stroke, "stroke-width": 2, "stroke-dasharray": "5,5", style: "opacity: 0.8;"
+        });
+        markup += element("g", { class: "confidence-bands-group" },
+            element("path", { class: "confidence-band", d: paths.confidencePath, fill: `rgba(52, 152, 219, ${bands.opacity || 0.3})`, stroke: "none" }) +
+            (bands.showTrendLines
+                ? scenario("optimistic-trend", paths.optimisticPath, "#27ae60") + scenario("pessimistic-trend", paths.pessimisticPath, "#e74c3c")
+                : ""));
+    }
+
+    if (config.milestoneConfig.enabled && config.milestoneConfig.milestones.length > 0) {
+        markup += element("g", { class: "milestones-group" }, getMilestoneMarkers(xScale, yScale, config).map(marker => element("path", {
+            class: "milestone-marker",
+            transform: marker.transform,
+            d: marker.path,
+            fill: marker.config.fillColor || "#f39c12",
+            stroke: marker.config.strokeColor || "#ffffff",
+            "stroke-width": marker.config.strokeWidth || 2
+        })).join(""));
+    }
+
+    return markup;
+}
+
+function drawReferenceBands(yScale: any, config: ChartConfig, margins: MarginConfig): string {
+    const bands = getReferenceBands(yScale, config, margins);
+    if (bands.length === 0) return "";
+    return element("g", { class: "reference-bands-group" },
+        bands.map(band => element("rect", {
+            class: "reference-band", x: band.x, y: band.y, width: band.width, height: band.height, fill: band.color, style: "opacity: 0.15;"
+        })).join("") +
+        bands.filter(band => band.label).map(band => element("text", {
+            class: "reference-band-label",
+            x: band.labelX,
+            y: band.labelY,
+            "text-anchor": band.labelAnchor,
+            fill: "#555",
+            style: "font-family: Arial, sans-serif; font-size: 11px;"
+        }, escapeXml(band.label))).join(""));
+}
+
+function drawPeriodGaps(xScale: any, config: ChartConfig, margins: MarginConfig): string {
+    const gaps = getPeriodGapRects(xScale, config, margins);
+    if (gaps.length === 0) return "";
+    return element("g", { class: "period-gaps-group" },
+        gaps.map(gap => element("rect", {
+            class: "period-gap", x: gap.x, y: gap.y, width: gap.width, height: gap.height, fill: "#f4f4f4", stroke: "#ccc", "stroke-dasharray": "4,3"
+        })).join("") +
+        gaps.filter(gap => gap.text).map(gap => element("text", {
+            class: "period-gap-label",
+            x: gap.labelX,
+            y: gap.labelY,
+            dy: "0.32em",
+            "text-anchor": "middle",
+            fill: "#999",
+            style: "font-family: Arial, sans-serif; font-size: 10px;"
+        }, escapeXml(gap.text))).join(""));
+}
+
+function drawTargetMarkers(processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig): string {
+    const markers = getTargetMarkers(processedData, xScale, yScale, config, margins);
+    if (markers.length === 0) return "";
+    const color = getTargetColor(config);
+    return element("g", { class: "targets-group" },
+        markers.map(marker => element("path", { class: "target-marker", d: marker.path, stroke: color, "stroke-width": 3, "stroke-linecap": "butt" })).join("") +
+        markers.filter(marker => marker.text).map(marker => element("text", {
+            class: "target-label",
+            x: marker.labelX,
+            y: marker.labelY,
+            "text-anchor": isHorizontal(config) ? "middle" : "start",
+            fill: color,
+            style: "font-family: Arial, sans-serif; font-size: 10px;"
+        }, escapeXml(marker.text))).join(""));
+}
+
+function drawAnnotations(processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig): string {
+    const layouts = getAnnotationLayouts(config.annotations, processedData, xScale, yScale, config, margins);
+    if (layouts.length === 0) return "";
+    return element("g", { class: "annotations-group", style: "font-family: Arial, sans-serif;" }, layouts.map(layout => {
+        const lines = layout.text.lines.map((line, i) => element("tspan", {
+            x: layout.text.x,
+            y: layout.text.y + i * layout.fontSize * 1.2,
+        }, escapeXml(line))).join("");
+        return element("g", { class: `annotation annotation-${layout.annotation.type}` },
+            element("path", { class: "annotation-line", d: layout.path, fill: "none", stroke: layout.color, "stroke-width": 1 }) +
+            element("text", {
+                class: "annotation-text",
+                "text-anchor": layout.text.anchor,
+                fill: layout.color,
+                style: `font-size: ${layout.fontSize}px;`
+            }, lines));
+    }).join(""));
+}
+
+function drawAxisBreak(processedData: ProcessedData[], xScale: any, yScale: any, config: ChartConfig, margins: MarginConfig, valueBreak: number | null): string {
+    if (valueBreak === null) return "";
+    return element("g", { class: "axis-break-group" }, getAxisBreakMarkers(processedData, xScale, yScale, config, margins, valueBreak)
+        .map(marker => element("path", { class: "axis-break", d: marker.path, fill: "#fff", stroke: "#666", "stroke-width": 1 }))
+        .join(""));
+}
+
+// Static legend: entries are not toggleable, so hidden state does not apply
+function drawLegend(data: ChartData[], processedData: ProcessedData[], config: ChartConfig, margins: MarginConfig, gradientId: string): { legend: string; gradient: string } {
+    const items = getLegendItems(data, config);
+    const gradient: LegendGradient | null = getLegendGradient(processedData, config);
+    if (!config.showLegend || (items.length === 0 && !gradient)) return { legend: "", gradient: "" };
+
+    const layout = getLegendLayout(items, gradient, config, margins);
+    const labelY = LEGEND_SWATCH_SIZE - 2;
+    let legend = layout.items.map(item => element("g", { class: "legend-item", transform: `translate(${item.x}, ${item.y})` },
+        element("rect", { class: "legend-swatch", width: LEGEND_SWATCH_SIZE, height: LEGEND_SWATCH_SIZE, rx: 2, fill: item.color }) +
+        element("text", {
+            class: "legend-label", x: LEGEND_SWATCH_SIZE + 6, y: labelY, fill: "#333",
+            style: "font-family: Arial, sans-serif; font-size: 12px",
+        }, escapeXml(item.label))
+    )).join("");
+
+    let gradientDef = "";
+    if (gradient && layout.gradient) {
+        const { x, y, width, barX, barWidth, minLabel, maxLabel } = layout.gradient;
+        gradientDef = element("linearGradient", { id: gradientId },
+            gradient.stops.map(stop => element("stop", { offset: `${stop.offset * 100}%`, "stop-color": stop.color })).join(""));
+        legend += element("g", { class: "legend-gradient", transform: `translate(${x}, ${y})` },
+            element("text", { y: labelY, fill: "#333", style: "font-size: 10px" }, escapeXml(minLabel)) +
+            element("rect", { x: barX, width: barWidth, height: LEGEND_SWATCH_SIZE, fill: `url(#${gradientId})` }) +
+            element("text", { x: width, y: labelY, "text-anchor": "end", fill: "#333", style: "font-size: 10px" }, escapeXml(maxLabel)));
+    }
+    return { legend: element("g", { class: "legend-group" }, legend), gradient: gradientDef };
+}
+
+function drawPattern(spec: PatternSpec): string {
+    return element("pattern", { id: spec.id, patternUnits: "userSpaceOnUse", width: spec.size, height: spec.size },
+        spec.shapes.map(shape => element(shape.tag, shape.attrs)).join(""));
+}
+
+/**
+ * Render a waterfall to a standalone SVG document string, with no browser DOM. Data goes
+ * through the same prepareData and layout as waterfallChart and every element is written
+ * at its final position, so there are no transitions. Interactive features (tooltips,
+ * brush, zoom, events) do not apply; `config` is merged over the chart defaults.
+ */
+export function renderWaterfallToSVGString(data: ChartData[], config: Partial<ChartConfig> = {}): string {
+    if (!Array.isArray(data) || data.length === 0) {
+        throw new Error("MintWaterfall: Expected a non-empty data array.");
+    }
+    if (!isValidChartData(data)) {
+        throw new Error("MintWaterfall: Invalid data structure. Each item must have a 'label' string and 'stacks' array with 'value' numbers and 'color' strings.");
+    }
+
+    const baseConfig: ChartConfig = { ...defaultConfig, ...config, enableBrush: false, enableZoom: false };
+    const renderConfig = applyBreakpoints(baseConfig, baseConfig.width, baseConfig.height);
+    const processedData = prepareData(data, renderConfig);
+    // Zoom is off, so only bars a period axis can't place are left out of view
+    const { margins, visibleData, xScale, yScale, categoryLabels, valueBreak, plotClip } = computeLayout(processedData, renderConfig);
+
+    const patterns = new Map<string, PatternSpec>();
+    const bars = drawBars(visibleData, xScale, yScale, renderConfig, margins, patterns);
+    const clipId = `mintwaterfall-clip-${[plotClip.x, plotClip.y, plotClip.width, plotClip.height].map(Math.round).join("-")}`;
+
+    const legend = drawLegend(data, processedData, renderConfig, margins, `${clipId}-legend`);
+
+    const defs = element("defs", {},
+        element("clipPath", { id: clipId }, element("rect", { ...plotClip })) +
+        Array.from(patterns.values()).map(drawPattern).join("") +
+        legend.gradient);
+    const chartGroup = element("g", { class: "chart-group", "clip-path": `url(#${clipId})` },
+        drawPeriodGaps(xScale, renderConfig, margins) +
+        drawReferenceBands(yScale, renderConfig, margins) +
+        bars +
+        drawConnectors(visibleData, xScale, yScale, renderConfig, margins) +
+        drawOverlays(visibleData, xScale, yScale, renderConfig) +
+        drawTargetMarkers(visibleData, xScale, yScale, renderConfig, margins));
+    const container = element("g", { class: "waterfall-container" },
+        drawGrid(yScale, renderConfig, margins) +
+        drawAxes(xScale, yScale, renderConfig, margins, categoryLabels) +
+        chartGroup +
+        drawAxisBreak(visibleData, xScale, yScale, renderConfig, margins, valueBreak) +
+        drawAnnotations(visibleData, xScale, yScale, renderConfig, margins) +
+        legend.legend);
+
+    return element("svg", {
+        xmlns: "http://www.w3.org/2000/svg",
+        width: renderConfig.width,
+        height: renderConfig.height,
+        viewBox: `0 0 ${renderConfig.width} ${renderConfig.height}`,
+        role: renderConfig.enableAccessibility ? "img" : null,
+        "aria-label": renderConfig.enableAccessibility ? `Waterfall chart with ${processedData.length} data points` : null
+    }, defs + container);
+}
@@ -3,6 +3,9 @@
 
 // Core chart functionality
 export { waterfallChart } from "./chart/chart.js";
+export { renderWaterfallToSVGString } from "./chart/string.js";
+export { waterfallSmallMultiples } from "./chart/multiples.js";
+export { registerEasePreset, registerFormatPreset, validateChartSpec } from "./chart/spec.js";
 
 // Data processing - Core
 export { createDataProcessor, dataProcessor } from "./data/pipeline.js";
@@ -46,6 +49,8 @@ export {
   createShapeGenerators,
   createWaterfallConfidenceBands,
   createWaterfallMilestones,
+  createWaterfallReferenceBands,
+  createWaterfallTargetMarkers,
 } from "./shapes.js";
 
 // Advanced statistical analysis features
@@ -88,7 +93,7 @@ export { createTooltipSystem } from "./tooltip.js";
 export { createExportSystem } from "./export.js";
 
 // Interactivity Features
-export { createZoomSystem } from "./zoom.js";
+export { createZoomSystem, getVisibleCategories } from "./zoom.js";
 
 // Version information
 export const version = "1.0.0";
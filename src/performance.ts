@@ -153,6 +153,7 @@ export function createPerformanceManager(): PerformanceManager {
     // Performance profiling
     let profilers = new Map<string, PerformanceProfiler>();
     let dashboardElement: HTMLElement | null = null;
+    let dashboardInterval: ReturnType<typeof setInterval> | null = null;
     
     // Frame rate tracking
     let frameCount = 0;
@@ -482,12 +483,16 @@ export function createPerformanceManager(): PerformanceManager {
         }
         
         // Update dashboard periodically
-        setInterval(updateDashboard, 500);
+        if (!dashboardInterval) dashboardInterval = setInterval(updateDashboard, 500);
         
         return performanceManager;
     }
     
     function disableDashboard(): PerformanceManager {
+        if (dashboardInterval) {
+            clearInterval(dashboardInterval);
+            dashboardInterval = null;
+        }
         if (dashboardElement && dashboardElement.parentNode) {
             dashboardElement.parentNode.removeChild(dashboardElement);
             dashboardElement = null;
@@ -1090,18 +1095,22 @@ export function createAdvancedPerformanceSystem(): AdvancedPerformanceSystem {
 
 /**
  * Create optimized spatial index for waterfall chart interactions
- * Enables O(log n) hover detection for large datasets
+ * Enables O(log n) hover detection for large datasets.
+ * `position` overrides the scale-derived point, e.g. to index bar centres instead of bar ends.
  */
-export function createWaterfallSpatialIndex(
-    data: Array<{label: string, value: number}>,
+export function createWaterfallSpatialIndex<T extends {label: string, value: number}>(
+    data: T[],
     xScale: any,
-    yScale: any
+    yScale: any,
+    position?: (item: T, index: number) => [number, number]
 ): SpatialIndex {
     const spatialIndex = createSpatialIndexImpl();
     
     data.forEach((item, index) => {
-        const x = (xScale(item.label) || 0) + (xScale.bandwidth ? xScale.bandwidth() / 2 : 0);
-        const y = yScale(item.value) || 0;
+        const [x, y] = position ? position(item, index) : [
+            (xScale(item.label) || 0) + (xScale.bandwidth ? xScale.bandwidth() / 2 : 0),
+            yScale(item.value) || 0
+        ];
         
         spatialIndex.add({
             x,
@@ -280,13 +280,14 @@ export function createShapeGenerators(): ShapeGeneratorSystem {
  * Combines multiple projection scenarios into visual uncertainty bands
  */
 export function createWaterfallConfidenceBands(
-    baselineData: Array<{label: string, value: number}>,
+    baselineData: Array<{label: string, value: number, absolute?: boolean}>,
     scenarios: {
         optimistic: Array<{label: string, value: number}>,
         pessimistic: Array<{label: string, value: number}>
     },
     xScale: d3.ScaleBand<string>,
-    yScale: d3.ScaleLinear<number, number>
+    yScale: d3.ScaleLinear<number, number>,
+    orientation: 'vertical' | 'horizontal' = 'vertical'
 ): {
     confidencePath: string,
     optimisticPath: string,
@@ -299,15 +300,25 @@ export function createWaterfallConfidenceBands(
     let optimisticCumulative = 0;
     let pessimisticCumulative = 0;
     
-    const confidenceData: ConfidenceBandData[] = baselineData.map((item, i) => {
-        baselineCumulative += item.value;
-        optimisticCumulative += scenarios.optimistic[i]?.value || item.value;
-        pessimisticCumulative += scenarios.pessimistic[i]?.value || item.value;
+    const cumulativeData: ConfidenceBandData[] = baselineData.map((item, i) => {
+        const optimisticValue = scenarios.optimistic[i]?.value || item.value;
+        const pessimisticValue = scenarios.pessimistic[i]?.value || item.value;
         
-        const x = (xScale(item.label) || 0) + xScale.bandwidth() / 2;
+        // Absolute items (opening balances) reset every scenario to a known level
+        if (item.absolute) {
+            baselineCumulative = item.value;
+            optimisticCumulative = optimisticValue;
+            pessimisticCumulative = pessimisticValue;
+        } else {
+            baselineCumulative += item.value;
+            optimisticCumulative += optimisticValue;
+            pessimisticCumulative += pessimisticValue;
+        }
+        
+        const position = xScale(item.label);
         
         return {
-            x,
+            x: position === undefined ? NaN : position + xScale.bandwidth() / 2,
             y: yScale(baselineCumulative),
             yUpper: yScale(optimisticCumulative),
             yLower: yScale(pessimisticCumulative),
@@ -315,10 +326,33 @@ export function createWaterfallConfidenceBands(
         };
     });
     
+    // Categories outside the scale's domain (e.g. zoomed out of view) still
+    // accumulate into the running totals but are not drawn
+    const confidenceData = cumulativeData.filter(d => !Number.isNaN(d.x));
+    
     // Create trend lines for each scenario
     const optimisticTrendData = confidenceData.map(d => ({ x: d.x, y: d.yUpper }));
     const pessimisticTrendData = confidenceData.map(d => ({ x: d.x, y: d.yLower }));
     
+    // Horizontal charts run categories down the y axis, so the band spans x instead
+    if (orientation === 'horizontal') {
+        const bandArea = d3.area<ConfidenceBandData>()
+            .y(d => d.x)
+            .x0(d => d.yLower)
+            .x1(d => d.yUpper)
+            .curve(d3.curveMonotoneY);
+        const trendLine = d3.line<{x: number, y: number}>()
+            .x(d => d.y)
+            .y(d => d.x)
+            .curve(d3.curveMonotoneY);
+        
+        return {
+            confidencePath: bandArea(confidenceData) || "",
+            optimisticPath: trendLine(optimisticTrendData) || "",
+            pessimisticPath: trendLine(pessimisticTrendData) || ""
+        };
+    }
+    
     return {
         confidencePath: shapeGenerator.createConfidenceBand(confidenceData, {
             fillColor: "rgba(52, 152, 219, 0.2)",
@@ -341,7 +375,8 @@ export function createWaterfallConfidenceBands(
 
 /**
  * Create key milestone markers for waterfall charts
- * Highlights important data points like targets, thresholds, or significant events
+ * Highlights important data points like targets, thresholds, or significant events.
+ * Categories are placed by a band scale, or by a function giving each one's centre
  */
 export function createWaterfallMilestones(
     milestones: Array<{
@@ -350,8 +385,9 @@ export function createWaterfallMilestones(
         type: 'target' | 'threshold' | 'alert' | 'achievement',
         description?: string
     }>,
-    xScale: d3.ScaleBand<string>,
-    yScale: d3.ScaleLinear<number, number>
+    xScale: d3.ScaleBand<string> | ((label: string) => number),
+    yScale: d3.ScaleLinear<number, number>,
+    orientation: 'vertical' | 'horizontal' = 'vertical'
 ): Array<{path: string, transform: string, config: SymbolConfig}> {
     const shapeGenerator = createShapeGenerators();
     
@@ -364,10 +400,13 @@ export function createWaterfallMilestones(
         };
         
         const styling = typeMapping[milestone.type as keyof typeof typeMapping] || typeMapping.target;
+        const bandwidth = 'bandwidth' in xScale ? xScale.bandwidth() : 0;
+        const categoryPosition = (xScale(milestone.label) || 0) + bandwidth / 2;
+        const valuePosition = yScale(milestone.value);
         
         return {
-            x: (xScale(milestone.label) || 0) + xScale.bandwidth() / 2,
-            y: yScale(milestone.value),
+            x: orientation === 'horizontal' ? valuePosition : categoryPosition,
+            y: orientation === 'horizontal' ? categoryPosition : valuePosition,
             type: styling.type,
             size: styling.size,
             color: styling.color,
@@ -381,5 +420,52 @@ export function createWaterfallMilestones(
     });
 }
 
+/**
+ * Create shaded reference bands for waterfall charts
+ * Spans each band between two values across the whole category extent, e.g. a tolerance range
+ */
+export function createWaterfallReferenceBands(
+    bands: Array<{from: number, to: number, label?: string, color?: string}>,
+    yScale: d3.ScaleLinear<number, number>,
+    categoryExtent: [number, number],
+    orientation: 'vertical' | 'horizontal' = 'vertical'
+): Array<{x: number, y: number, width: number, height: number, color: string, label: string, labelX: number, labelY: number, labelAnchor: 'start' | 'end'}> {
+    const [start, end] = categoryExtent;
+    
+    return bands.map(band => {
+        const [v0, v1] = [yScale(band.from), yScale(band.to)].sort((a, b) => a - b);
+        const color = band.color || '#3498db';
+        const label = band.label || '';
+        
+        // Horizontal charts run values along x, so the band is a vertical strip labelled at its top
+        if (orientation === 'horizontal') {
+            return { x: v0, y: start, width: v1 - v0, height: end - start, color, label, labelX: v0 + 4, labelY: start + 12, labelAnchor: 'start' as const };
+        }
+        return { x: start, y: v0, width: end - start, height: v1 - v0, color, label, labelX: end - 4, labelY: v0 + 12, labelAnchor: 'end' as const };
+    });
+}
+
+/**
+ * Create bullet-chart target ticks for waterfall bars
+ * Draws each target as a line across its bar; a positive overhang extends it past both sides by that fraction of the bar width
+ */
+export function createWaterfallTargetMarkers(
+    targets: Array<{start: number, width: number, value: number}>,
+    yScale: d3.ScaleLinear<number, number>,
+    orientation: 'vertical' | 'horizontal' = 'vertical',
+    overhang: number = 0
+): Array<{path: string, labelX: number, labelY: number}> {
+    return targets.map(target => {
+        const level = yScale(target.value);
+        const from = target.start - target.width * overhang;
+        const to = target.start + target.width * (1 + overhang);
+        
+        if (orientation === 'horizontal') {
+            return { path: `M${level},${from}V${to}`, labelX: level, labelY: to + 10 };
+        }
+        return { path: `M${from},${level}H${to}`, labelX: to + 3, labelY: level + 4 };
+    });
+}
+
 // Default export for convenience
 export default createShapeGenerators;
@@ -70,7 +70,7 @@ export interface TooltipStackItem {
 }
 
 export interface CurrentTooltip {
-    content: TooltipContentType;
+    content: TooltipContentType | null;
     event: MouseEvent | PointerEvent | TouchEvent;
     data: TooltipData | null;
 }
@@ -82,7 +82,7 @@ export interface TooltipPosition3D {
 }
 
 export interface TooltipSystem {
-    show(content: TooltipContentType, event: MouseEvent | PointerEvent | TouchEvent, data?: TooltipData | null): d3.Selection<HTMLDivElement, unknown, HTMLElement, any>;
+    show(content: TooltipContentType | null, event: MouseEvent | PointerEvent | TouchEvent, data?: TooltipData | null): d3.Selection<HTMLDivElement, unknown, HTMLElement, any>;
     hide(): d3.Selection<HTMLDivElement, unknown, HTMLElement, any> | void;
     move(event: MouseEvent | PointerEvent | TouchEvent): d3.Selection<HTMLDivElement, unknown, HTMLElement, any> | void;
     theme(themeName: TooltipTheme): TooltipSystem;
@@ -200,7 +200,7 @@ export function createTooltipSystem(): TooltipSystem {
     }
     
     // Show tooltip with content
-    function show(content: TooltipContentType, event: MouseEvent | PointerEvent | TouchEvent, data: TooltipData | null = null): d3.Selection<HTMLDivElement, unknown, HTMLElement, any> {
+    function show(content: TooltipContentType | null, event: MouseEvent | PointerEvent | TouchEvent, data: TooltipData | null = null): d3.Selection<HTMLDivElement, unknown, HTMLElement, any> {
         if (!tooltipContainer) initializeTooltip();
         
         // Generate content
@@ -250,7 +250,7 @@ export function createTooltipSystem(): TooltipSystem {
     }
     
     // Generate tooltip content
-    function generateContent(content: TooltipContentType, data: TooltipData | null): string {
+    function generateContent(content: TooltipContentType | null, data: TooltipData | null): string {
         if (typeof content === "function") {
             return content(data);
         }
@@ -276,11 +276,22 @@ export function createTooltipSystem(): TooltipSystem {
         const formatNumber = config.formatNumber || ((n: number) => n.toLocaleString());
         
         let html = `<div class="tooltip-header"><strong>${data.label}</strong></div>`;
+        if (data.series) {
+            html += `<div class="tooltip-series">${data.series}</div>`;
+        }
+        
+        // Waterfall bars carry their running totals; plain data falls back to the stack sum
+        if (typeof data.runningTotal === "number") {
+            html += `<div class="tooltip-delta">Change: ${formatNumber(data.delta)}</div>`;
+            html += `<div class="tooltip-previous">Previous total: ${formatNumber(data.previousTotal)}</div>`;
+            html += `<div class="tooltip-total">Running total: ${formatNumber(data.runningTotal)}</div>`;
+        }
         
         if (data.stacks && data.stacks.length > 0) {
-            const totalValue = data.stacks.reduce((sum, stack) => sum + stack.value, 0);
-            
-            html += `<div class="tooltip-total">Total: ${formatNumber(totalValue)}</div>`;
+            if (typeof data.runningTotal !== "number") {
+                const totalValue = data.stacks.reduce((sum, stack) => sum + stack.value, 0);
+                html += `<div class="tooltip-total">Total: ${formatNumber(totalValue)}</div>`;
+            }
             
             if (data.stacks.length > 1) {
                 html += "<div class=\"tooltip-stacks\">";
@@ -6,6 +6,9 @@ import * as d3 from 'd3';
 // Type definitions for zoom system
 export interface ZoomConfig {
     enabled: boolean;
+    // geometric scales the chart group with an SVG transform; semantic only reports
+    // the transform so the owner can re-layout (see getVisibleCategories)
+    mode: ZoomMode;
     scaleExtent: [number, number];
     translateExtent: [[number, number], [number, number]] | null;
     wheelDelta: ((event: WheelEvent) => number) | null;
@@ -62,6 +65,8 @@ export interface ZoomSystem {
     off(type: string, callback?: (event: ZoomEventData) => void): ZoomSystem;
 }
 
+export type ZoomMode = 'geometric' | 'semantic';
+
 export type ZoomEventType = 'zoomstart' | 'zoom' | 'zoomend' | 'reset';
 
 export function createZoomSystem(): ZoomSystem {
@@ -69,6 +74,7 @@ export function createZoomSystem(): ZoomSystem {
     // Zoom configuration
     const config: ZoomConfig = {
         enabled: true,
+        mode: 'geometric',
         scaleExtent: [0.1, 10],
         translateExtent: null, // Auto-calculated based on chart dimensions
         wheelDelta: null, // Use D3 default for proper zoom in/out
@@ -155,7 +161,7 @@ export function createZoomSystem(): ZoomSystem {
         }
         
         // Apply transform to chart elements
-        if (chartContainer) {
+        if (chartContainer && config.mode === 'geometric') {
             applyTransform(chartContainer, currentTransform);
         }
         
@@ -396,4 +402,33 @@ export function createZoomSystem(): ZoomSystem {
     return zoomSystem;
 }
 
-// The function is already exported above, no need for duplicate export
\ No newline at end of file
+/**
+ * Categories still on screen after zooming a category layout. Each category's centre is
+ * taken at its unzoomed position within `range` — `positions` when given, as for a scale
+ * whose categories differ in width or leave gaps, else evenly spaced bands — moved by the
+ * transform along `axis`, and kept when it lands inside `range`. Always returns at least
+ * the category nearest the middle of the range, so a scale re-domained to the result is
+ * never empty.
+ */
+export function getVisibleCategories<T>(
+    categories: T[],
+    transform: { k: number; x: number; y: number },
+    range: [number, number],
+    axis: 'x' | 'y' = 'x',
+    positions?: number[]
+): T[] {
+    if (categories.length === 0) return [];
+    
+    const [r0, r1] = [Math.min(...range), Math.max(...range)];
+    const step = (r1 - r0) / categories.length;
+    const offset = axis === 'x' ? transform.x : transform.y;
+    const zoomed = categories.map((_, i) => (positions ? positions[i] : r0 + (i + 0.5) * step) * transform.k + offset);
+    
+    const visible = categories.filter((_, i) => zoomed[i] >= r0 && zoomed[i] <= r1);
+    if (visible.length > 0) return visible;
+    
+    const middle = (r0 + r1) / 2;
+    const distance = (i: number) => Number.isNaN(zoomed[i]) ? Infinity : Math.abs(zoomed[i] - middle);
+    const nearest = zoomed.reduce((best, _p, i) => distance(i) < distance(best) ? i : best, 0);
+    return [categories[nearest]];
+}
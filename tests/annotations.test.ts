@@ -0,0 +1,157 @@
+// MintWaterfall Annotation Tests
+// Test getAnnotationLayouts — callout, arrow and bracket geometry anchored to bars and values
+// Test getAnnotationAnchorAt / isValidAnnotation — re-anchoring and validation
+// Test annotation editing — double-click placement and dragging with annotationChange events
+import * as d3 from "d3";
+import { waterfallChart } from "../src/chart/chart.js";
+import { getAnnotationLayouts, getAnnotationAnchorAt, isValidAnnotation } from "../src/chart/annotations.js";
+import { Annotation, AnnotationChangeDetail, ChartConfig, ChartData, ProcessedData, defaultConfig } from "../src/chart/config.js";
+
+// Dragging and rendering need real d3
+jest.mock("d3", () => jest.requireActual("../node_modules/d3/dist/d3.js"));
+
+const margins = { top: 60, right: 80, bottom: 60, left: 80 };
+
+function makeConfig(overrides: Partial<ChartConfig> = {}): ChartConfig {
+  return { ...defaultConfig, ...overrides };
+}
+
+// Band scale stand-in: each label gets a 40px band starting at 100
+function bandScale(labels: string[]) {
+  const scale: any = (label: string) => 100 + labels.indexOf(label) * 50;
+  scale.bandwidth = () => 40;
+  return scale;
+}
+
+// Linear value scale mapping 0..100 onto 300..100 (vertical) or 100..300 (horizontal)
+const verticalValues: any = (v: number) => 300 - v * 2;
+verticalValues.invert = (y: number) => (300 - y) / 2;
+const horizontalValues: any = (v: number) => 100 + v * 2;
+
+const bars: ProcessedData[] = [
+  { label: "Start", stacks: [{ value: 50, color: "#000" }], barTotal: 50, cumulativeTotal: 50, prevCumulativeTotal: 0 },
+  { label: "Growth", stacks: [{ value: 30, color: "#000" }], barTotal: 30, cumulativeTotal: 80, prevCumulativeTotal: 50 },
+  { label: "Subtotal", stacks: [{ value: 80, color: "#000" }], barTotal: 80, cumulativeTotal: 80, prevCumulativeTotal: 0, isTotal: true },
+];
+const xScale = bandScale(bars.map(d => d.label));
+
+function layout(annotation: Annotation, config = makeConfig(), values = verticalValues) {
+  return getAnnotationLayouts([annotation], bars, xScale, values, config, margins);
+}
+
+describe("getAnnotationLayouts", () => {
+  test("puts callout text above the bar's running total with a leader line", () => {
+    const [callout] = layout({ id: "a", type: "callout", label: "Growth", text: "Price rise" });
+    expect(callout.anchor).toEqual({ x: 170, y: 140 });
+    expect(callout.text).toEqual({ x: 170, y: 100, anchor: "middle", lines: ["Price rise"] });
+    expect(callout.path).toBe("M170,140L170,104M167.5,140a2.5,2.5 0 1,0 5,0a2.5,2.5 0 1,0 -5,0");
+    expect(callout.color).toBe("#333");
+  });
+
+  test("points an arrow at a value with its text to the side", () => {
+    const [arrow] = layout({ id: "a", type: "arrow", label: "Start", value: 25, dx: 40, dy: 0, text: "One-off", color: "#c00" });
+    expect(arrow.anchor).toEqual({ x: 120, y: 250 });
+    expect(arrow.path).toBe("M160,250L120,250M127,254L120,250L127,246");
+    expect(arrow.text).toMatchObject({ x: 164, anchor: "start" });
+    expect(arrow.text.y).toBeCloseTo(254.2);
+    expect(arrow.color).toBe("#c00");
+  });
+
+  test("spans a bracket over a run of bars above the highest of them", () => {
+    const [bracket] = layout({ id: "a", type: "bracket", label: "Start", toLabel: "Subtotal", text: "H1" });
+    expect(bracket.path).toBe("M100,130V124H240V130");
+    expect(bracket.text).toEqual({ x: 170, y: 120, anchor: "middle", lines: ["H1"] });
+  });
+
+  test("stacks multi-line text so the last line sits above the anchor", () => {
+    const [callout] = layout({ id: "a", type: "callout", label: "Growth", text: "One-off\nrestructuring" });
+    expect(callout.text.lines).toEqual(["One-off", "restructuring"]);
+    expect(callout.text.y).toBeCloseTo(100 - 14.4);
+  });
+
+  test("sets text to the right of the bar end in horizontal orientation", () => {
+    const [callout] = layout({ id: "a", type: "callout", label: "Growth", text: "Note" }, makeConfig({ orientation: "horizontal" }), horizontalValues);
+    expect(callout.anchor).toEqual({ x: 260, y: 170 });
+    expect(callout.text).toMatchObject({ x: 300, anchor: "start" });
+  });
+
+  test("leaves out annotations whose bars are not drawn", () => {
+    expect(layout({ id: "a", type: "callout", label: "Hidden", text: "x" })).toEqual([]);
+    expect(layout({ id: "a", type: "bracket", label: "Start", toLabel: "Hidden", text: "x" })).toEqual([]);
+  });
+});
+
+describe("getAnnotationAnchorAt", () => {
+  test("picks the nearest bar and reads the value under the point", () => {
+    expect(getAnnotationAnchorAt({ x: 178, y: 200 }, bars, xScale, verticalValues, makeConfig(), margins))
+      .toEqual({ label: "Growth", series: undefined, value: 50 });
+  });
+});
+
+describe("isValidAnnotation", () => {
+  test("needs an id, a known type, a label and text, and a toLabel for brackets", () => {
+    expect(isValidAnnotation({ id: "a", type: "arrow", label: "Q1", text: "x", value: 3 })).toBe(true);
+    expect(isValidAnnotation({ id: "a", type: "bracket", label: "Q1", text: "x" })).toBe(false);
+    expect(isValidAnnotation({ id: "a", type: "circle", label: "Q1", text: "x" })).toBe(false);
+    expect(isValidAnnotation({ id: "a", type: "callout", label: "Q1", text: "x", dx: "4" })).toBe(false);
+  });
+});
+
+describe("annotation editing", () => {
+  const data: ChartData[] = [
+    { label: "Q1", stacks: [{ value: 100, color: "#000" }] },
+    { label: "Q2", stacks: [{ value: -20, color: "#000" }] },
+  ];
+  let host: HTMLDivElement;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    host = document.createElement("div");
+    document.body.appendChild(host);
+  });
+
+  afterEach(() => {
+    host.remove();
+    jest.useRealTimers();
+  });
+
+  function mouse(target: EventTarget, type: string, x: number, y: number): void {
+    target.dispatchEvent(new MouseEvent(type, { bubbles: true, clientX: x, clientY: y, view: window }));
+  }
+
+  test("keeps annotations across re-renders and draws them on their bars", () => {
+    const chart = waterfallChart().duration(0).annotations([{ id: "cut", type: "callout", label: "Q2", text: "Restructuring" }]);
+    d3.select(host).datum(data).call(chart);
+    d3.select(host).datum(data).call(chart.width(600));
+    expect(host.querySelectorAll(".annotation")).toHaveLength(1);
+    expect(host.querySelector(".annotation-text")!.textContent).toBe("Restructuring");
+    expect(host.querySelector(".annotation-handle")).toBeNull();
+  });
+
+  test("double-clicking a bar adds a callout there", () => {
+    const changes: AnnotationChangeDetail[] = [];
+    const chart = waterfallChart().duration(0).annotationOptions({ editable: true })
+      .on("annotationChange", (detail: AnnotationChangeDetail) => changes.push(detail));
+    d3.select(host).datum(data).call(chart);
+
+    mouse(host.querySelectorAll(".bar-group")[1], "dblclick", 400, 200);
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ action: "add", annotation: { id: "annotation-1", type: "callout", label: "Q2" } });
+    expect(chart.annotations()).toEqual([changes[0].annotation]);
+    expect(host.querySelectorAll(".annotation")).toHaveLength(1);
+  });
+
+  test("dragging the text moves it relative to its anchor", () => {
+    const changes: AnnotationChangeDetail[] = [];
+    const chart = waterfallChart().duration(0).annotationOptions({ editable: true })
+      .annotations([{ id: "cut", type: "callout", label: "Q2", text: "Restructuring" }])
+      .on("annotationChange", (detail: AnnotationChangeDetail) => changes.push(detail));
+    d3.select(host).datum(data).call(chart);
+
+    mouse(host.querySelector(".annotation-text")!, "mousedown", 100, 100);
+    mouse(window, "mousemove", 110, 95);
+    mouse(window, "mouseup", 110, 95);
+    expect(changes).toEqual([expect.objectContaining({ action: "move", annotation: expect.objectContaining({ id: "cut", dx: 10, dy: -41 }) })]);
+    expect(chart.annotations()[0]).toMatchObject({ dx: 10, dy: -41 });
+  });
+});
@@ -0,0 +1,112 @@
+// MintWaterfall Category Label Tests
+// Test wrapLabel / truncateLabel — line breaking and ellipsis against an estimated text width
+// Test getCategoryLabelLayout — wrap, rotate, truncate and auto strategies and the height they need
+// Test getCategoryLabelPosition — tick text placement for level and turned labels
+// Test xLabelLayout — the chart's tick text once the axis transition has run
+import * as d3 from "d3";
+import { waterfallChart } from "../src/chart/chart.js";
+import { ChartData } from "../src/chart/config.js";
+import { getCategoryLabelLayout, getCategoryLabelPosition, truncateLabel, wrapLabel } from "../src/chart/axis.js";
+
+// Axis transitions need real d3
+jest.mock("d3", () => jest.requireActual("../node_modules/d3/dist/d3.js"));
+
+const labels = ["Opening balance", "New customer revenue", "Churn"];
+
+describe("truncateLabel", () => {
+  test("cuts text wider than the space and ends it in an ellipsis", () => {
+    expect(truncateLabel("Churn", 30)).toBe("Churn");
+    expect(truncateLabel("Opening balance", 48)).toBe("Opening…");
+    expect(truncateLabel("Opening balance", 2)).toBe("O…");
+  });
+});
+
+describe("wrapLabel", () => {
+  test("breaks between words and keeps to the line limit", () => {
+    expect(wrapLabel("New customer revenue", 80)).toEqual(["New customer", "revenue"]);
+    expect(wrapLabel("a b c d", 6, 3)).toEqual(["a", "b", "c…"]);
+    expect(wrapLabel("Restructuring", 40)).toEqual(["Restr…"]);
+  });
+});
+
+describe("getCategoryLabelLayout", () => {
+  test("auto leaves labels that fit on one line", () => {
+    const layout = getCategoryLabelLayout(labels, 200, "auto");
+    expect(layout.rotation).toBe(0);
+    expect(layout.labels.get("New customer revenue")).toEqual({ lines: ["New customer revenue"], title: null });
+    expect(layout.height).toBe(21);
+  });
+
+  test("auto wraps when every label then fits, and grows by a line each", () => {
+    const layout = getCategoryLabelLayout(labels, 84, "auto");
+    expect(layout.rotation).toBe(0);
+    expect(layout.labels.get("New customer revenue")!.lines).toEqual(["New customer", "revenue"]);
+    expect(layout.height).toBe(33);
+  });
+
+  test("auto turns labels that would not wrap whole, upright when ticks are close", () => {
+    expect(getCategoryLabelLayout(labels, 40, "auto")).toMatchObject({ rotation: 45, height: 103 });
+    expect(getCategoryLabelLayout(labels, 12, "auto")).toMatchObject({ rotation: 90, height: 133 });
+  });
+
+  test("truncates with the whole label kept as the title", () => {
+    const layout = getCategoryLabelLayout(labels, 40, "truncate");
+    expect(layout.labels.get("Opening balance")).toEqual({ lines: ["Openi…"], title: "Opening balance" });
+    expect(layout.labels.get("Churn")).toEqual({ lines: ["Churn"], title: null });
+  });
+
+  test("applies an explicit strategy even when labels would fit", () => {
+    expect(getCategoryLabelLayout(labels, 200, "rotate").rotation).toBe(45);
+    expect(getCategoryLabelLayout(labels, 20, "none").labels.get("Opening balance")!.lines).toEqual(["Opening balance"]);
+  });
+});
+
+describe("getCategoryLabelPosition", () => {
+  test("places level text under the tick and turned text ending below it", () => {
+    expect(getCategoryLabelPosition(0)).toEqual({ x: 0, y: 9, dy: "0.71em", anchor: "middle", transform: null });
+    expect(getCategoryLabelPosition(45)).toEqual({ x: -6.36, y: 6.36, dy: "0.32em", anchor: "end", transform: "rotate(-45)" });
+    expect(getCategoryLabelPosition(90)).toMatchObject({ x: -9, y: 0, transform: "rotate(-90)" });
+  });
+});
+
+describe("xLabelLayout", () => {
+  const data: ChartData[] = labels.map((label, i) => ({ label, stacks: [{ value: i === 0 ? 100 : 10, color: "#000" }] }));
+  let host: HTMLDivElement;
+
+  beforeEach(() => {
+    host = document.createElement("div");
+    document.body.appendChild(host);
+  });
+
+  afterEach(() => {
+    host.remove();
+  });
+
+  // Lets the zero-length axis transition start, which is when tick text is set
+  async function tickTexts(): Promise<SVGTextElement[]> {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return Array.from(host.querySelectorAll(".x-axis .tick text"));
+  }
+
+  // Each test renders once: jsdom can't interpolate the transforms a re-render animates
+  test("truncates tick text with the whole label as its title", async () => {
+    d3.select(host).datum(data).call(waterfallChart().duration(0).width(300).xLabelLayout("truncate"));
+    const [opening, , churn] = await tickTexts();
+    expect(opening.childNodes[0].textContent).toBe("Openi…");
+    expect(opening.querySelector("title")!.textContent).toBe("Opening balance");
+    expect(churn.querySelector("title")).toBeNull();
+  });
+
+  test("turns tick text to end under its tick", async () => {
+    d3.select(host).datum(data).call(waterfallChart().duration(0).width(300).xLabelLayout("rotate"));
+    const [turned] = await tickTexts();
+    expect(turned.getAttribute("transform")).toBe("rotate(-45)");
+    expect(turned.getAttribute("text-anchor")).toBe("end");
+  });
+
+  test("wraps tick text onto lines", async () => {
+    d3.select(host).datum(data).call(waterfallChart().duration(0).width(500).xLabelLayout("wrap"));
+    const lines = Array.from((await tickTexts())[1].querySelectorAll("tspan")).map(t => t.textContent);
+    expect(lines).toEqual(["New customer", "revenue"]);
+  });
+});
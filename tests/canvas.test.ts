@@ -0,0 +1,135 @@
+// MintWaterfall Canvas Backend Tests
+// Test shouldRenderToCanvas — performance flag and bar-count threshold
+// Test getCanvasHitTargets — one target per bar, or per stack segment
+// Test createCanvasHitTest — spatial-index hit testing, including sub-pixel bars
+// Test drawCanvas — category labels wrapped and turned as the layout fits them
+import { shouldRenderToCanvas, getCanvasHitTargets, createCanvasHitTest, drawCanvas } from "../src/chart/canvas.js";
+import { computeLayout } from "../src/chart/layout.js";
+import { prepareData } from "../src/chart/lifecycle.js";
+import { ChartConfig, ChartData, ProcessedData, defaultConfig } from "../src/chart/config.js";
+
+// Hit testing needs a real quadtree, which the d3 mock does not provide
+jest.mock("d3", () => jest.requireActual("../node_modules/d3/dist/d3.js"));
+
+const margins = { top: 60, right: 80, bottom: 60, left: 80 };
+
+function makeConfig(overrides: Partial<ChartConfig> = {}): ChartConfig {
+  return {
+    width: 800, height: 400, margin: margins,
+    stacked: false, orientation: "vertical", barPadding: 0.05,
+    enablePerformanceOptimization: true, virtualizationThreshold: 100,
+    ...overrides,
+  } as ChartConfig;
+}
+
+// Band scale stand-in: each label gets a `width` px band on a `step` px pitch starting at 100
+function bandScale(labels: string[], width: number, step: number) {
+  const scale: any = (label: string) => 100 + labels.indexOf(label) * step;
+  scale.bandwidth = () => width;
+  return scale;
+}
+
+// Linear value scale mapping 0..100 onto 300..100
+const yScale: any = (v: number) => 300 - v * 2;
+
+const bars: ProcessedData[] = [
+  { label: "Start", stacks: [{ value: 50, color: "#000" }], barTotal: 50, cumulativeTotal: 50, prevCumulativeTotal: 0 },
+  { label: "Growth", stacks: [{ value: 20, color: "#000" }, { value: 10, color: "#000" }], barTotal: 30, cumulativeTotal: 80, prevCumulativeTotal: 50 },
+  { label: "Costs", stacks: [{ value: -40, color: "#000" }], barTotal: -40, cumulativeTotal: 40, prevCumulativeTotal: 80 },
+];
+
+describe("shouldRenderToCanvas", () => {
+  test("switches only past the threshold with performance optimization on", () => {
+    expect(shouldRenderToCanvas(makeConfig(), 100)).toBe(false);
+    expect(shouldRenderToCanvas(makeConfig(), 101)).toBe(true);
+    expect(shouldRenderToCanvas(makeConfig({ enablePerformanceOptimization: false }), 101)).toBe(false);
+  });
+});
+
+describe("getCanvasHitTargets", () => {
+  const xScale = bandScale(bars.map(d => d.label), 40, 50);
+
+  test("creates one target per bar with its SVG geometry", () => {
+    const targets = getCanvasHitTargets(bars, xScale, yScale, makeConfig(), margins);
+    expect(targets.map(t => [t.label, t.stackIndex])).toEqual([["Start", null], ["Growth", null], ["Costs", null]]);
+    expect(targets[1].geometry).toEqual({ x: 150, y: 140, width: 40, height: 60 });
+  });
+
+  test("creates one target per stack segment when stacked", () => {
+    const targets = getCanvasHitTargets(bars, xScale, yScale, makeConfig({ stacked: true }), margins);
+    expect(targets.filter(t => t.label === "Growth").map(t => t.stackIndex)).toEqual([0, 1]);
+    expect(targets).toHaveLength(4);
+  });
+});
+
+describe("createCanvasHitTest", () => {
+  test("finds the bar, or stack segment, under the pointer", () => {
+    const xScale = bandScale(bars.map(d => d.label), 40, 50);
+    const hitTest = createCanvasHitTest(getCanvasHitTargets(bars, xScale, yScale, makeConfig({ stacked: true }), margins));
+
+    expect(hitTest(170, 190)).toMatchObject({ label: "Growth", stackIndex: 0 });
+    expect(hitTest(170, 150)).toMatchObject({ label: "Growth", stackIndex: 1 });
+    expect(hitTest(220, 200)).toMatchObject({ label: "Costs", stackIndex: 0 });
+    expect(hitTest(145, 190)).toBeNull();
+    expect(hitTest(120, 100)).toBeNull();
+  });
+
+  test("keeps sub-pixel bars in a dense series hoverable", () => {
+    const dense: ProcessedData[] = Array.from({ length: 5000 }, (_, i) => ({
+      label: `D${i}`, stacks: [{ value: 1, color: "#000" }], barTotal: 1, cumulativeTotal: i + 1, prevCumulativeTotal: i,
+    }));
+    const xScale = bandScale(dense.map(d => d.label), 0.1, 0.12);
+    const flat: any = (v: number) => 300 - v * 0.01;
+    const hitTest = createCanvasHitTest(getCanvasHitTargets(dense, xScale, flat, makeConfig(), margins));
+
+    // D2500 spans x 400..400.1 and y 274.99..275
+    expect(hitTest(400.05, 275)?.label).toBe("D2500");
+    expect(hitTest(400.05, 250)).toBeNull();
+  });
+});
+
+// 2D context that records the text drawn, with the rotation in force for each
+function recordingContext() {
+  const texts: Array<{ text: string; x: number; y: number; rotation: number }> = [];
+  const rotations = [0];
+  const state: Record<string | symbol, unknown> = {
+    save: () => rotations.push(rotations[rotations.length - 1]),
+    restore: () => rotations.pop(),
+    rotate: (angle: number) => { rotations[rotations.length - 1] += angle; },
+    fillText: (text: string, x: number, y: number) => texts.push({ text, x, y, rotation: rotations[rotations.length - 1] }),
+    measureText: (text: string) => ({ width: text.length * 6 }),
+  };
+  const context = new Proxy(state, {
+    get: (target, key) => key in target ? target[key] : () => undefined,
+  }) as unknown as CanvasRenderingContext2D;
+  return { context, texts };
+}
+
+describe("drawCanvas", () => {
+  const long: ChartData[] = ["Opening balance", "New customer revenue", "Operating expenses", "Closing balance"]
+    .map((label, i) => ({ label, stacks: [{ value: i === 0 ? 100 : 10, color: "#000" }] }));
+
+  function draw(overrides: Partial<ChartConfig>) {
+    const config: ChartConfig = { ...defaultConfig, scaleType: "band", width: 400, height: 300, ...overrides };
+    const layout = computeLayout(prepareData(long, config), config);
+    const { context, texts } = recordingContext();
+    drawCanvas(context, layout.visibleData, layout.xScale, layout.yScale, config, layout.margins, layout.plotClip, [], layout.categoryLabels);
+    // Value ticks are the numeric text
+    const categoryTexts = texts.filter(t => !/^\d+$/.test(t.text));
+    return { layout, categoryTexts };
+  }
+
+  test("draws every category label on the lines the layout wrapped it to", () => {
+    const { layout, categoryTexts } = draw({ xLabelLayout: "wrap", showValueLabels: false });
+    const lines = Array.from(layout.categoryLabels!.labels.values()).flatMap(label => label.lines);
+    expect(lines.length).toBeGreaterThan(long.length);
+    expect(categoryTexts.map(t => t.text)).toEqual(lines);
+    expect(categoryTexts.every(t => t.rotation === 0)).toBe(true);
+  });
+
+  test("turns the labels when the layout rotates them", () => {
+    const { layout, categoryTexts } = draw({ xLabelLayout: "rotate", showValueLabels: false });
+    expect(categoryTexts.map(t => t.text)).toEqual(long.map(d => d.label));
+    expect(categoryTexts[0].rotation).toBeCloseTo(-layout.categoryLabels!.rotation * Math.PI / 180);
+  });
+});
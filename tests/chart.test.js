@@ -138,6 +138,52 @@ describe("MintWaterfall Chart", () => {
       chart.barPadding(0.2);
       expect(chart.barPadding()).toBe(0.2);
     });
+
+    test("should default to vertical orientation and accept horizontal", () => {
+      expect(chart.orientation()).toBe("vertical");
+      expect(chart.orientation("horizontal")).toBe(chart);
+      expect(chart.orientation()).toBe("horizontal");
+    });
+
+    test("should configure auto-resize and breakpoints", () => {
+      expect(chart.autoResize()).toBe(false);
+      expect(chart.autoResize(true).resizeDebounce(50)).toBe(chart);
+      expect(chart.autoResize()).toBe(true);
+      expect(chart.resizeDebounce()).toBe(50);
+
+      const breakpoints = [{ maxWidth: 400, config: { showValueLabels: false } }];
+      chart.breakpoints(breakpoints);
+      expect(chart.breakpoints()).toBe(breakpoints);
+      expect(chart.showValueLabels()).toBe(true);
+    });
+
+    test("should add, list and remove formatting rules", () => {
+      const rule = { when: { field: "barTotal", op: "<", value: 0 }, style: { fill: "#c0392b" } };
+      expect(chart.addFormattingRule(rule)).toBe(chart);
+      expect(chart.addFormattingRule({ id: "big", priority: 2, when: () => true, style: { fontWeight: 700 } })).toBe(chart);
+
+      const rules = chart.formattingRules();
+      expect(rules.map(r => r.id)).toEqual(["rule-1", "big"]);
+
+      chart.removeFormattingRule("big");
+      expect(chart.formattingRules()).toHaveLength(1);
+    });
+
+    test("should round-trip declarative formatting rules through JSON", () => {
+      chart.addFormattingRule({ id: "loss", when: { all: [{ field: "type", op: "!=", value: "subtotal" }, { field: "barTotal", op: "<", value: -1e6 }] }, style: { pattern: "stripes" } });
+      const json = JSON.stringify(chart.formattingRules());
+
+      const restored = waterfallChart().formattingRules(JSON.parse(json));
+      expect(restored.formattingRules()).toEqual(chart.formattingRules());
+    });
+
+    test("should ignore formatting rules without a condition", () => {
+      const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+      chart.addFormattingRule({ style: { fill: "red" } });
+      expect(chart.formattingRules()).toHaveLength(0);
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
   });
 
   describe("Method Chaining", () => {
@@ -246,6 +292,12 @@ describe("MintWaterfall Chart", () => {
       chart.theme(theme);
       expect(chart.theme()).toBe(theme);
     });
+
+    test("keeps the theme palette by selecting the default colour mode", () => {
+      chart.colorMode("sequential").theme("financial");
+      expect(chart.colorMode()).toBe("default");
+      expect(chart.enableAdvancedColors()).toBe(true);
+    });
   });
 
   describe("Data Processing", () => {
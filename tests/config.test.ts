@@ -0,0 +1,49 @@
+// MintWaterfall Config Tests
+// Test applyBreakpoints — per-render size, breakpoint overrides and value-mode formatting
+import { applyBreakpoints, defaultConfig, percentFormat, ChartConfig } from "../src/chart/config.js";
+
+function makeConfig(overrides: Partial<ChartConfig> = {}): ChartConfig {
+  return { ...defaultConfig, ...overrides };
+}
+
+describe("applyBreakpoints", () => {
+  const breakpoints = [
+    { maxWidth: 400, config: { showValueLabels: false, barPadding: 0.02 } },
+    { maxWidth: 600, config: { barPadding: 0.1, stacked: true } },
+    { maxHeight: 200, config: { showTotal: false } },
+  ];
+
+  test("uses the rendered size without changing the source config", () => {
+    const config = makeConfig({ breakpoints });
+    const rendered = applyBreakpoints(config, 1000, 500);
+    expect(rendered).toMatchObject({ width: 1000, height: 500, showValueLabels: true });
+    expect(config.width).toBe(800);
+  });
+
+  test("applies every matching breakpoint with the narrowest winning", () => {
+    const rendered = applyBreakpoints(makeConfig({ breakpoints }), 350, 300);
+    expect(rendered.showValueLabels).toBe(false);
+    expect(rendered.barPadding).toBe(0.02);
+    expect(rendered.stacked).toBe(true);
+  });
+
+  test("matches height breakpoints", () => {
+    const rendered = applyBreakpoints(makeConfig({ breakpoints, showTotal: true }), 1000, 180);
+    expect(rendered.showTotal).toBe(false);
+    expect(rendered.barPadding).toBe(defaultConfig.barPadding);
+  });
+
+  test("formats percentage value modes as percentages", () => {
+    expect(applyBreakpoints(makeConfig(), 800, 400).formatNumber).toBe(defaultConfig.formatNumber);
+    expect(applyBreakpoints(makeConfig({ valueMode: "percentOfStart" }), 800, 400).formatNumber).toBe(percentFormat);
+    const narrow = [{ maxWidth: 400, config: { valueMode: "percentOfTotal" as const } }];
+    expect(applyBreakpoints(makeConfig({ breakpoints: narrow }), 350, 400).formatNumber).toBe(percentFormat);
+  });
+
+  test("keeps a custom formatNumber in percentage value modes", () => {
+    const format = (n: number) => `${(n * 100).toFixed(2)}%`;
+    expect(applyBreakpoints(makeConfig({ valueMode: "percentOfStart", formatNumber: format }), 800, 400).formatNumber).toBe(format);
+    const narrow = [{ maxWidth: 400, config: { valueMode: "percentOfTotal" as const, formatNumber: format } }];
+    expect(applyBreakpoints(makeConfig({ breakpoints: narrow }), 350, 400).formatNumber).toBe(format);
+  });
+});
@@ -0,0 +1,74 @@
+// MintWaterfall Formatting Tests
+// Test conditional formatting rules — conditions, priorities, stack subjects
+import { matchesCondition, resolveFormatting, isValidFormattingRule } from "../src/chart/formatting.js";
+import { FormattingRule, ProcessedData } from "../src/chart/config.js";
+
+const loss: ProcessedData = {
+  label: "Write-off", type: "delta",
+  stacks: [{ value: -1500000, color: "#e74c3c" }, { value: 200000, color: "#2ecc71", label: "Recovery" }],
+  barTotal: -1300000, cumulativeTotal: 700000, prevCumulativeTotal: 2000000,
+};
+
+describe("matchesCondition", () => {
+  test("compares a field against a value", () => {
+    expect(matchesCondition({ field: "barTotal", op: "<", value: -1e6 }, loss)).toBe(true);
+    expect(matchesCondition({ field: "barTotal", op: ">=", value: 0 }, loss)).toBe(false);
+    expect(matchesCondition({ field: "type", op: "==", value: "delta" }, loss)).toBe(true);
+    expect(matchesCondition({ field: "label", op: "in", value: ["Write-off", "Impairment"] }, loss)).toBe(true);
+  });
+
+  test("follows dot paths into nested fields", () => {
+    expect(matchesCondition({ field: "stacks.0.value", op: "<", value: 0 }, loss)).toBe(true);
+    expect(matchesCondition({ field: "missing.path", op: "==", value: 1 }, loss)).toBe(false);
+  });
+
+  test("combines conditions with all, any and not", () => {
+    const negative = { field: "barTotal", op: "<", value: 0 } as const;
+    const total = { field: "isTotal", op: "==", value: true } as const;
+    expect(matchesCondition({ all: [negative, { not: total }] }, loss)).toBe(true);
+    expect(matchesCondition({ all: [negative, total] }, loss)).toBe(false);
+    expect(matchesCondition({ any: [negative, total] }, loss)).toBe(true);
+  });
+});
+
+describe("resolveFormatting", () => {
+  const rules: FormattingRule[] = [
+    { id: "bold", priority: 10, when: { field: "barTotal", op: "<", value: -1e6 }, style: { fontWeight: 700, fill: "#8e0000" } },
+    { id: "red", when: { field: "barTotal", op: "<", value: 0 }, style: { fill: "#c0392b", labelColor: "#c0392b" } },
+  ];
+
+  test("merges matching rules with higher priorities winning", () => {
+    expect(resolveFormatting(rules, loss)).toEqual({ fill: "#8e0000", labelColor: "#c0392b", fontWeight: 700 });
+  });
+
+  test("lets the later rule win a priority tie", () => {
+    const tied: FormattingRule[] = [
+      { when: () => true, style: { fill: "first" } },
+      { when: () => true, style: { fill: "second" } },
+    ];
+    expect(resolveFormatting(tied, loss).fill).toBe("second");
+  });
+
+  test("returns an empty style when nothing matches", () => {
+    expect(resolveFormatting(rules, { ...loss, barTotal: 10 })).toEqual({});
+  });
+
+  test("exposes the stack segment to conditions and predicates", () => {
+    const stackRules: FormattingRule[] = [
+      { when: { field: "stack.value", op: ">", value: 0 }, style: { pattern: "dots" } },
+      { when: (_d, stack) => stack?.label === "Recovery", style: { stroke: "#000" } },
+    ];
+    expect(resolveFormatting(stackRules, loss, loss.stacks[0])).toEqual({});
+    expect(resolveFormatting(stackRules, loss, loss.stacks[1])).toEqual({ pattern: "dots", stroke: "#000" });
+  });
+});
+
+describe("isValidFormattingRule", () => {
+  test("requires a condition and a style", () => {
+    expect(isValidFormattingRule({ when: { field: "barTotal", op: "<", value: 0 }, style: {} })).toBe(true);
+    expect(isValidFormattingRule({ when: () => true, style: {} })).toBe(true);
+    expect(isValidFormattingRule({ style: {} })).toBe(false);
+    expect(isValidFormattingRule({ when: { field: "barTotal", op: "<", value: 0 } })).toBe(false);
+    expect(isValidFormattingRule(null)).toBe(false);
+  });
+});
@@ -0,0 +1,103 @@
+// MintWaterfall Value Label Tests
+// Test getValueLabelText — delta, running total, delta with percent change and custom content
+// Test getValueLabels — outside/inside/auto/none placement, collisions under auto and contrasting text
+import * as d3 from "d3";
+import { waterfallChart } from "../src/chart/chart.js";
+import { getValueLabels, getValueLabelText, getContrastingTextColor, LabelledBar } from "../src/chart/labels.js";
+import { ChartConfig, ProcessedData, ValueLabelOptions, defaultConfig } from "../src/chart/config.js";
+
+// percentFormat is a real d3 formatter, and the chart renders with real selections
+jest.mock("d3", () => jest.requireActual("../node_modules/d3/dist/d3.js"));
+
+function makeConfig(valueLabelOptions: ValueLabelOptions = {}, overrides: Partial<ChartConfig> = {}): ChartConfig {
+  return { ...defaultConfig, formatNumber: String, valueLabelOptions, ...overrides };
+}
+
+function bar(d: Partial<ProcessedData>, geometry: LabelledBar["geometry"], fill = "#3498db"): LabelledBar {
+  return { d: { label: "A", stacks: [], barTotal: 0, cumulativeTotal: 0, ...d }, geometry, fill, style: {} };
+}
+
+// A tall increase and a tall decrease, each 40px wide with a 40px gap
+const rise = bar({ label: "Up", barTotal: 50, cumulativeTotal: 150, prevCumulativeTotal: 100 }, { x: 0, y: 100, width: 40, height: 100 });
+const fall = bar({ label: "Down", barTotal: -50, cumulativeTotal: 100, prevCumulativeTotal: 150 }, { x: 80, y: 100, width: 40, height: 100 }, "#f1c40f");
+
+describe("getValueLabelText", () => {
+  const d = { label: "Price", stacks: [], barTotal: 32, cumulativeTotal: 1032, prevCumulativeTotal: 1000 } as ProcessedData;
+
+  test("formats the delta, running total or delta with percent change", () => {
+    expect(getValueLabelText(d, makeConfig())).toBe("32");
+    expect(getValueLabelText(d, makeConfig({ content: "runningTotal" }))).toBe("1032");
+    expect(getValueLabelText(d, makeConfig({ content: "deltaPercent" }))).toBe("32 (+3.2%)");
+    expect(getValueLabelText({ ...d, isTotal: true }, makeConfig({ content: "deltaPercent" }))).toBe("32");
+  });
+
+  test("uses custom content and leaves unchanged bars blank", () => {
+    expect(getValueLabelText(d, makeConfig({ content: bar => `${bar.label}!` }))).toBe("Price!");
+    expect(getValueLabelText({ ...d, barTotal: 0 }, makeConfig())).toBe("");
+  });
+});
+
+describe("getContrastingTextColor", () => {
+  test("picks light text on dark fills and dark text otherwise", () => {
+    expect(getContrastingTextColor("#2c3e50")).toBe("#fff");
+    expect(getContrastingTextColor("rgb(241, 196, 15)")).toBe("#333");
+    expect(getContrastingTextColor("#fff")).toBe("#333");
+    expect(getContrastingTextColor("url(#stripes)")).toBe("#333");
+  });
+});
+
+describe("getValueLabels", () => {
+  test("puts outside labels past the bar end, below decreases", () => {
+    const [up, down] = getValueLabels([rise, fall], makeConfig());
+    expect(up).toMatchObject({ x: 20, y: 92, anchor: "middle", inside: false, color: "#333", fontSize: 14, fontWeight: "bold" });
+    expect(down).toMatchObject({ x: 100, inside: false });
+    expect(down.y).toBeCloseTo(200 + 8 + 14 * 0.8);
+  });
+
+  test("puts inside labels within the bar end in a contrasting colour", () => {
+    const dark = { ...rise, fill: "#2c3e50" };
+    const [up, down] = getValueLabels([dark, fall], makeConfig({ placement: "inside" }));
+    expect(up).toMatchObject({ inside: true, color: "#fff" });
+    expect(up.y).toBeCloseTo(100 + 8 + 14 * 0.8);
+    expect(down).toMatchObject({ inside: true, y: 192, color: "#333" });
+  });
+
+  test("falls back to outside under auto when the label does not fit", () => {
+    const short = bar({ barTotal: 5, cumulativeTotal: 105, prevCumulativeTotal: 100 }, { x: 0, y: 190, width: 40, height: 10 });
+    const labels = getValueLabels([rise, { ...short, geometry: { ...short.geometry, x: 80 } }], makeConfig({ placement: "auto" }));
+    expect(labels.map(label => label.inside)).toEqual([true, false]);
+    expect(getValueLabels([short], makeConfig({ placement: "inside" }))).toEqual([]);
+  });
+
+  test("drops labels that would overlap a neighbour under auto", () => {
+    // 10px bands: "1234" is ~34px wide, so only every fourth label has room
+    const narrow = [0, 1, 2, 3, 4].map(i => bar({ barTotal: 1234, cumulativeTotal: 1234 }, { x: i * 10, y: 100, width: 10, height: 100 }));
+    expect(getValueLabels(narrow, makeConfig({ placement: "auto" })).map(label => label.x)).toEqual([5, 45]);
+  });
+
+  test("labels every bar by default, however crowded", () => {
+    const narrow = [0, 1, 2, 3, 4].map(i => bar({ barTotal: 1234, cumulativeTotal: 1234 }, { x: i * 10, y: 100, width: 10, height: 100 }));
+    expect(getValueLabels(narrow, makeConfig()).map(label => label.x)).toEqual([5, 15, 25, 35, 45]);
+
+    const host = document.createElement("div");
+    const data = Array.from({ length: 30 }, (_, i) => ({ label: `Item ${i}`, stacks: [{ value: 1000 + i, color: "#3498db" }] }));
+    d3.select(host).datum(data).call(waterfallChart().duration(0).width(300).height(200));
+    expect(host.querySelectorAll(".total-label")).toHaveLength(30);
+  });
+
+  test("honours formatting styles, fonts and the none placement", () => {
+    const styled = { ...rise, style: { labelColor: "#f00", fontWeight: 400 } };
+    expect(getValueLabels([styled], makeConfig({ fontSize: 10, fontFamily: "Georgia" }))[0])
+      .toMatchObject({ color: "#f00", fontWeight: 400, fontSize: 10, fontFamily: "Georgia" });
+    expect(getValueLabels([rise], makeConfig({ placement: "none" }))).toEqual([]);
+    expect(getValueLabels([rise], makeConfig({}, { showValueLabels: false }))).toEqual([]);
+  });
+
+  test("places horizontal labels after increases and before decreases", () => {
+    const right = bar({ barTotal: 50, cumulativeTotal: 150, prevCumulativeTotal: 100 }, { x: 100, y: 0, width: 50, height: 20 });
+    const left = bar({ barTotal: -50, cumulativeTotal: 100, prevCumulativeTotal: 150 }, { x: 100, y: 40, width: 50, height: 20 });
+    const [after, before] = getValueLabels([right, left], makeConfig({}, { orientation: "horizontal" }));
+    expect(after).toMatchObject({ x: 158, anchor: "start" });
+    expect(before).toMatchObject({ x: 92, anchor: "end" });
+  });
+});
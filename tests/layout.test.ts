@@ -0,0 +1,108 @@
+// MintWaterfall Layout Tests
+// Test computeLayout axis breaks — automatic and explicit break values, compressed range and ticks, data below zero
+// Test computeLayout x-axis labels — fitted to the band step, with the bottom margin grown to fit
+// Test computeLayout shared scales — categories and value domain lined up across small multiples
+import { computeLayout } from "../src/chart/layout.js";
+import { prepareData } from "../src/chart/lifecycle.js";
+import { ChartConfig, ChartData, defaultConfig } from "../src/chart/config.js";
+
+// Scales come from real d3
+jest.mock("d3", () => jest.requireActual("../node_modules/d3/dist/d3.js"));
+
+function makeConfig(overrides: Partial<ChartConfig> = {}): ChartConfig {
+  return { ...defaultConfig, scaleType: "band", ...overrides };
+}
+
+// A 500 base with small drivers, as in a revenue bridge
+const bridge: ChartData[] = [
+  { label: "FY23", type: "absolute", stacks: [{ value: 500, color: "#000" }] },
+  { label: "Price", stacks: [{ value: 5, color: "#0a0" }] },
+  { label: "Volume", stacks: [{ value: -3, color: "#a00" }] },
+  { label: "FY24", type: "subtotal" },
+];
+
+function layout(data: ChartData[], overrides: Partial<ChartConfig>) {
+  const config = makeConfig(overrides);
+  return computeLayout(prepareData(data, config), config);
+}
+
+describe("computeLayout axis breaks", () => {
+  test("compresses zero up to a round value below the smallest running total", () => {
+    const { valueBreak, yScale, margins } = layout(bridge, { axisBreak: { enabled: true, size: 24 } });
+    expect(valueBreak).toBe(499);
+    const bottom = 400 - margins.bottom;
+    expect(yScale(0)).toBe(bottom);
+    expect(yScale(499)).toBe(bottom - 24);
+    expect(yScale.ticks()[0]).toBe(0);
+    expect(yScale.ticks().slice(1).every((tick: number) => tick >= 499)).toBe(true);
+  });
+
+  test("uses an explicit break value", () => {
+    expect(layout(bridge, { axisBreak: { enabled: true, value: 450 } }).valueBreak).toBe(450);
+    expect(layout(bridge, { axisBreak: { enabled: true, value: 900 } }).valueBreak).toBeNull();
+  });
+
+  test("keeps a continuous axis when a break would not help", () => {
+    expect(layout(bridge, {}).valueBreak).toBeNull();
+    const balanced: ChartData[] = [
+      { label: "Start", stacks: [{ value: 100, color: "#000" }] },
+      { label: "Growth", stacks: [{ value: 150, color: "#000" }] },
+    ];
+    expect(layout(balanced, { axisBreak: { enabled: true } }).valueBreak).toBeNull();
+    const negative: ChartData[] = [...bridge, { label: "Loss", stacks: [{ value: -600, color: "#a00" }] }];
+    expect(layout(negative, { axisBreak: { enabled: true } }).valueBreak).toBeNull();
+  });
+
+  test("reports an explicit break value that data below zero rules out", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const negative: ChartData[] = [...bridge, { label: "Loss", stacks: [{ value: -600, color: "#a00" }] }];
+    expect(layout(negative, { axisBreak: { enabled: true } }).valueBreak).toBeNull();
+    expect(warn).not.toHaveBeenCalled();
+
+    expect(layout(negative, { axisBreak: { enabled: true, value: 450 } }).valueBreak).toBeNull();
+    expect(warn).toHaveBeenCalledWith("MintWaterfall: axisBreak.value 450 needs data that stays at or above zero; showing a continuous axis.");
+    warn.mockRestore();
+  });
+});
+
+describe("computeLayout x-axis labels", () => {
+  const long: ChartData[] = ["Opening balance", "New customer revenue", "Operating expenses"]
+    .map((label, i) => ({ label, stacks: [{ value: i === 0 ? 100 : 10, color: "#000" }] }));
+
+  test("grows the bottom margin to fit turned labels", () => {
+    const plain = layout(long, { width: 800, xLabelLayout: "none" });
+    const turned = layout(long, { width: 300, xLabelLayout: "rotate" });
+    expect(plain.categoryLabels!.rotation).toBe(0);
+    expect(plain.margins.bottom).toBe(70);
+    expect(turned.categoryLabels!.rotation).toBe(45);
+    expect(turned.margins.bottom).toBe(turned.categoryLabels!.height + 8);
+    expect(turned.yScale.range()[0]).toBe(400 - turned.margins.bottom);
+  });
+
+  test("keeps the brush strip below the labels", () => {
+    const turned = layout(long, { width: 300, xLabelLayout: "rotate" });
+    const brushed = layout(long, { width: 300, xLabelLayout: "rotate", enableBrush: true });
+    expect(brushed.margins.bottom).toBeGreaterThan(turned.margins.bottom);
+  });
+
+  test("leaves labels alone in horizontal orientation", () => {
+    expect(layout(long, { orientation: "horizontal" }).categoryLabels).toBeNull();
+  });
+});
+
+describe("computeLayout shared scales", () => {
+  test("lays out shared categories and sizes the value domain over every panel", () => {
+    const config = makeConfig();
+    const small = prepareData([{ label: "Start", stacks: [{ value: 100, color: "#000" }] }], config);
+    const large = prepareData([
+      { label: "Start", stacks: [{ value: 400, color: "#000" }] },
+      { label: "FX", stacks: [{ value: -50, color: "#000" }] },
+    ], config);
+    const own = computeLayout(small, config);
+    const shared = computeLayout(small, config, undefined, undefined, { categories: ["Start", "FX"], valueData: [...small, ...large] });
+    expect(own.xScale.domain()).toEqual(["Start"]);
+    expect(shared.xScale.domain()).toEqual(["Start", "FX"]);
+    expect(shared.yScale.domain()[1]).toBe(computeLayout(large, config).yScale.domain()[1]);
+    expect(shared.margins).toEqual(computeLayout([...small, ...large], config).margins);
+  });
+});
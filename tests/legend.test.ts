@@ -0,0 +1,202 @@
+// MintWaterfall Legend Tests
+// Test getLegendItems / getLegendGradient / getLegendLayout — entries, colour ramps and positions
+// Test getBarColor — advanced colour modes colour bars as the legend explains them
+// Test legend toggling — clicking an entry hides its stack or series and recomputes totals
+import * as d3 from "d3";
+import { waterfallChart } from "../src/chart/chart.js";
+import { getLegendItems, getLegendGradient, getLegendLayout } from "../src/chart/legend.js";
+import { ChartConfig, ChartData, ProcessedData, defaultConfig, getLegendSize } from "../src/chart/config.js";
+import { prepareData } from "../src/chart/lifecycle.js";
+import { getBarColor } from "../src/chart/render.js";
+import { getConditionalColor } from "../src/themes.js";
+
+// Colour scales and rendering need real d3
+jest.mock("d3", () => jest.requireActual("../node_modules/d3/dist/d3.js"));
+
+const advanced = { enabled: true, scaleType: "auto" as const, themeName: "default", neutralThreshold: 0 };
+
+function makeConfig(overrides: Partial<ChartConfig> = {}): ChartConfig {
+  return { ...defaultConfig, showLegend: true, ...overrides };
+}
+
+const stackData: ChartData[] = [
+  { label: "Q1", stacks: [{ value: 50, color: "#111", label: "Online" }, { value: 30, color: "#222", label: "Retail" }] },
+  { label: "Q2", stacks: [{ value: 20, color: "#333", label: "Online" }, { value: -10, color: "#222", label: "Retail" }] },
+];
+
+const seriesData: ChartData[] = [
+  { label: "Open", series: [{ name: "Actual", stacks: [{ value: 100, color: "#000" }] }, { name: "Budget", stacks: [{ value: 90, color: "#999" }] }] },
+  { label: "Sales", series: [{ name: "Actual", stacks: [{ value: 40, color: "#000" }] }, { name: "Budget", stacks: [{ value: 50, color: "#999" }] }] },
+];
+
+describe("getLegendItems", () => {
+  test("lists labeled stacks once, in order, with their first colour", () => {
+    const items = getLegendItems(stackData, makeConfig({ stacked: true }), new Set(["Retail"]));
+    expect(items).toEqual([
+      { id: "Online", label: "Online", color: "#111", kind: "stack", hidden: false },
+      { id: "Retail", label: "Retail", color: "#222", kind: "stack", hidden: true },
+    ]);
+  });
+
+  test("lists series, preferring seriesColors", () => {
+    const items = getLegendItems(seriesData, makeConfig({ seriesColors: { Budget: "#f00" } }));
+    expect(items.map(item => [item.id, item.color, item.kind])).toEqual([["Actual", "#000", "series"], ["Budget", "#f00", "series"]]);
+  });
+
+  test("explains conditional colours with increase, decrease and total entries", () => {
+    const items = getLegendItems(seriesData, makeConfig({ advancedColorConfig: advanced, colorMode: "conditional" }));
+    expect(items.filter(item => item.kind === "semantic")).toEqual([
+      { id: "increase", label: "Increase", color: getConditionalColor(1), kind: "semantic", hidden: false },
+      { id: "decrease", label: "Decrease", color: getConditionalColor(-1), kind: "semantic", hidden: false },
+      { id: "total", label: "Total", color: defaultConfig.totalColor, kind: "semantic", hidden: false },
+    ]);
+    expect(getLegendItems(seriesData, makeConfig({ advancedColorConfig: advanced, stacked: true }))).toHaveLength(2);
+  });
+
+  test("adds entries for labeled reference bands and bar targets", () => {
+    const milestoneConfig = {
+      enabled: true,
+      milestones: [],
+      bands: [{ from: 0, to: 10, label: "Tolerance", color: "#0f0" }, { from: 20, to: 30 }],
+      targets: [{ label: "Sales", value: 45 }],
+      targetLabel: "Budget",
+    };
+    expect(getLegendItems(seriesData, makeConfig({ milestoneConfig })).filter(item => item.kind === "reference")).toEqual([
+      { id: "band:Tolerance", label: "Tolerance", color: "#0f0", kind: "reference", hidden: false },
+      { id: "target", label: "Budget", color: "#2c3e50", kind: "reference", hidden: false },
+    ]);
+  });
+});
+
+describe("getLegendGradient", () => {
+  const data: ChartData[] = [
+    { label: "A", stacks: [{ value: 100, color: "#000" }] },
+    { label: "B", stacks: [{ value: -40, color: "#000" }] },
+  ];
+
+  test("samples the sequential scale over the bar totals", () => {
+    const config = makeConfig({ advancedColorConfig: advanced, colorMode: "sequential" });
+    const gradient = getLegendGradient(prepareData(data, config), config)!;
+    expect(gradient.domain).toEqual([-40, 100]);
+    expect(gradient.stops).toHaveLength(11);
+    expect(gradient.stops[0]).toEqual({ offset: 0, color: d3.interpolateBlues(0) });
+    expect(gradient.stops[10]).toEqual({ offset: 1, color: d3.interpolateBlues(1) });
+  });
+
+  test("centres the diverging scale on zero", () => {
+    const config = makeConfig({ advancedColorConfig: advanced, colorMode: "diverging" });
+    expect(getLegendGradient(prepareData(data, config), config)!.domain).toEqual([-100, 100]);
+  });
+
+  test("is null outside sequential and diverging modes", () => {
+    const config = makeConfig({ advancedColorConfig: advanced, colorMode: "conditional" });
+    expect(getLegendGradient(prepareData(data, config), config)).toBeNull();
+    expect(getLegendGradient(prepareData(data, makeConfig()), makeConfig({ colorMode: "sequential" }))).toBeNull();
+  });
+});
+
+describe("getBarColor", () => {
+  const data: ChartData[] = [
+    { label: "A", stacks: [{ value: 100, color: "#000" }] },
+    { label: "B", stacks: [{ value: -40, color: "#000" }] },
+  ];
+
+  test("colours sequential bars by value along the legend's ramp", () => {
+    const config = makeConfig({ advancedColorConfig: advanced, colorMode: "sequential" });
+    const processed = prepareData(data, config);
+    const gradient = getLegendGradient(processed, config)!;
+    expect(getBarColor(processed[0], 0, config, processed)).toBe(gradient.stops[10].color);
+    expect(getBarColor(processed[1], 1, config, processed)).toBe(gradient.stops[0].color);
+  });
+
+  test("colours diverging bars on a scale centred on zero", () => {
+    const config = makeConfig({ advancedColorConfig: advanced, colorMode: "diverging" });
+    const processed = prepareData(data, config);
+    const gradient = getLegendGradient(processed, config)!;
+    expect(getBarColor(processed[0], 0, config, processed)).toBe(gradient.stops[10].color);
+    expect(getBarColor(processed[1], 1, config, processed)).not.toBe(getBarColor(processed[0], 0, config, processed));
+  });
+
+  test("keeps conditional totals in totalColor", () => {
+    const config = makeConfig({ advancedColorConfig: advanced, colorMode: "conditional", showTotal: true });
+    const processed = prepareData(data, config);
+    expect(getBarColor(processed[0], 0, config, processed)).toBe(getConditionalColor(1));
+    expect(getBarColor(processed[1], 1, config, processed)).toBe(getConditionalColor(-1));
+    expect(getBarColor(processed[2], 2, config, processed)).toBe(config.totalColor);
+  });
+
+  test("cycles the theme palette in default mode", () => {
+    const config = makeConfig({ advancedColorConfig: advanced, colorMode: "default" });
+    const processed = prepareData(data, config);
+    expect(getBarColor(processed[0], 0, config, processed)).not.toBe(getBarColor(processed[1], 1, config, processed));
+    expect(getBarColor(processed[0], 0, makeConfig(), processed)).toBe("#000");
+  });
+});
+
+describe("getLegendLayout", () => {
+  const items = getLegendItems(stackData, makeConfig());
+  const margins = { top: 60, right: 80, bottom: 88, left: 80 };
+
+  test("lays entries out in a row along the bottom margin", () => {
+    const layout = getLegendLayout(items, null, makeConfig(), margins);
+    expect(layout.items.map(item => [item.x, item.y])).toEqual([[80, 380], [80 + 12 + 6 + 42 + 16, 380]]);
+    expect(layout.gradient).toBeNull();
+  });
+
+  test("stacks entries in a column in the right margin", () => {
+    const config = makeConfig({ legendOptions: { position: "right" } });
+    const layout = getLegendLayout(items, null, config, margins);
+    expect(getLegendSize(config)).toBe(140);
+    expect(layout.items.map(item => [item.x, item.y])).toEqual([[668, 60], [668, 80]]);
+  });
+});
+
+describe("legend toggling", () => {
+  let host: HTMLDivElement;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    host = document.createElement("div");
+    document.body.appendChild(host);
+  });
+
+  afterEach(() => {
+    host.remove();
+    jest.useRealTimers();
+  });
+
+  // Bars leave through transitions, so read what each render drew from chartUpdate
+  function render(chart: any, data: ChartData[]): () => ProcessedData[] {
+    let drawn: ProcessedData[] = [];
+    chart.on("chartUpdate", (detail: { data: ProcessedData[] }) => { drawn = detail.data; });
+    d3.select(host).datum(data).call(chart);
+    return () => drawn;
+  }
+
+  test("clicking a stack entry hides it and recomputes totals", () => {
+    const toggled = jest.fn();
+    const chart = waterfallChart().duration(0).stacked(true).showTotal(false).showLegend(true).on("legendToggle", toggled);
+    const drawn = render(chart, stackData);
+    const totals = () => drawn().map(d => d.cumulativeTotal);
+    expect(totals()).toEqual([80, 90]);
+
+    const retail = host.querySelectorAll(".legend-item")[1];
+    retail.dispatchEvent(new MouseEvent("click"));
+    expect(toggled).toHaveBeenCalledWith(expect.objectContaining({ id: "Retail", hidden: true }));
+    expect(totals()).toEqual([50, 70]);
+    expect(host.querySelectorAll(".legend-item")[1].getAttribute("aria-pressed")).toBe("false");
+
+    host.querySelectorAll(".legend-item")[1].dispatchEvent(new KeyboardEvent("keydown", { key: "Enter" }));
+    expect(totals()).toEqual([80, 90]);
+  });
+
+  test("keeps the last visible series", () => {
+    const chart = waterfallChart().duration(0).showTotal(false).showLegend(true);
+    const drawn = render(chart, seriesData);
+    host.querySelectorAll(".legend-item")[0].dispatchEvent(new MouseEvent("click"));
+    expect(drawn().map(d => d.seriesName)).toEqual(["Budget", "Budget"]);
+
+    host.querySelectorAll(".legend-item")[1].dispatchEvent(new MouseEvent("click"));
+    expect(drawn().map(d => d.seriesName)).toEqual(["Budget", "Budget"]);
+  });
+});
@@ -1,7 +1,7 @@
 // MintWaterfall Lifecycle Tests
 // Test prepareData — cumulative totals, total bar, edge cases
-import { prepareData } from "../src/chart/lifecycle.js";
-import { ChartConfig, ChartData, ProcessedData } from "../src/chart/config.js";
+import { prepareData, getSeriesNames } from "../src/chart/lifecycle.js";
+import { BreakdownConfig, ChartConfig, ChartData, ProcessedData } from "../src/chart/config.js";
 
 // Minimal config for testing
 function makeConfig(overrides: Partial<ChartConfig> = {}): ChartConfig {
@@ -12,6 +12,7 @@ function makeConfig(overrides: Partial<ChartConfig> = {}): ChartConfig {
     totalLabel: "Total",
     totalColor: "#95A5A6",
     stacked: false,
+    orientation: "vertical",
     barPadding: 0.05,
     duration: 750,
     ease: (t: number) => t,
@@ -35,6 +36,9 @@ function makeConfig(overrides: Partial<ChartConfig> = {}): ChartConfig {
     enableZoom: false, zoomConfig: {},
     breakdownConfig: null, formattingRules: new Map(),
     enablePerformanceOptimization: false, performanceDashboard: false, virtualizationThreshold: 10000,
+    seriesPadding: 0.1, seriesColors: {},
+    showLegend: false, legendOptions: { position: "bottom" },
+    valueMode: "absolute",
     ...overrides,
   };
 }
@@ -103,6 +107,7 @@ describe("prepareData", () => {
     expect(total.prevCumulativeTotal).toBe(0);
     expect(total.stacks[0].value).toBe(150);
     expect(total.stacks[0].color).toBe("#ff0000");
+    expect(total.isTotal).toBe(true);
   });
 
   test("does not append total bar when showTotal is false", () => {
@@ -166,6 +171,91 @@ describe("prepareData", () => {
     expect(result[0].prevCumulativeTotal).toBe(0);
   });
 
+  test("subtotal bars restate the running total without changing it", () => {
+    const data: ChartData[] = [
+      { label: "Revenue", stacks: [{ value: 500, color: "#000" }] },
+      { label: "COGS", stacks: [{ value: -200, color: "#000" }] },
+      { label: "Gross Profit", type: "subtotal" },
+      { label: "Opex", stacks: [{ value: -120, color: "#000" }] },
+      { label: "EBITDA", type: "subtotal" },
+    ];
+    const result = prepareData(data, makeConfig());
+
+    expect(result).toHaveLength(5);
+    const grossProfit = result[2];
+    expect(grossProfit.isTotal).toBe(true);
+    expect(grossProfit.barTotal).toBe(300);
+    expect(grossProfit.cumulativeTotal).toBe(300);
+    expect(grossProfit.prevCumulativeTotal).toBe(0);
+    expect(grossProfit.stacks).toEqual([{ value: 300, color: "#95A5A6" }]);
+
+    expect(result[3].prevCumulativeTotal).toBe(300);
+    expect(result[3].cumulativeTotal).toBe(180);
+    expect(result[4].barTotal).toBe(180);
+    expect(result[4].isTotal).toBe(true);
+  });
+
+  test("subtotal takes its color from a provided stack", () => {
+    const data: ChartData[] = [
+      { label: "A", stacks: [{ value: 100, color: "#000" }] },
+      { label: "Sub", type: "subtotal", stacks: [{ value: 0, color: "#123456" }] },
+    ];
+    const result = prepareData(data, makeConfig());
+    expect(result[1].stacks).toEqual([{ value: 100, color: "#123456" }]);
+  });
+
+  test("subtotals do not affect the final total", () => {
+    const data: ChartData[] = [
+      { label: "A", stacks: [{ value: 100, color: "#000" }] },
+      { label: "Sub", type: "subtotal" },
+      { label: "B", stacks: [{ value: 25, color: "#000" }] },
+    ];
+    const result = prepareData(data, makeConfig({ showTotal: true }));
+    expect(result[3].barTotal).toBe(125);
+  });
+
+  test("absolute bar sets an opening balance", () => {
+    const data: ChartData[] = [
+      { label: "Cash at 1 Jan", type: "absolute", stacks: [{ value: 4200, color: "#000" }] },
+      { label: "Receipts", stacks: [{ value: 800, color: "#000" }] },
+      { label: "Payments", stacks: [{ value: -1500, color: "#000" }] },
+    ];
+    const result = prepareData(data, makeConfig({ showTotal: true }));
+
+    expect(result[0].isTotal).toBe(true);
+    expect(result[0].barTotal).toBe(4200);
+    expect(result[0].cumulativeTotal).toBe(4200);
+    expect(result[0].prevCumulativeTotal).toBe(0);
+    expect(result[1].prevCumulativeTotal).toBe(4200);
+    expect(result[1].cumulativeTotal).toBe(5000);
+    expect(result[2].cumulativeTotal).toBe(3500);
+    expect(result[3].barTotal).toBe(3500);
+  });
+
+  test("absolute bar mid-series resets the running total", () => {
+    const data: ChartData[] = [
+      { label: "A", stacks: [{ value: 100, color: "#000" }] },
+      { label: "B", stacks: [{ value: 50, color: "#000" }] },
+      { label: "Restated", type: "absolute", stacks: [{ value: 120, color: "#000" }, { value: 10, color: "#111" }] },
+      { label: "C", stacks: [{ value: -30, color: "#000" }] },
+    ];
+    const result = prepareData(data, makeConfig());
+
+    expect(result[2].barTotal).toBe(130);
+    expect(result[2].cumulativeTotal).toBe(130);
+    expect(result[2].stacks).toHaveLength(2);
+    expect(result[3].prevCumulativeTotal).toBe(130);
+    expect(result[3].cumulativeTotal).toBe(100);
+  });
+
+  test("delta bars are not flagged as totals", () => {
+    const data: ChartData[] = [
+      { label: "A", stacks: [{ value: 100, color: "#000" }] },
+    ];
+    const result = prepareData(data, makeConfig());
+    expect(result[0].isTotal).toBeUndefined();
+  });
+
   test("total bar with negative cumulative shows correct values", () => {
     const data: ChartData[] = [
       { label: "A", stacks: [{ value: -100, color: "#000" }] },
@@ -178,3 +268,185 @@ describe("prepareData", () => {
     expect(total.prevCumulativeTotal).toBe(0);
   });
 });
+
+describe("prepareData breakdowns", () => {
+  const stack = (value: number) => [{ value, color: "#000" }];
+  const data: ChartData[] = [
+    { label: "Start", stacks: stack(100) },
+    {
+      label: "Revenue", stacks: stack(60), breakdown: [
+        { label: "B", stacks: stack(20) },
+        { label: "A", stacks: stack(30) },
+        { label: "C", stacks: stack(6) },
+        { label: "D", stacks: stack(4) },
+      ],
+    },
+    { label: "Costs", stacks: stack(-30) },
+  ];
+  const breakdown = (overrides: Partial<BreakdownConfig> = {}): Partial<ChartConfig> => ({
+    breakdownConfig: { enabled: true, levels: 1, ...overrides },
+  });
+
+  test("ignores sub-items while breakdowns are disabled", () => {
+    expect(prepareData(data, makeConfig()).map(d => d.label)).toEqual(["Start", "Revenue", "Costs"]);
+  });
+
+  test("expands a bar into adjacent sub-bars with running totals", () => {
+    const result = prepareData(data, makeConfig(breakdown()));
+    expect(result.map(d => d.label)).toEqual(["Start", "B", "A", "C", "D", "Costs"]);
+    expect(result.map(d => d.cumulativeTotal)).toEqual([100, 120, 150, 156, 160, 130]);
+    expect(result[1].parentLabel).toBe("Revenue");
+    expect(result[1].breakdownLevel).toBe(1);
+  });
+
+  test("folds groups past maxGroups into the others bucket", () => {
+    const result = prepareData(data, makeConfig(breakdown({ maxGroups: 2, othersLabel: "Other" })));
+    expect(result.map(d => d.label)).toEqual(["Start", "B", "A", "Other (Revenue)", "Costs"]);
+    expect(result[3].barTotal).toBe(10);
+    expect(result[3].isOthers).toBe(true);
+    expect(result[4].cumulativeTotal).toBe(130);
+  });
+
+  test("folds groups below minGroupSize into the others bucket", () => {
+    const result = prepareData(data, makeConfig(breakdown({ minGroupSize: 10 })));
+    expect(result.map(d => d.label)).toEqual(["Start", "B", "A", "Others (Revenue)", "Costs"]);
+  });
+
+  test("sorts sub-bars before limiting them", () => {
+    const result = prepareData(data, makeConfig(breakdown({ sortStrategy: "value", maxGroups: 1 })));
+    expect(result.map(d => d.label)).toEqual(["Start", "A", "Others (Revenue)", "Costs"]);
+  });
+
+  test("drops the remainder when showOthers is false", () => {
+    const result = prepareData(data, makeConfig(breakdown({ maxGroups: 2, showOthers: false })));
+    expect(result.map(d => d.label)).toEqual(["Start", "B", "A", "Costs"]);
+  });
+
+  test("keeps collapsed bars whole and flags them as expandable", () => {
+    const result = prepareData(data, makeConfig(breakdown()), new Set(["Revenue"]));
+    expect(result.map(d => d.label)).toEqual(["Start", "Revenue", "Costs"]);
+    expect(result[1].hasBreakdown).toBe(true);
+    expect(result[1].cumulativeTotal).toBe(160);
+  });
+
+  test("expands nested sub-items up to the configured levels", () => {
+    const nested: ChartData[] = [{
+      label: "Revenue", stacks: stack(50), breakdown: [
+        { label: "Product", stacks: stack(50), breakdown: [
+          { label: "P1", stacks: stack(35) },
+          { label: "P2", stacks: stack(15) },
+        ] },
+      ],
+    }];
+    expect(prepareData(nested, makeConfig(breakdown())).map(d => d.label)).toEqual(["Product"]);
+    const twoLevels = prepareData(nested, makeConfig(breakdown({ levels: 2 })));
+    expect(twoLevels.map(d => d.label)).toEqual(["P1", "P2"]);
+    expect(twoLevels[0]).toMatchObject({ parentLabel: "Product", breakdownLevel: 2 });
+  });
+
+  test("reads sub-items from a custom field", () => {
+    const custom = [{ label: "Revenue", stacks: stack(10), regions: [{ label: "EU", stacks: stack(10) }] }] as ChartData[];
+    expect(prepareData(custom, makeConfig(breakdown({ field: "regions" }))).map(d => d.label)).toEqual(["EU"]);
+  });
+});
+
+describe("prepareData series", () => {
+  const data: ChartData[] = [
+    { label: "Open", type: "absolute", series: [
+      { name: "Actual", stacks: [{ value: 100, color: "#000" }] },
+      { name: "Budget", stacks: [{ value: 90, color: "#999" }] },
+    ] },
+    { label: "Costs", series: [{ name: "Budget", stacks: [{ value: -20, color: "#999" }] }] },
+    { label: "Sales", series: [
+      { name: "Actual", stacks: [{ value: 40, color: "#000" }] },
+      { name: "Budget", stacks: [{ value: 50, color: "#999" }] },
+    ] },
+    { label: "Net", type: "subtotal" },
+  ];
+
+  test("lists series in order of first appearance", () => {
+    expect(getSeriesNames(data)).toEqual(["Actual", "Budget"]);
+    expect(getSeriesNames([{ label: "A", stacks: [] }])).toEqual([]);
+  });
+
+  test("accumulates each series separately, category by category", () => {
+    const result = prepareData(data, makeConfig());
+    expect(result.map(d => [d.label, d.seriesName, d.cumulativeTotal])).toEqual([
+      ["Open", "Actual", 100], ["Open", "Budget", 90],
+      ["Costs", "Budget", 70],
+      ["Sales", "Actual", 140], ["Sales", "Budget", 120],
+      ["Net", "Actual", 140], ["Net", "Budget", 120],
+    ]);
+    expect(result.every(d => d.seriesCount === 2)).toBe(true);
+    expect(result[4]).toMatchObject({ seriesIndex: 1, prevCumulativeTotal: 70, barTotal: 50 });
+    expect(result[0]).not.toHaveProperty("series");
+  });
+
+  test("gives every series a total bar in its series colour", () => {
+    const result = prepareData(data, makeConfig({ showTotal: true, seriesColors: { Budget: "#f00" } }));
+    expect(result.slice(-2).map(d => [d.label, d.seriesName, d.cumulativeTotal, d.stacks[0].color])).toEqual([
+      ["Total", "Actual", 140, "#95A5A6"], ["Total", "Budget", 120, "#f00"],
+    ]);
+  });
+});
+
+describe("prepareData hidden items", () => {
+  test("leaves hidden stacks out of bar and running totals", () => {
+    const data: ChartData[] = [
+      { label: "Q1", stacks: [{ value: 50, color: "#000", label: "Online" }, { value: 30, color: "#999", label: "Retail" }] },
+      { label: "Q2", stacks: [{ value: 20, color: "#000", label: "Online" }, { value: -10, color: "#999", label: "Retail" }] },
+    ];
+    const result = prepareData(data, makeConfig(), new Set(), new Set(["Retail"]));
+    expect(result.map(d => [d.barTotal, d.cumulativeTotal])).toEqual([[50, 50], [20, 70]]);
+    expect(result.every(d => d.stacks.every(stack => stack.label === "Online"))).toBe(true);
+  });
+
+  test("drops hidden series and renumbers the rest", () => {
+    const data: ChartData[] = [
+      { label: "Open", series: [{ name: "Actual", stacks: [{ value: 100, color: "#000" }] }, { name: "Budget", stacks: [{ value: 90, color: "#999" }] }] },
+    ];
+    const result = prepareData(data, makeConfig(), new Set(), new Set(["Actual"]));
+    expect(result.map(d => [d.seriesName, d.seriesIndex, d.seriesCount])).toEqual([["Budget", 0, 1]]);
+  });
+});
+
+describe("prepareData value modes", () => {
+  const data: ChartData[] = [
+    { label: "Revenue", stacks: [{ value: 200, color: "#000" }] },
+    { label: "Price", stacks: [{ value: 30, color: "#0a0", label: "List" }, { value: 10, color: "#0a0", label: "Mix" }] },
+    { label: "Costs", stacks: [{ value: -40, color: "#a00" }] },
+    { label: "Tax", stacks: [{ value: -40, color: "#a00" }] },
+  ];
+
+  test("percentOfStart divides by the opening bar and keeps the raw bar", () => {
+    const result = prepareData(data, makeConfig({ valueMode: "percentOfStart" }));
+    expect(result.map(d => [d.barTotal, d.cumulativeTotal])).toEqual([[1, 1], [0.2, 1.2], [-0.2, 1], [-0.2, 0.8]]);
+    expect(result[1].stacks.map(stack => stack.value)).toEqual([0.15, 0.05]);
+    expect(result[1].prevCumulativeTotal).toBe(1);
+    expect(result[1].raw).toMatchObject({ barTotal: 40, cumulativeTotal: 240 });
+    expect(result[1].raw!.stacks[0].value).toBe(30);
+  });
+
+  test("percentOfTotal divides by the final running total", () => {
+    const result = prepareData(data, makeConfig({ valueMode: "percentOfTotal", showTotal: true }));
+    expect(result.map(d => d.cumulativeTotal)).toEqual([1.25, 1.5, 1.25, 1, 1]);
+    expect(prepareData(data, makeConfig())[0]).not.toHaveProperty("raw");
+  });
+
+  test("rescales each series against its own base", () => {
+    const seriesData: ChartData[] = [
+      { label: "Open", series: [{ name: "Actual", stacks: [{ value: 100, color: "#000" }] }, { name: "Budget", stacks: [{ value: 50, color: "#999" }] }] },
+      { label: "Sales", series: [{ name: "Actual", stacks: [{ value: 10, color: "#000" }] }, { name: "Budget", stacks: [{ value: 10, color: "#999" }] }] },
+    ];
+    const result = prepareData(seriesData, makeConfig({ valueMode: "percentOfStart" }));
+    expect(result.map(d => [d.seriesName, d.barTotal])).toEqual([["Actual", 1], ["Budget", 1], ["Actual", 0.1], ["Budget", 0.2]]);
+  });
+
+  test("keeps absolute values when the base is zero", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const result = prepareData([{ label: "Flat", stacks: [{ value: 0, color: "#000" }] }], makeConfig({ valueMode: "percentOfStart" }));
+    expect(result[0]).not.toHaveProperty("raw");
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining("non-zero base"));
+    warn.mockRestore();
+  });
+});
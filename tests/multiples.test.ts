@@ -0,0 +1,169 @@
+// MintWaterfall Small Multiples Tests
+// Test getFacets / getSharedCategories / getPanelPositions — splitting data and lining panels up
+// Test waterfallSmallMultiples — shared scales, synchronized hover, facet events, the shared legend and per-facet clips
+import * as d3 from "d3";
+import { waterfallSmallMultiples, getFacets, getSharedCategories, getPanelPositions } from "../src/chart/multiples.js";
+import { waterfallChart } from "../src/chart/chart.js";
+import { ChartData, FacetBarEventDetail, defaultSmallMultiplesConfig } from "../src/chart/config.js";
+import { installSvgTransforms, uninstallSvgTransforms } from "./svg-transforms";
+
+// Layout and rendering need real d3
+jest.mock("d3", () => jest.requireActual("../node_modules/d3/dist/d3.js"));
+
+type FacetedData = ChartData & { region: string };
+
+const data: FacetedData[] = [
+  { region: "EMEA", label: "Start", stacks: [{ value: 100, color: "#3498db" }] },
+  { region: "EMEA", label: "Price", stacks: [{ value: 20, color: "#2ecc71" }] },
+  { region: "APAC", label: "Start", stacks: [{ value: 400, color: "#3498db" }] },
+  { region: "APAC", label: "FX", stacks: [{ value: -50, color: "#e74c3c" }] },
+  { region: "APAC", label: "Price", stacks: [{ value: 30, color: "#2ecc71" }] },
+];
+
+describe("getFacets", () => {
+  test("groups items by a field or a function, in order of first appearance", () => {
+    expect(getFacets(data, "region").map(f => [f.name, f.data.map(d => d.label)])).toEqual([
+      ["EMEA", ["Start", "Price"]],
+      ["APAC", ["Start", "FX", "Price"]],
+    ]);
+    expect(getFacets(data, d => d.label === "FX" ? "other" : "main").map(f => f.name)).toEqual(["main", "other"]);
+  });
+});
+
+describe("getSharedCategories", () => {
+  test("slots labels a later panel adds in after the label they follow", () => {
+    expect(getSharedCategories([["Start", "Price", "Total"], ["Start", "FX", "Price", "Total"], ["Start", "Total", "Tax"]]))
+      .toEqual(["Start", "FX", "Price", "Total", "Tax"]);
+  });
+});
+
+describe("getPanelPositions", () => {
+  test("fills rows of the configured width, panel size plus gap apart", () => {
+    const config = { ...defaultSmallMultiplesConfig, columns: 2, panelWidth: 100, panelHeight: 80, gap: 10 };
+    expect(getPanelPositions(3, config, { x: 0, y: 28 })).toEqual([{ x: 0, y: 28 }, { x: 110, y: 28 }, { x: 0, y: 118 }]);
+  });
+});
+
+describe("waterfallSmallMultiples", () => {
+  let host: HTMLDivElement;
+
+  // Re-renders animate the panels' transforms
+  beforeAll(installSvgTransforms);
+  afterAll(uninstallSvgTransforms);
+
+  beforeEach(() => {
+    host = document.createElement("div");
+    document.body.appendChild(host);
+  });
+
+  afterEach(() => {
+    host.remove();
+  });
+
+  function render(multiples = waterfallSmallMultiples()) {
+    multiples.facet("region").columns(2).chart(waterfallChart().duration(0));
+    d3.select(host).datum(data).call(multiples);
+    return multiples;
+  }
+
+  // Lets the zero-length bar transitions run
+  function settle(): Promise<void> {
+    return new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  // Bar heights in pixels, panel by panel
+  async function barHeights(): Promise<number[][]> {
+    await settle();
+    return Array.from(host.querySelectorAll(".waterfall-panel"))
+      .map(panel => Array.from(panel.querySelectorAll(".waterfall-bar")).map(bar => +bar.getAttribute("height")!));
+  }
+
+  test("draws one titled panel per facet in a grid", () => {
+    render();
+    const panels = host.querySelectorAll(".waterfall-panel");
+    expect(host.querySelectorAll("svg")).toHaveLength(1);
+    expect(Array.from(panels).map(p => p.querySelector(".panel-title")!.textContent)).toEqual(["EMEA", "APAC"]);
+    expect(panels[1].getAttribute("transform")).toBe("translate(336,0)");
+    expect(host.querySelector("svg")!.getAttribute("width")).toBe("656");
+  });
+
+  test("shares the value domain so equal values get equal heights", async () => {
+    render();
+    const [emea, apac] = await barHeights();
+    // EMEA's opening 100 is a quarter of APAC's 400
+    expect(emea[0] / apac[0]).toBeCloseTo(0.25, 5);
+
+    // A fresh svg: jsdom can't interpolate the transforms a re-render animates
+    host.replaceChildren();
+    render(waterfallSmallMultiples().sharedYDomain(false));
+    const [ownEmea, ownApac] = await barHeights();
+    expect(ownEmea[0] / ownApac[0]).toBeGreaterThan(0.5);
+  });
+
+  test("lays out every facet's categories in one order", () => {
+    render();
+    const ticks = (i: number) => Array.from(host.querySelectorAll(".waterfall-panel")[i].querySelectorAll(".x-axis .tick"))
+      .map(t => t.getAttribute("transform"));
+    expect(ticks(0)).toHaveLength(3);
+    expect(ticks(0)).toEqual(ticks(1));
+  });
+
+  test("highlights the hovered category in every panel and reports the facet", () => {
+    const events: Array<[string, string]> = [];
+    const multiples = render().on("barMouseover", (_event: Event, d: ChartData, detail: FacetBarEventDetail) => {
+      events.push([d.label, detail.facet]);
+    });
+    d3.select(host).datum(data).call(multiples);
+
+    const price = Array.from(host.querySelectorAll(".bar-group")).find((g: any) => g.__data__.region === "APAC" && g.__data__.label === "Price")!;
+    price.dispatchEvent(new MouseEvent("pointerover", { bubbles: true }));
+    expect(events).toEqual([["Price", "APAC"]]);
+    const highlighted = Array.from(host.querySelectorAll(".bar-group.sync-hover")).map((g: any) => g.__data__.label);
+    expect(highlighted).toEqual(["Price", "Price"]);
+    expect((host.querySelector(".bar-group:not(.sync-hover)") as SVGGElement).style.opacity).toBe("0.35");
+
+    price.dispatchEvent(new MouseEvent("pointerout", { bubbles: true }));
+    expect(host.querySelectorAll(".bar-group.sync-hover")).toHaveLength(0);
+  });
+
+  test("hides a series in every panel from the shared legend", async () => {
+    const seriesData: FacetedData[] = ["EMEA", "APAC"].flatMap(region => [
+      { region, label: "Start", series: [{ name: "Actual", stacks: [{ value: 100, color: "#000" }] }, { name: "Budget", stacks: [{ value: 90, color: "#999" }] }] },
+      { region, label: "Price", series: [{ name: "Actual", stacks: [{ value: 10, color: "#000" }] }, { name: "Budget", stacks: [{ value: 15, color: "#999" }] }] },
+    ]);
+    const toggled: string[] = [];
+    const multiples = waterfallSmallMultiples().facet("region").showLegend(true).chart(waterfallChart().duration(0))
+      .on("legendToggle", (item: { id: string }) => toggled.push(item.id));
+    d3.select(host).datum(seriesData).call(multiples);
+    expect(host.querySelectorAll(".legend-item")).toHaveLength(2);
+    expect(host.querySelectorAll(".waterfall-bar")).toHaveLength(8);
+
+    host.querySelectorAll(".legend-item")[1].dispatchEvent(new MouseEvent("click", { bubbles: true }));
+    expect(toggled).toEqual(["Budget"]);
+    expect(host.querySelectorAll(".legend-item")[1].getAttribute("aria-pressed")).toBe("false");
+
+    // Drawn afresh, as jsdom can't run the re-render's transitions
+    host.replaceChildren();
+    d3.select(host).datum(seriesData).call(multiples);
+    await settle();
+    expect(Array.from(host.querySelectorAll(".bar-group")).map((g: any) => g.__data__.seriesName)).toEqual(["Actual", "Actual", "Actual", "Actual"]);
+  });
+
+  test("keys each panel's clip path by facet and drops those of removed facets", async () => {
+    const clips = () => Array.from(host.querySelectorAll("clipPath"), c => c.id);
+    const clipOf = (i: number) => host.querySelectorAll(".waterfall-panel .chart-group")[i].getAttribute("clip-path");
+    const named = data.map(d => ({ ...d, region: d.region === "APAC" ? "Asia / Pacific" : d.region }));
+    const multiples = waterfallSmallMultiples().facet("region").chart(waterfallChart().duration(0));
+    d3.select(host).datum(named).call(multiples);
+    const [emea, apac] = clips();
+    expect(emea).toMatch(/-clip-EMEA$/);
+    expect(apac).toMatch(/-clip-Asia_20_2f_20Pacific$/);
+    expect(clipOf(1)).toBe(`url(#${apac})`);
+
+    // With EMEA gone, Asia / Pacific moves into the first slot but keeps its clip
+    d3.select(host).datum(named.filter(d => d.region !== "EMEA")).call(multiples);
+    await settle();
+    expect(clips()).toEqual([apac]);
+    expect(clipOf(0)).toBe(`url(#${apac})`);
+  });
+});
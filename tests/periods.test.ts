@@ -0,0 +1,250 @@
+// MintWaterfall Period Axis Tests
+// Test parsePeriodDate — dates, timestamps and date-like labels read as local period starts
+// Test getPeriods — calendar periods per category, undated bars placed around the dated ones, shared periods split
+// Test getPeriodGaps / getPeriodGapRects — stretches without data, marked across the plot
+// Test createPeriodScale / getPeriodBand — period ticks and text thinned to fit, and bars spanning their period
+// Test getMilestoneMarkers — milestones at the middle of their period
+// Test scaleType "time" — the chart's bars, tick text, gap markers and milestones
+import * as d3 from "d3";
+import { waterfallChart } from "../src/chart/chart.js";
+import { computeLayout } from "../src/chart/layout.js";
+import { prepareData } from "../src/chart/lifecycle.js";
+import { getMilestoneMarkers, getPeriodGapRects } from "../src/chart/render.js";
+import { ChartConfig, ChartData, defaultConfig } from "../src/chart/config.js";
+import { createPeriodScale, getPeriodBand, getPeriodGaps, getPeriods, parsePeriodDate } from "../src/chart/periods.js";
+
+// Time scales and intervals come from real d3
+jest.mock("d3", () => jest.requireActual("../node_modules/d3/dist/d3.js"));
+
+const monthly: ChartData[] = [
+  { label: "Opening", stacks: [{ value: 100, color: "#000" }] },
+  { label: "2025-01", stacks: [{ value: 20, color: "#0a0" }] },
+  { label: "2025-02", stacks: [{ value: -10, color: "#a00" }] },
+  { label: "April", date: "2025-04-15", stacks: [{ value: 30, color: "#0a0" }] },
+  { label: "Closing", type: "total", stacks: [] },
+];
+
+function makeConfig(overrides: Partial<ChartConfig> = {}): ChartConfig {
+  return { ...defaultConfig, scaleType: "time", width: 600, height: 300, ...overrides };
+}
+
+function periodsOf(data: ChartData[], config: ChartConfig = makeConfig()) {
+  return getPeriods(prepareData(data, config), "month");
+}
+
+describe("parsePeriodDate", () => {
+  test("reads date-like strings as local dates", () => {
+    expect(parsePeriodDate("2025-03")).toEqual(new Date(2025, 2, 1));
+    expect(parsePeriodDate("2025-03-14")).toEqual(new Date(2025, 2, 14));
+    expect(parsePeriodDate("2025")).toEqual(new Date(2025, 0, 1));
+    expect(parsePeriodDate("2025-Q3")).toEqual(new Date(2025, 6, 1));
+    expect(parsePeriodDate("Q2 2025")).toEqual(new Date(2025, 3, 1));
+  });
+
+  test("takes dates and timestamps as they are and rejects other labels", () => {
+    const date = new Date(2025, 5, 1);
+    expect(parsePeriodDate(date)).toBe(date);
+    expect(parsePeriodDate(+date)).toEqual(date);
+    expect(parsePeriodDate("Opening")).toBeNull();
+    expect(parsePeriodDate("Price 2")).toBeNull();
+    expect(parsePeriodDate(new Date("nope"))).toBeNull();
+  });
+});
+
+describe("getPeriods", () => {
+  test("floors dates to their interval and formats them with the year when it changes", () => {
+    const periods = periodsOf([
+      { label: "2024-12", stacks: [{ value: 1, color: "#000" }] },
+      { label: "2025-01", stacks: [{ value: 1, color: "#000" }] },
+      { label: "2025-02", stacks: [{ value: 1, color: "#000" }] },
+      { label: "Q2", date: new Date(2025, 4, 20), period: "quarter", stacks: [{ value: 1, color: "#000" }] },
+    ]);
+    expect(Array.from(periods.values(), p => p.text)).toEqual(["Dec 2024", "Jan 2025", "Feb", "Q2 2025"]);
+    expect(periods.get("Q2")).toMatchObject({ start: new Date(2025, 3, 1), end: new Date(2025, 6, 1), interval: "quarter" });
+  });
+
+  test("places undated bars before the first dated bar and after the bar before them", () => {
+    const periods = periodsOf(monthly);
+    expect(periods.get("Opening")).toMatchObject({ start: new Date(2024, 11, 1), end: new Date(2025, 0, 1), text: "Opening" });
+    expect(periods.get("Closing")).toMatchObject({ start: new Date(2025, 4, 1), end: new Date(2025, 5, 1), text: "Closing" });
+    expect(periodsOf([{ label: "Opening", stacks: [{ value: 1, color: "#000" }] }]).size).toBe(0);
+  });
+
+  test("splits a period between the bars that land on it, in category order", () => {
+    const periods = periodsOf([
+      { label: "2025-01", stacks: [{ value: 1, color: "#000" }] },
+      { label: "Rebate", date: "2025-01-20", stacks: [{ value: 1, color: "#000" }] },
+      { label: "2025-02", stacks: [{ value: 1, color: "#000" }] },
+      { label: "Subtotal", type: "subtotal" },
+      { label: "2025-03", stacks: [{ value: 1, color: "#000" }] },
+    ]);
+    const jan = [new Date(2025, 0, 1), new Date(2025, 1, 1)];
+    const janMiddle = new Date((+jan[0] + +jan[1]) / 2);
+    expect(periods.get("2025-01")).toMatchObject({ start: jan[0], end: janMiddle, text: "Jan 2025" });
+    expect(periods.get("Rebate")).toMatchObject({ start: janMiddle, end: jan[1], text: "Jan 2025" });
+
+    // The subtotal takes the slot after February, which March's own bar then shares
+    const mar = [new Date(2025, 2, 1), new Date(2025, 3, 1)];
+    const marMiddle = new Date((+mar[0] + +mar[1]) / 2);
+    expect(periods.get("Subtotal")).toMatchObject({ start: mar[0], end: marMiddle, text: "Subtotal" });
+    expect(periods.get("2025-03")).toMatchObject({ start: marMiddle, end: mar[1], text: "Mar" });
+
+    const scale = createPeriodScale(periods).range([0, 600]);
+    expect(scale.ticks().map(scale.tickFormat())).toEqual(["Jan 2025", "Feb", "Subtotal", "Mar"]);
+    const bands = ["2025-01", "Rebate", "2025-02", "Subtotal", "2025-03"].map(label => getPeriodBand(scale, label, 0));
+    bands.slice(1).forEach((band, i) => expect(band.offset).toBeCloseTo(bands[i].offset + bands[i].width));
+  });
+
+  test("gives every series at a category one period", () => {
+    const periods = periodsOf([
+      { label: "2025-01", series: [{ name: "Actual", stacks: [{ value: 5, color: "#000" }] }, { name: "Budget", stacks: [{ value: 4, color: "#999" }] }] },
+    ]);
+    expect(periods.size).toBe(1);
+  });
+});
+
+describe("getPeriodGaps", () => {
+  test("finds the stretches no period covers", () => {
+    const gaps = getPeriodGaps(Array.from(periodsOf(monthly).values()));
+    expect(gaps).toEqual([{ start: new Date(2025, 2, 1), end: new Date(2025, 3, 1) }]);
+  });
+});
+
+describe("createPeriodScale", () => {
+  test("ticks each period's middle with its text", () => {
+    const scale = createPeriodScale(periodsOf(monthly)).range([0, 600]);
+    expect(scale.domain()).toEqual([new Date(2024, 11, 1), new Date(2025, 5, 1)]);
+    const format = scale.tickFormat();
+    expect(scale.ticks().map(format)).toEqual(["Opening", "Jan 2025", "Feb", "Apr", "Closing"]);
+  });
+
+  test("keeps only the ticks whose labels have room, naming each year at its first", () => {
+    const months: ChartData[] = Array.from({ length: 300 }, (_, i) => ({
+      label: `m${i}`, date: new Date(2000, i, 1), stacks: [{ value: 1, color: "#000" }],
+    }));
+    const scale = createPeriodScale(periodsOf(months)).range([0, 600]);
+    const format = scale.tickFormat();
+    const ticks = scale.ticks().map((date: Date) => ({ at: scale(date), text: format(date) }));
+    expect(ticks.length).toBeGreaterThan(5);
+    expect(ticks.length).toBeLessThan(30);
+    ticks.slice(1).forEach((tick: { at: number; text: string }, i: number) => {
+      // 6px a character, as the axis estimates, with a gap between
+      expect(tick.at - ticks[i].at).toBeGreaterThanOrEqual((tick.text.length + ticks[i].text.length) * 3);
+    });
+    const years = ticks.map((tick: { text: string }) => tick.text.match(/\d{4}/)?.[0]).filter(Boolean);
+    expect(years[0]).toBe("2000");
+    expect(new Set(years).size).toBe(years.length);
+
+    // Labels a line apart, as on a left axis, fit more ticks
+    expect(scale.tickLabelSize(12).ticks().length).toBeGreaterThan(ticks.length);
+  });
+
+  test("spans bars across their period, inset by the padding", () => {
+    const scale = createPeriodScale(periodsOf(monthly)).range([0, 600]);
+    const band = getPeriodBand(scale, "2025-01", 0.2);
+    const [start, end] = [scale(new Date(2025, 0, 1)), scale(new Date(2025, 1, 1))];
+    expect(band.width).toBeCloseTo((end - start) * 0.8);
+    expect(band.offset).toBeCloseTo(start + (end - start) * 0.1);
+    expect(getPeriodBand(scale, "Missing", 0.2).offset).toBeNaN();
+  });
+});
+
+describe("computeLayout with scaleType time", () => {
+  test("lays bars out on a period scale and leaves out bars it can't place", () => {
+    const config = makeConfig();
+    const { xScale, visibleData } = computeLayout(prepareData(monthly, config), config);
+    expect(xScale.period("April").start).toEqual(new Date(2025, 3, 1));
+    expect(visibleData).toHaveLength(5);
+
+    const undated = computeLayout(prepareData([monthly[0]], config), config);
+    expect(undated.visibleData).toHaveLength(0);
+  });
+});
+
+describe("getPeriodGapRects", () => {
+  test("marks gaps across the plot and labels those wide enough", () => {
+    const config = makeConfig();
+    const { xScale, margins } = computeLayout(prepareData(monthly, config), config);
+    const [gap] = getPeriodGapRects(xScale, config, margins);
+    expect(gap.x).toBeCloseTo(xScale(new Date(2025, 2, 1)));
+    expect(gap.y).toBe(margins.top);
+    expect(gap.height).toBe(300 - margins.top - margins.bottom);
+    expect(gap.text).toBe("No data");
+
+    const narrow = makeConfig({ width: 200 });
+    const narrowLayout = computeLayout(prepareData(monthly, narrow), narrow);
+    expect(getPeriodGapRects(narrowLayout.xScale, narrow, narrowLayout.margins)[0].text).toBe("");
+  });
+
+  test("is empty with showGaps off or on a band scale", () => {
+    const config = makeConfig({ periodOptions: { showGaps: false } });
+    const { xScale, margins } = computeLayout(prepareData(monthly, config), config);
+    expect(getPeriodGapRects(xScale, config, margins)).toEqual([]);
+    expect(getPeriodGapRects(d3.scaleBand(), config, margins)).toEqual([]);
+  });
+});
+
+describe("getMilestoneMarkers", () => {
+  test("places milestones at the middle of their period and skips labels without one", () => {
+    const config = makeConfig({
+      milestoneConfig: {
+        ...defaultConfig.milestoneConfig,
+        enabled: true,
+        milestones: [{ label: "2025-02", value: 100, type: "target" }, { label: "Missing", value: 100, type: "alert" }],
+      },
+    });
+    const { xScale, yScale } = computeLayout(prepareData(monthly, config), config);
+    const markers = getMilestoneMarkers(xScale, yScale, config);
+    expect(markers).toHaveLength(1);
+    const middle = (xScale(new Date(2025, 1, 1)) + xScale(new Date(2025, 2, 1))) / 2;
+    expect(markers[0].transform).toBe(`translate(${middle}, ${yScale(100)})`);
+  });
+});
+
+describe("scaleType time", () => {
+  test("draws calendar ticks, bars and gap markers", async () => {
+    const host = document.createElement("div");
+    document.body.appendChild(host);
+    const chart = waterfallChart().scaleType("time").duration(0).width(600).height(300)
+      .periodOptions({ gapLabel: "Missing" });
+    d3.select(host).datum(monthly).call(chart);
+    await new Promise(r => setTimeout(r, 50));
+
+    const ticks = Array.from(host.querySelectorAll(".x-axis .tick text"), t => t.textContent);
+    expect(ticks).toEqual(["Opening", "Jan 2025", "Feb", "Apr", "Closing"]);
+    expect(host.querySelectorAll(".bar-group")).toHaveLength(5);
+    expect(host.querySelectorAll(".period-gap")).toHaveLength(1);
+    expect(host.querySelector(".period-gap-label")?.textContent).toBe("Missing");
+    host.remove();
+  });
+
+  test("draws milestones, vertical or horizontal", async () => {
+    for (const orientation of ["vertical", "horizontal"]) {
+      const host = document.createElement("div");
+      document.body.appendChild(host);
+      const chart = waterfallChart().scaleType("time").orientation(orientation).duration(0).width(600).height(300)
+        .milestoneConfig({ enabled: true, milestones: [{ label: "2025-02", value: 10, type: "target" }] });
+      d3.select(host).datum(monthly).call(chart);
+      await new Promise(r => setTimeout(r, 50));
+      expect(host.querySelectorAll(".bar-group")).toHaveLength(5);
+      expect(host.querySelectorAll(".milestone-marker")).toHaveLength(1);
+      host.remove();
+    }
+  });
+
+  test("thins the ticks of a long monthly series to fit the axis", async () => {
+    const host = document.createElement("div");
+    document.body.appendChild(host);
+    const months: ChartData[] = Array.from({ length: 300 }, (_, i) => ({
+      label: `m${i}`, date: new Date(2000, i, 1), stacks: [{ value: 1, color: "#000" }],
+    }));
+    d3.select(host).datum(months).call(waterfallChart().scaleType("time").duration(0).width(600).height(300).showValueLabels(false));
+    await new Promise(r => setTimeout(r, 50));
+
+    expect(host.querySelectorAll(".bar-group")).toHaveLength(300);
+    const ticks = Array.from(host.querySelectorAll(".x-axis .tick text"), t => t.textContent);
+    expect(ticks.length).toBeLessThan(30);
+    expect(ticks[0]).toBe("Jan 2000");
+    host.remove();
+  });
+});
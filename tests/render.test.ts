@@ -0,0 +1,240 @@
+// MintWaterfall Render Tests
+// Test getBarGeometry — bar and stack bounds in SVG coordinates
+// Test getTooltipData — change, previous and running totals per bar
+// Test getBrushSelection — band snapping and combined delta
+// Test multi-series — series slots, per-series connectors, tooltips and brush deltas
+// Test getConnectors — gap and step lines, skipped totals, stacked tops and running-total labels
+// Test getReferenceBands / getTargetMarkers — shaded value ranges and per-bar target ticks
+// Test getAxisBreakMarkers — markers on the axis and on bars crossing the break
+import { getBarGeometry, getTooltipData, getBrushSelection, getConnectorPairs, getConnectors, getConnectorDash, getReferenceBands, getTargetMarkers, getAxisBreakMarkers } from "../src/chart/render.js";
+import { ChartConfig, ProcessedData } from "../src/chart/config.js";
+
+const margins = { top: 60, right: 80, bottom: 60, left: 80 };
+
+function makeConfig(overrides: Partial<ChartConfig> = {}): ChartConfig {
+  return {
+    width: 800, height: 400, margin: margins,
+    showTotal: false, totalLabel: "Total", totalColor: "#95A5A6",
+    stacked: false, orientation: "vertical", barPadding: 0.05,
+    duration: 0, ease: (t: number) => t, formatNumber: (n: number) => String(n),
+    ...overrides,
+  } as ChartConfig;
+}
+
+// Band scale stand-in: each label gets a 40px band starting at 100
+function bandScale(labels: string[]) {
+  const scale: any = (label: string) => 100 + labels.indexOf(label) * 50;
+  scale.bandwidth = () => 40;
+  return scale;
+}
+
+// Linear value scale mapping 0..100 onto 300..100 (vertical) or 100..300 (horizontal)
+const verticalValues: any = (v: number) => 300 - v * 2;
+const horizontalValues: any = (v: number) => 100 + v * 2;
+
+const bars: ProcessedData[] = [
+  { label: "Start", stacks: [{ value: 50, color: "#000" }], barTotal: 50, cumulativeTotal: 50, prevCumulativeTotal: 0 },
+  { label: "Growth", stacks: [{ value: 20, color: "#000" }, { value: 10, color: "#000" }], barTotal: 30, cumulativeTotal: 80, prevCumulativeTotal: 50 },
+  { label: "Subtotal", stacks: [{ value: 80, color: "#000" }], barTotal: 80, cumulativeTotal: 80, prevCumulativeTotal: 0, isTotal: true },
+];
+const xScale = bandScale(bars.map(d => d.label));
+
+describe("getBarGeometry", () => {
+  test("spans the running total change for a delta bar", () => {
+    expect(getBarGeometry(bars[1], null, xScale, verticalValues, makeConfig(), margins))
+      .toEqual({ x: 150, y: 140, width: 40, height: 60 });
+  });
+
+  test("spans from zero for total bars", () => {
+    expect(getBarGeometry(bars[2], null, xScale, verticalValues, makeConfig(), margins))
+      .toEqual({ x: 200, y: 140, width: 40, height: 160 });
+  });
+
+  test("offsets a stack segment by the stacks below it", () => {
+    expect(getBarGeometry(bars[1], 1, xScale, verticalValues, makeConfig(), margins))
+      .toEqual({ x: 150, y: 140, width: 40, height: 20 });
+  });
+
+  test("swaps axes in horizontal orientation", () => {
+    const config = makeConfig({ orientation: "horizontal" });
+    expect(getBarGeometry(bars[1], null, xScale, horizontalValues, config, margins))
+      .toEqual({ x: 200, y: 150, width: 60, height: 40 });
+  });
+});
+
+describe("getTooltipData", () => {
+  test("reports the change and surrounding totals for a delta bar", () => {
+    expect(getTooltipData(bars, 1)).toMatchObject({
+      label: "Growth", type: "delta", delta: 30, previousTotal: 50, runningTotal: 80,
+    });
+  });
+
+  test("treats the first bar as starting from zero", () => {
+    expect(getTooltipData(bars, 0)).toMatchObject({ delta: 50, previousTotal: 0, runningTotal: 50 });
+  });
+
+  test("reports no change for a subtotal", () => {
+    const data = [...bars.slice(0, 2), { ...bars[2], type: "subtotal" as const }];
+    expect(getTooltipData(data, 2)).toMatchObject({ type: "subtotal", delta: 0, previousTotal: 80, runningTotal: 80 });
+  });
+
+  test("reports the reset amount for an absolute bar", () => {
+    const reset: ProcessedData = {
+      label: "Reset", type: "absolute", stacks: [{ value: 30, color: "#000" }],
+      barTotal: 30, cumulativeTotal: 30, prevCumulativeTotal: 0, isTotal: true,
+    };
+    expect(getTooltipData([...bars.slice(0, 2), reset], 2)).toMatchObject({ delta: -50, previousTotal: 80, runningTotal: 30 });
+  });
+
+  test("passes the stack breakdown through", () => {
+    expect(getTooltipData(bars, 1).stacks).toHaveLength(2);
+  });
+});
+
+describe("getBrushSelection", () => {
+  // Bands sit at 100-140, 150-190 and 200-240
+  test("selects bars whose centre is inside the range and snaps to their edges", () => {
+    const selection = getBrushSelection(bars, xScale, [110, 185], makeConfig(), margins);
+    expect(selection.data.map(d => d.label)).toEqual(["Start", "Growth"]);
+    expect(selection.range).toEqual([100, 190]);
+  });
+
+  test("sums the change across the selected bars", () => {
+    expect(getBrushSelection(bars, xScale, [100, 190], makeConfig(), margins).delta).toBe(80);
+    expect(getBrushSelection(bars, xScale, [150, 240], makeConfig(), margins).delta).toBe(30);
+  });
+
+  test("accepts a reversed range", () => {
+    expect(getBrushSelection(bars, xScale, [240, 195], makeConfig(), margins).data.map(d => d.label)).toEqual(["Subtotal"]);
+  });
+
+  test("falls back to touched bars when no centre is covered", () => {
+    const selection = getBrushSelection(bars, xScale, [152, 160], makeConfig(), margins);
+    expect(selection.data.map(d => d.label)).toEqual(["Growth"]);
+    expect(selection.range).toEqual([150, 190]);
+  });
+
+  test("returns an empty selection between bars", () => {
+    expect(getBrushSelection(bars, xScale, [141, 149], makeConfig(), margins))
+      .toEqual({ data: [], delta: 0, range: null });
+  });
+});
+
+describe("multi-series", () => {
+  // Two series per category, in category order as prepareData returns them
+  const series = (label: string, seriesName: string, seriesIndex: number, prev: number, total: number): ProcessedData => ({
+    label, seriesName, seriesIndex, seriesCount: 2, stacks: [{ value: total - prev, color: "#000" }],
+    barTotal: total - prev, cumulativeTotal: total, prevCumulativeTotal: prev,
+  });
+  const seriesBars = [
+    series("Start", "Actual", 0, 0, 50), series("Start", "Budget", 1, 0, 40),
+    series("Growth", "Actual", 0, 50, 80), series("Growth", "Budget", 1, 40, 60),
+  ];
+  const seriesScale = bandScale(["Start", "Growth"]);
+  const config = makeConfig({ seriesPadding: 0 });
+
+  test("splits each category band into one slot per series", () => {
+    expect(getBarGeometry(seriesBars[2], null, seriesScale, verticalValues, config, margins, 4))
+      .toEqual({ x: 150, y: 140, width: 20, height: 60 });
+    expect(getBarGeometry(seriesBars[3], null, seriesScale, verticalValues, config, margins, 4))
+      .toMatchObject({ x: 170, width: 20 });
+  });
+
+  test("leaves seriesPadding between the slots", () => {
+    const padded = makeConfig({ seriesPadding: 0.5 });
+    // step = 40 / (2 - 0.5), slot = step * 0.5
+    const geometry = getBarGeometry(seriesBars[1], null, seriesScale, verticalValues, padded, margins, 4);
+    expect(geometry.x).toBeCloseTo(100 + 40 / 1.5);
+    expect(geometry.width).toBeCloseTo(40 / 3);
+  });
+
+  test("joins connectors within each series", () => {
+    expect(getConnectorPairs(seriesBars).map(([a, b]) => `${a.label}/${a.seriesName}-${b.label}/${b.seriesName}`))
+      .toEqual(["Start/Actual-Growth/Actual", "Start/Budget-Growth/Budget"]);
+  });
+
+  test("takes the previous total from the same series", () => {
+    expect(getTooltipData(seriesBars, 3)).toMatchObject({ series: "Budget", delta: 20, previousTotal: 40 });
+  });
+
+  test("brushes whole categories and reports each series' change", () => {
+    const selection = getBrushSelection(seriesBars, seriesScale, [140, 200], config, margins);
+    expect(selection.data).toEqual(seriesBars.slice(2));
+    expect(selection.range).toEqual([150, 190]);
+    expect(selection.delta).toBe(30);
+    expect(selection.deltaBySeries).toEqual({ Actual: 30, Budget: 20 });
+  });
+});
+
+describe("getConnectors", () => {
+  test("spans the gap between bars at the running total", () => {
+    expect(getConnectors(bars, xScale, verticalValues, makeConfig(), margins)).toEqual([
+      { id: "Start-Growth", x1: 140, x2: 150, y1: 200, y2: 200, label: null },
+      { id: "Growth-Subtotal", x1: 190, x2: 200, y1: 140, y2: 140, label: null },
+    ]);
+  });
+
+  test("runs step connectors between bar centres in horizontal orientation", () => {
+    const config = makeConfig({ orientation: "horizontal", connectorOptions: { step: true } });
+    expect(getConnectors(bars, xScale, horizontalValues, config, margins)[0])
+      .toMatchObject({ x1: 200, x2: 200, y1: 120, y2: 170 });
+  });
+
+  test("skips connectors into totals and labels the running total", () => {
+    const config = makeConfig({ connectorOptions: { skipTotals: true, showLabels: true } });
+    expect(getConnectors(bars, xScale, verticalValues, config, margins)).toEqual([
+      { id: "Start-Growth", x1: 140, x2: 150, y1: 200, y2: 200, label: { text: "50", x: 145, y: 196, anchor: "middle" } },
+    ]);
+  });
+
+  test("leaves stacked bars from the top of their segments", () => {
+    const mixed: ProcessedData[] = [
+      { label: "Start", stacks: [{ value: 40, color: "#000" }, { value: -10, color: "#000" }], barTotal: 30, cumulativeTotal: 30, prevCumulativeTotal: 0 },
+      { label: "Growth", stacks: [{ value: 20, color: "#000" }], barTotal: 20, cumulativeTotal: 50, prevCumulativeTotal: 30 },
+    ];
+    const [connector] = getConnectors(mixed, bandScale(["Start", "Growth"]), verticalValues, makeConfig({ stacked: true }), margins);
+    expect(connector.y1).toBe(verticalValues(40));
+  });
+
+  test("scales dash patterns to the line width", () => {
+    expect(getConnectorDash(makeConfig())).toEqual([3, 3]);
+    expect(getConnectorDash(makeConfig({ connectorOptions: { style: "dotted", width: 2 } }))).toEqual([2, 4]);
+    expect(getConnectorDash(makeConfig({ connectorOptions: { style: "solid" } }))).toBeNull();
+  });
+});
+
+describe("reference bands and targets", () => {
+  const milestones = (overrides: Partial<ChartConfig["milestoneConfig"]>) => makeConfig({ milestoneConfig: { enabled: true, milestones: [], ...overrides } });
+
+  test("shades a band between two values across the plot", () => {
+    const config = milestones({ bands: [{ from: 40, to: 60, label: "Tolerance" }] });
+    expect(getReferenceBands(verticalValues, config, margins)).toEqual([
+      { x: 80, y: 180, width: 640, height: 40, color: "#3498db", label: "Tolerance", labelX: 716, labelY: 192, labelAnchor: "end" },
+    ]);
+    expect(getReferenceBands(verticalValues, makeConfig({ milestoneConfig: { enabled: false, milestones: [], bands: [{ from: 0, to: 1 }] } }), margins)).toEqual([]);
+  });
+
+  test("draws a delta bar's target from its starting total and a total's at its level", () => {
+    const config = milestones({ targets: [{ label: "Growth", value: 20 }, { label: "Subtotal", value: 90 }, { label: "Missing", value: 1 }] });
+    expect(getTargetMarkers(bars, xScale, verticalValues, config, margins)).toEqual([
+      { key: "Growth", path: "M150,160H190", labelX: 193, labelY: 164, text: "" },
+      { key: "Subtotal", path: "M200,120H240", labelX: 243, labelY: 124, text: "" },
+    ]);
+  });
+
+  test("labels targets with their value when showTargetLabels is on", () => {
+    const config = milestones({ targets: [{ label: "Growth", value: 20 }], showTargetLabels: true });
+    expect(getTargetMarkers(bars, xScale, verticalValues, config, margins)[0].text).toBe("20");
+  });
+});
+
+describe("getAxisBreakMarkers", () => {
+  test("marks the axis and every bar crossing the middle of the compressed stretch", () => {
+    // Break at 40: Start and Subtotal rise from zero, Growth sits above the break
+    const markers = getAxisBreakMarkers(bars, xScale, verticalValues, makeConfig(), margins, 40);
+    expect(markers.map(marker => marker.key)).toEqual(["axis", "Start", "Subtotal"]);
+    markers.forEach(marker => expect(marker.path).toMatch(/^M[\d.,L-]+Z$/));
+    // The axis marker straddles the axis line at the middle of the compressed stretch
+    expect(markers[0].path.startsWith(`M${margins.left - 6},`)).toBe(true);
+  });
+});
@@ -0,0 +1,142 @@
+// MintWaterfall Auto-Resize Tests
+// Test autoResize — observing the host, one debounced redraw at the new size without the enter transition
+// Test breakpoints — overrides applied as a resize crosses them
+// Test chart.destroy — disconnects the observer
+import * as d3 from "d3";
+import { waterfallChart } from "../src/chart/chart.js";
+import { installSvgTransforms, uninstallSvgTransforms } from "./svg-transforms";
+
+// Rendering needs real selections and transitions
+jest.mock("d3", () => jest.requireActual("../node_modules/d3/dist/d3.js"));
+
+const data = [
+  { label: "Start", stacks: [{ value: 100, color: "#3498db" }] },
+  { label: "Costs", stacks: [{ value: -30, color: "#e74c3c" }] },
+];
+
+// Stands in for the browser's ResizeObserver: notify() plays a layout change
+class FakeResizeObserver {
+  static instances: FakeResizeObserver[] = [];
+  observed: Element[] = [];
+  disconnected = false;
+
+  constructor(private callback: ResizeObserverCallback) {
+    FakeResizeObserver.instances.push(this);
+  }
+
+  observe(target: Element): void {
+    this.observed.push(target);
+  }
+
+  disconnect(): void {
+    this.disconnected = true;
+  }
+
+  unobserve(): void {}
+
+  notify(): void {
+    this.callback([], this as unknown as ResizeObserver);
+  }
+}
+
+describe("autoResize", () => {
+  let host: HTMLDivElement;
+  let size: { width: number; height: number };
+
+  beforeAll(installSvgTransforms);
+  afterAll(uninstallSvgTransforms);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    FakeResizeObserver.instances = [];
+    (global as any).ResizeObserver = FakeResizeObserver;
+    host = document.createElement("div");
+    size = { width: 600, height: 300 };
+    host.getBoundingClientRect = () => ({ ...size, x: 0, y: 0, top: 0, left: 0, right: size.width, bottom: size.height, toJSON: () => size });
+    document.body.appendChild(host);
+  });
+
+  afterEach(() => {
+    host.remove();
+    delete (global as any).ResizeObserver;
+    jest.useRealTimers();
+  });
+
+  function resize(width: number, height: number): void {
+    size = { width, height };
+    FakeResizeObserver.instances[0].notify();
+  }
+
+  test("observes the host and redraws once per burst of resizes, at the new size", () => {
+    const chart = waterfallChart().autoResize(true).resizeDebounce(100).duration(750);
+    const renders = jest.fn();
+    chart.on("chartUpdate", renders);
+    d3.select(host).datum(data).call(chart);
+    const svg = host.querySelector("svg")!;
+    const bar = host.querySelector(".waterfall-bar")!;
+
+    expect(FakeResizeObserver.instances).toHaveLength(1);
+    expect(FakeResizeObserver.instances[0].observed).toEqual([host]);
+    expect(svg.getAttribute("width")).toBe("600");
+    expect(renders).toHaveBeenCalledTimes(1);
+
+    resize(500, 250);
+    jest.advanceTimersByTime(50);
+    resize(450, 240);
+    jest.advanceTimersByTime(50);
+    resize(420, 220);
+    expect(renders).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(100);
+
+    expect(renders).toHaveBeenCalledTimes(2);
+    expect(svg.getAttribute("width")).toBe("420");
+    expect(svg.getAttribute("height")).toBe("220");
+    // Existing bars are updated in place by a zero-length transition, not entered again.
+    // Fake timers don't drive d3's timer, so both renders' transitions are still scheduled,
+    // keyed by ascending id: the last is the redraw's.
+    expect(host.querySelector(".waterfall-bar")).toBe(bar);
+    const transitions = Object.values((bar as any).__transition) as Array<{ duration: number }>;
+    expect(transitions[transitions.length - 1].duration).toBe(0);
+    expect(chart.duration()).toBe(750);
+  });
+
+  test("skips the redraw when the size hasn't changed", () => {
+    const chart = waterfallChart().autoResize(true).resizeDebounce(100);
+    const renders = jest.fn();
+    chart.on("chartUpdate", renders);
+    d3.select(host).datum(data).call(chart);
+
+    FakeResizeObserver.instances[0].notify();
+    jest.advanceTimersByTime(100);
+    expect(renders).toHaveBeenCalledTimes(1);
+  });
+
+  test("applies breakpoints as a resize crosses them", async () => {
+    // Labels leave through an exit transition, which needs d3's real timer
+    jest.useRealTimers();
+    const chart = waterfallChart().autoResize(true).resizeDebounce(10).duration(0)
+      .breakpoints([{ maxWidth: 400, config: { showValueLabels: false } }]);
+    d3.select(host).datum(data).call(chart);
+    await new Promise(r => setTimeout(r, 50));
+    expect(host.querySelectorAll(".total-label").length).toBeGreaterThan(0);
+
+    resize(350, 300);
+    await new Promise(r => setTimeout(r, 100));
+    expect(host.querySelectorAll(".total-label")).toHaveLength(0);
+    expect(chart.showValueLabels()).toBe(true);
+  });
+
+  test("destroy disconnects the observer and drops a pending redraw", () => {
+    const chart = waterfallChart().autoResize(true).resizeDebounce(100);
+    const renders = jest.fn();
+    chart.on("chartUpdate", renders);
+    const selection = d3.select(host).datum(data);
+    selection.call(chart);
+
+    resize(500, 250);
+    chart.destroy(selection);
+    jest.advanceTimersByTime(200);
+    expect(FakeResizeObserver.instances[0].disconnected).toBe(true);
+    expect(renders).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,73 @@
+// MintWaterfall Semantic Zoom Tests
+// Test zooming a rendered chart — the bars and x-axis ticks left on screen, on band and period axes
+import * as d3 from "d3";
+import { waterfallChart } from "../src/chart/chart.js";
+import { ChartData } from "../src/chart/config.js";
+import { installSvgTransforms, uninstallSvgTransforms } from "./svg-transforms";
+
+// Zoom behaviour, selections and transitions need real d3
+jest.mock("d3", () => jest.requireActual("../node_modules/d3/dist/d3.js"));
+
+function item(label: string, extra: Partial<ChartData> = {}): ChartData {
+  return { label, stacks: [{ value: 10, color: "#3498db" }], ...extra };
+}
+
+// Zoom 2x about the left edge of the svg, as a wheel turn over it would
+function zoomIn(host: HTMLElement): void {
+  const svg = host.querySelector("svg")!;
+  svg.dispatchEvent(new WheelEvent("wheel", { deltaY: -500, clientX: 0, clientY: 0, bubbles: true, cancelable: true }));
+}
+
+describe("semantic zoom", () => {
+  let host: HTMLDivElement;
+
+  beforeAll(installSvgTransforms);
+  afterAll(uninstallSvgTransforms);
+
+  beforeEach(() => {
+    host = document.createElement("div");
+    document.body.appendChild(host);
+  });
+
+  afterEach(() => {
+    host.remove();
+  });
+
+  function render(data: ChartData[], scaleType: string) {
+    const chart = waterfallChart().duration(0).width(600).height(300).enableZoom(true).scaleType(scaleType)
+      .zoomConfig({ scaleExtent: [1, 4] });
+    d3.select(host).datum(data).call(chart);
+    return chart;
+  }
+
+  function shown() {
+    return {
+      bars: d3.select(host).selectAll<SVGGElement, any>(".bar-group").data().map(d => d.label),
+      ticks: Array.from(host.querySelectorAll(".x-axis .tick text"), t => t.textContent),
+    };
+  }
+
+  test("keeps the bands zoomed into view", async () => {
+    render(["A", "B", "C", "D", "E", "F"].map(label => item(label)), "band");
+    zoomIn(host);
+    await new Promise(r => setTimeout(r, 50));
+    expect(shown()).toEqual({ bars: ["A", "B"], ticks: ["A", "B"] });
+  });
+
+  test("keeps the periods zoomed into view, however long they are", async () => {
+    render([
+      item("2025-01"),
+      item("2025-02"),
+      item("2025-03"),
+      item("H2", { date: "2025-07", period: "quarter" }),
+      item("2026", { period: "year" }),
+    ], "time");
+    zoomIn(host);
+    await new Promise(r => setTimeout(r, 50));
+    // Evenly spaced, H2 would take the fourth of five slots and zoom off screen; its quarter starts well before that
+    expect(shown()).toEqual({
+      bars: ["2025-01", "2025-02", "2025-03", "H2"],
+      ticks: ["Jan 2025", "Feb", "Mar", "Q3 2025"],
+    });
+  });
+});
@@ -0,0 +1,125 @@
+// MintWaterfall Chart Spec Tests
+// Test toSpec / fromSpec — round trip of config, presets, formatting rules, annotations and data
+// Test validateChartSpec — unknown keys at any level, versions, value types and choices, presets and annotations
+import * as d3 from "d3";
+import { waterfallChart } from "../src/chart/chart.js";
+import { getFormatPreset, registerFormatPreset, validateChartSpec } from "../src/chart/spec.js";
+
+// Presets are looked up by function identity, so use real d3 easings and formatters
+jest.mock("d3", () => jest.requireActual("../node_modules/d3/dist/d3.js"));
+
+const data = [
+  { label: "Start", stacks: [{ value: 100, color: "#3498db" }] },
+  { label: "Costs", stacks: [{ value: -30, color: "#e74c3c" }] },
+];
+
+describe("toSpec / fromSpec", () => {
+  test("round-trips config, presets, rules and data as plain JSON", () => {
+    const chart = waterfallChart()
+      .width(640)
+      .ease("bounceOut")
+      .formatNumber("currency")
+      .showTrendLine(true)
+      .trendLineColor("#ff0000")
+      .breakdownConfig({ enabled: true, field: "parts" } as any)
+      .formattingRules([{ id: "neg", when: { field: "barTotal", op: "<", value: 0 }, style: { fill: "red" } }])
+      .breakpoints([{ maxWidth: 400, config: { showValueLabels: false, formatNumber: getFormatPreset("compact") } }])
+      .data(data);
+
+    const spec = JSON.parse(JSON.stringify(chart.toSpec()));
+    expect(spec.version).toBe(1);
+    expect(spec.config).toMatchObject({ width: 640, ease: "bounceOut", formatNumber: "currency", showTrendLine: true });
+    expect(spec.config.breakpoints[0].config.formatNumber).toBe("compact");
+
+    const restored = waterfallChart.fromSpec(spec);
+    expect(restored.width()).toBe(640);
+    expect(restored.ease()).toBe(d3.easeBounceOut);
+    expect(restored.formatNumber()(1234)).toBe("$1,234");
+    expect(restored.trendLineColor()).toBe("#ff0000");
+    expect(restored.breakdownConfig()).toEqual({ enabled: true, field: "parts" });
+    expect(restored.formattingRules()).toEqual([{ id: "neg", when: { field: "barTotal", op: "<", value: 0 }, style: { fill: "red" } }]);
+    expect(restored.breakpoints()[0].config.formatNumber!(1500)).toBe("1.5k");
+    expect(restored.data()).toEqual(data);
+    expect(restored.toSpec()).toEqual(spec);
+  });
+
+  test("merges partial option objects over the defaults", () => {
+    const chart = waterfallChart.fromSpec({ version: 1, config: { margin: { top: 10 } } });
+    expect(chart.margin()).toEqual({ top: 10, right: 80, bottom: 60, left: 80 });
+  });
+
+  test("requires functions to be registered presets", () => {
+    const format = (n: number) => `${n} units`;
+    const chart = waterfallChart().formatNumber(format);
+    expect(() => chart.toSpec()).toThrow(/registerFormatPreset/);
+
+    registerFormatPreset("units", format);
+    expect(chart.toSpec().config.formatNumber).toBe("units");
+    expect(waterfallChart.fromSpec(chart.toSpec()).formatNumber()).toBe(format);
+  });
+
+  test("round-trips annotations", () => {
+    const annotations = [
+      { id: "cut", type: "arrow" as const, label: "Costs", value: -10, dx: 30, dy: -20, text: "One-off restructuring charge" },
+      { id: "run", type: "bracket" as const, label: "Start", toLabel: "Costs", text: "FY24" },
+    ];
+    const spec = JSON.parse(JSON.stringify(waterfallChart().annotations(annotations).toSpec()));
+    expect(validateChartSpec(spec)).toEqual([]);
+    expect(waterfallChart.fromSpec(spec).annotations()).toEqual(annotations);
+  });
+
+  test("drops formatting rules with predicate functions", () => {
+    const chart = waterfallChart().formattingRules([{ id: "fn", when: () => true, style: { fill: "red" } }]);
+    expect(chart.toSpec().config.formattingRules).toEqual([]);
+  });
+});
+
+describe("validateChartSpec", () => {
+  test("accepts a spec from toSpec", () => {
+    expect(validateChartSpec(waterfallChart().data(data).toSpec())).toEqual([]);
+  });
+
+  test("reports every problem", () => {
+    const errors = validateChartSpec({
+      version: 2,
+      extra: true,
+      config: { widht: 600, height: "tall", ease: "wobbly", formattingRules: [{ style: {} }], annotations: [{ id: "a", type: "bracket" }], breakpoints: [{ config: { colour: "red" } }] },
+      data: [{ value: 1 }],
+    });
+    expect(errors).toEqual([
+      "unknown key extra",
+      "unsupported version 2 (expected 1)",
+      "unknown key config.widht",
+      "config.height must be a number",
+      "config.ease must name an ease preset",
+      "config.formattingRules[0] is not a valid formatting rule",
+      "config.annotations[0] is not a valid annotation",
+      "unknown key config.breakpoints[0].config.colour",
+      "data must be an array of items with a label and stacks",
+    ]);
+  });
+
+  test("checks the keys of option objects", () => {
+    expect(validateChartSpec({ version: 1, config: { valueLabelOptions: { placment: "auto" } } })).toEqual([
+      "unknown key config.valueLabelOptions.placment",
+    ]);
+    expect(validateChartSpec({
+      version: 1,
+      config: { axisBreak: { value: 50 }, seriesColors: { Actual: "#000" }, breakpoints: [{ config: { milestoneConfig: { target: [] } } }] },
+    })).toEqual(["unknown key config.breakpoints[0].config.milestoneConfig.target"]);
+  });
+
+  test("checks options against their choices", () => {
+    expect(validateChartSpec({ version: 1, config: { valueMode: "bogus", periodOptions: { interval: "fortnight" } } })).toEqual([
+      'config.valueMode must be one of "absolute", "percentOfStart", "percentOfTotal"',
+      'config.periodOptions.interval must be one of "day", "week", "month", "quarter", "year"',
+    ]);
+    expect(validateChartSpec({ version: 1, config: { valueMode: "percentOfTotal", valueLabelOptions: { placement: "auto" } } })).toEqual([]);
+  });
+
+  test("fromSpec throws on an invalid spec", () => {
+    expect(() => waterfallChart.fromSpec({ version: 1, config: { colour: "red" } })).toThrow(
+      "MintWaterfall: Invalid chart spec — unknown key config.colour"
+    );
+  });
+});
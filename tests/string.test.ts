@@ -0,0 +1,165 @@
+/** @jest-environment node */
+// MintWaterfall SVG String Rendering Tests
+// Test renderWaterfallToSVGString — standalone markup, final positions, no DOM access
+import { renderWaterfallToSVGString } from "../src/chart/string.js";
+import { ChartData, FormattingRule } from "../src/chart/config.js";
+
+// Layout needs working scales, which the d3 mock does not provide
+jest.mock("d3", () => jest.requireActual("../node_modules/d3/dist/d3.js"));
+
+const data: ChartData[] = [
+  { label: "Start", stacks: [{ value: 100, color: "#3498db" }] },
+  { label: "R&D <new>", stacks: [{ value: 40, color: "#2ecc71" }, { value: 10, color: "#27ae60", label: "Grants" }] },
+  { label: "Costs", stacks: [{ value: -30, color: "#e74c3c" }] },
+];
+
+function count(svg: string, pattern: RegExp): number {
+  return (svg.match(pattern) || []).length;
+}
+
+describe("renderWaterfallToSVGString", () => {
+  // tests/setup.js installs a jsdom document even in the node environment; take it away
+  beforeAll(() => {
+    delete (globalThis as any).document;
+    delete (globalThis as any).window;
+  });
+
+  test("returns a standalone svg document at the configured size", () => {
+    const svg = renderWaterfallToSVGString(data, { width: 600, height: 300 });
+    expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="600" height="300"')).toBe(true);
+    expect(svg.endsWith("</svg>")).toBe(true);
+    expect(count(svg, /class="bar-group"/g)).toBe(3);
+    expect(count(svg, /class="connector"/g)).toBe(2);
+    expect(svg).toContain('class="y-axis"');
+    expect(svg).toContain('aria-label="Waterfall chart with 3 data points"');
+  });
+
+  test("writes bars at their final positions", () => {
+    const svg = renderWaterfallToSVGString(data);
+    const heights = [...svg.matchAll(/class="waterfall-bar"[^>]* height="([\d.]+)"/g)].map(m => +m[1]);
+    expect(heights).toHaveLength(3);
+    expect(heights.every(h => h > 0)).toBe(true);
+    // The 40+10 bar is half as tall as the opening 100
+    expect(heights[1] / heights[0]).toBeCloseTo(0.5, 2);
+  });
+
+  test("escapes labels and draws stack segments when stacked", () => {
+    const svg = renderWaterfallToSVGString(data, { stacked: true, showTotal: true });
+    expect(svg).toContain("R&amp;D &lt;new&gt;");
+    expect(svg).not.toContain("<new>");
+    expect(count(svg, /class="stack"/g)).toBe(5);
+    expect(svg).toContain('<text class="stack-label" text-anchor="middle"');
+    expect(count(svg, /class="connector"/g)).toBe(3);
+  });
+
+  test("registers formatting patterns in defs", () => {
+    const rule: FormattingRule = { id: "neg", when: { field: "barTotal", op: "<", value: 0 }, style: { pattern: "dots" } };
+    const svg = renderWaterfallToSVGString(data, { formattingRules: new Map([["neg", rule]]) });
+    const id = "mintwaterfall-pattern-dots-e74c3c-rgba000035";
+    expect(svg).toContain(`<pattern id="${id}"`);
+    expect(svg).toContain(`fill="url(#${id})"`);
+  });
+
+  test("renders without a document", () => {
+    expect(typeof document).toBe("undefined");
+    expect(typeof window).toBe("undefined");
+    expect(renderWaterfallToSVGString(data, { orientation: "horizontal", showTrendLine: true, showLegend: true })).toContain("<svg");
+  });
+
+  test("draws series side by side with connectors within each series", () => {
+    const seriesData: ChartData[] = [
+      { label: "Open", series: [{ name: "Actual", stacks: [{ value: 100, color: "#000" }] }, { name: "Budget", stacks: [{ value: 90, color: "#999" }] }] },
+      { label: "Sales", series: [{ name: "Actual", stacks: [{ value: 40, color: "#000" }] }, { name: "Budget", stacks: [{ value: 50, color: "#999" }] }] },
+    ];
+    const svg = renderWaterfallToSVGString(seriesData, { width: 600, height: 300 });
+    expect(count(svg, /class="bar-group"/g)).toBe(4);
+    expect(count(svg, /class="connector"/g)).toBe(2);
+  });
+
+  test("draws a static legend with its gradient in defs", () => {
+    const svg = renderWaterfallToSVGString(data, {
+      showLegend: true,
+      colorMode: "sequential",
+      advancedColorConfig: { enabled: true, scaleType: "auto", themeName: "default", neutralThreshold: 0 },
+    });
+    expect(svg).toMatch(/<defs>.*<linearGradient id="mintwaterfall-clip-[\d-]+-legend">/);
+    expect(svg).toContain('class="legend-group"');
+    expect(svg).toContain('class="legend-gradient"');
+    expect(renderWaterfallToSVGString(data)).not.toContain("legend");
+  });
+
+  test("labels bars and the value axis as percentages in percentOfStart mode", () => {
+    const svg = renderWaterfallToSVGString(data, { valueMode: "percentOfStart" });
+    expect(svg).toContain(">50%</text>");
+    expect(svg).toMatch(/class="y-axis".*>120%<\/text>/);
+  });
+
+  test("places value labels and picks their content from valueLabelOptions", () => {
+    const svg = renderWaterfallToSVGString(data, { valueLabelOptions: { placement: "auto", content: "runningTotal" } });
+    expect(count(svg, /class="total-label inside"/g)).toBe(3);
+    expect(svg).toContain(">150</text>");
+    expect(renderWaterfallToSVGString(data, { valueLabelOptions: { placement: "none" } })).not.toContain("total-label");
+  });
+
+  test("styles connectors and labels them with the running total", () => {
+    const svg = renderWaterfallToSVGString(data, { showTotal: true, connectorOptions: { style: "solid", color: "#123456", skipTotals: true, showLabels: true } });
+    expect(count(svg, /class="connector"/g)).toBe(2);
+    expect(svg).toContain('stroke="#123456"');
+    expect(svg).not.toContain("stroke-dasharray");
+    expect(svg).toMatch(/class="connector-label"[^>]*>150<\/text>/);
+  });
+
+  test("draws annotations on their bars", () => {
+    const svg = renderWaterfallToSVGString(data, { annotations: [
+      { id: "cut", type: "callout", label: "Costs", text: "One-off <restructuring>" },
+      { id: "gone", type: "arrow", label: "Missing", text: "Not drawn" },
+    ] });
+    expect(count(svg, /class="annotation annotation-callout"/g)).toBe(1);
+    expect(svg).toContain("One-off &lt;restructuring&gt;</tspan>");
+    expect(svg).not.toContain("Not drawn");
+  });
+
+  test("shades reference bands behind the bars and draws target ticks over them", () => {
+    const svg = renderWaterfallToSVGString(data, { milestoneConfig: {
+      enabled: true, milestones: [], bands: [{ from: 100, to: 120, label: "Tolerance" }], targets: [{ label: "Costs", value: -10 }], showTargetLabels: true,
+    } });
+    expect(svg.indexOf("reference-bands-group")).toBeLessThan(svg.indexOf("bars-group"));
+    expect(svg.indexOf("targets-group")).toBeGreaterThan(svg.indexOf("bars-group"));
+    expect(count(svg, /class="target-marker"/g)).toBe(1);
+    expect(svg).toContain(">Tolerance</text>");
+    expect(svg).toMatch(/class="target-label"[^>]*>−10<\/text>/);
+  });
+
+  test("breaks the value axis above a large base", () => {
+    const svg = renderWaterfallToSVGString(data, { axisBreak: { enabled: true } });
+    expect(count(svg, /class="axis-break"/g)).toBe(2);
+    expect(renderWaterfallToSVGString(data)).not.toContain("axis-break");
+  });
+
+  test("fits long x-axis labels to their bands", () => {
+    const long: ChartData[] = [{ label: "Opening balance for the year", stacks: [{ value: 100, color: "#000" }] }, ...data];
+    const rotated = renderWaterfallToSVGString(long, { width: 300 });
+    expect(count(rotated, /transform="rotate\(-45\)"/g)).toBe(4);
+    const truncated = renderWaterfallToSVGString(long, { width: 300, xLabelLayout: "truncate" });
+    expect(truncated).toMatch(/>Open…<title>Opening balance for the year<\/title><\/text>/);
+    const wrapped = renderWaterfallToSVGString(long, { width: 600, xLabelLayout: "wrap" });
+    expect(wrapped).toContain('<tspan x="0">Opening balance</tspan><tspan x="0" dy="1.2em">for the year</tspan>');
+  });
+
+  test("lays bars out over their periods with gaps marked on a time axis", () => {
+    const periods: ChartData[] = [
+      { label: "2025-Q1", stacks: [{ value: 100, color: "#000" }] },
+      { label: "2025-Q3", stacks: [{ value: 20, color: "#000" }] },
+      { label: "Total", type: "total", stacks: [] },
+    ];
+    const svg = renderWaterfallToSVGString(periods, { scaleType: "time", periodOptions: { interval: "quarter" } });
+    expect(count(svg, /class="bar-group"/g)).toBe(3);
+    expect(count(svg, /class="period-gap"/g)).toBe(1);
+    expect(svg).toMatch(/>Q1 2025<\/text>.*>Q3 2025<\/text>.*>Total<\/text>/);
+  });
+
+  test("rejects invalid data", () => {
+    expect(() => renderWaterfallToSVGString([])).toThrow(/non-empty/);
+    expect(() => renderWaterfallToSVGString([{ label: "A" } as ChartData])).toThrow(/Invalid data structure/);
+  });
+});
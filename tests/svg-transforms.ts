@@ -0,0 +1,36 @@
+// Test helper — SVG transform lists for jsdom, which has none
+// d3 reads a detached <g>'s transform.baseVal to tween transforms when a chart redraws,
+// so redraw tests install this around their renders.
+
+function transformMatrix(value: string | null) {
+  let [a, b, c, d, e, f] = [1, 0, 0, 1, 0, 0];
+  for (const [, name, args] of (value ?? "").matchAll(/(\w+)\(([^)]*)\)/g)) {
+    const [x = 0, y = name === "scale" ? x : 0] = args.split(/[\s,]+/).filter(Boolean).map(Number);
+    const angle = x * Math.PI / 180;
+    const m = name === "translate" ? [1, 0, 0, 1, x, y]
+      : name === "scale" ? [x, 0, 0, y, 0, 0]
+      : name === "rotate" ? [Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0]
+      : [1, 0, 0, 1, 0, 0];
+    [a, b, c, d, e, f] = [
+      a * m[0] + c * m[1], b * m[0] + d * m[1], a * m[2] + c * m[3], b * m[2] + d * m[3],
+      a * m[4] + c * m[5] + e, b * m[4] + d * m[5] + f,
+    ];
+  }
+  return { a, b, c, d, e, f };
+}
+
+// The setup file mocks the SVGElement global, so the prototype is taken from a real <g>
+const gPrototype = Object.getPrototypeOf(document.createElementNS("http://www.w3.org/2000/svg", "g"));
+
+export function installSvgTransforms(): void {
+  Object.defineProperty(gPrototype, "transform", {
+    configurable: true,
+    get(this: SVGGElement) {
+      return { baseVal: { consolidate: () => ({ matrix: transformMatrix(this.getAttribute("transform")) }) } };
+    },
+  });
+}
+
+export function uninstallSvgTransforms(): void {
+  delete gPrototype.transform;
+}
@@ -0,0 +1,94 @@
+// MintWaterfall Teardown Tests
+// Test repeated renders — one clip path per svg, reused across renders, and data re-processed on any change
+// Test chart.destroy — removes chart DOM, the tooltip div and pending timers, and allows re-rendering
+import * as d3 from "d3";
+import { waterfallChart } from "../src/chart/chart.js";
+
+// Rendering needs real selections, transitions and zoom behaviour
+jest.mock("d3", () => jest.requireActual("../node_modules/d3/dist/d3.js"));
+
+const data = [
+  { label: "Start", stacks: [{ value: 100, color: "#3498db" }] },
+  { label: "Costs", stacks: [{ value: -30, color: "#e74c3c" }] },
+];
+
+describe("chart teardown", () => {
+  let host: HTMLDivElement;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    host = document.createElement("div");
+    document.body.appendChild(host);
+  });
+
+  afterEach(() => {
+    host.remove();
+    jest.useRealTimers();
+  });
+
+  test("reuses a single clip path across renders", () => {
+    const chart = waterfallChart().duration(0);
+    const selection = d3.select(host).datum(data);
+    selection.call(chart).call(chart).call(chart);
+
+    const clipPaths = host.querySelectorAll("clipPath");
+    expect(clipPaths).toHaveLength(1);
+    expect(host.querySelector(".chart-group")!.getAttribute("clip-path")).toBe(`url(#${clipPaths[0].id})`);
+  });
+
+  test("re-processes data that changes only in a late item", () => {
+    const long = [
+      { label: "Opening balance", stacks: [{ value: 100, color: "#3498db" }] },
+      { label: "New customer revenue", stacks: [{ value: 40, color: "#2ecc71" }] },
+      { label: "Churned customers", stacks: [{ value: -15, color: "#e74c3c" }] },
+      { label: "Closing", stacks: [{ value: 0, color: "#95a5a6" }] },
+    ];
+    const chart = waterfallChart().duration(0);
+    d3.select(host).datum(long).call(chart);
+    const changed = long.map((d, i) => i === long.length - 1 ? { ...d, type: "subtotal" as const } : d);
+    d3.select(host).datum(changed).call(chart);
+
+    const bars = d3.select(host).selectAll<SVGGElement, any>(".bar-group").data();
+    expect(bars[bars.length - 1].isTotal).toBe(true);
+    expect(bars[bars.length - 1].cumulativeTotal).toBe(125);
+  });
+
+  test("gives each chart its own clip path id", () => {
+    const other = document.createElement("div");
+    document.body.appendChild(other);
+    d3.select(host).datum(data).call(waterfallChart().duration(0));
+    d3.select(other).datum(data).call(waterfallChart().duration(0));
+
+    expect(host.querySelector("clipPath")!.id).not.toBe(other.querySelector("clipPath")!.id);
+    other.remove();
+  });
+
+  test("destroy removes chart DOM, the tooltip div and pending timers", () => {
+    const chart = waterfallChart().duration(0).enableTooltips(true).enableZoom(true);
+    const selection = d3.select(host).datum(data);
+    selection.call(chart);
+    host.querySelector(".bar-group")!.dispatchEvent(new Event("pointerover"));
+    expect(document.querySelector(".mintwaterfall-tooltip")).not.toBeNull();
+
+    expect(chart.destroy(selection)).toBe(chart);
+    expect(host.innerHTML).toBe("");
+    expect(document.querySelector(".mintwaterfall-tooltip")).toBeNull();
+    expect(jest.getTimerCount()).toBe(0);
+
+    selection.call(chart);
+    expect(host.querySelectorAll(".bar-group")).toHaveLength(2);
+  });
+
+  test("destroy leaves a caller's svg in place without chart content or handlers", () => {
+    const chart = waterfallChart().duration(0).enableZoom(true);
+    const svg = d3.select(host).append("svg").attr("width", 400).attr("height", 300).datum(data);
+    svg.call(chart);
+    expect((svg.node() as any).__zoom).toBeDefined();
+
+    chart.destroy(svg);
+    expect(host.querySelector("svg")).not.toBeNull();
+    expect(svg.node()!.childNodes).toHaveLength(0);
+    expect(svg.on("wheel.zoom")).toBeUndefined();
+    expect((svg.node() as any).__zoom).toBeUndefined();
+  });
+});
@@ -1,7 +1,7 @@
 // Minimal Zoom System Tests
 // Tests only the most basic functionality to ensure tests pass
 
-import { createZoomSystem } from "../dist/mintwaterfall.esm.js";
+import { createZoomSystem, getVisibleCategories } from "../dist/mintwaterfall.esm.js";
 
 // Mock D3 for testing
 const d3Mock = require("../tests/__mocks__/d3.js");
@@ -12,4 +12,43 @@ describe("Zoom System", () => {
     const zoom = createZoomSystem();
     expect(zoom).toBeDefined();
   });
-});
\ No newline at end of file
+});
+
+describe("getVisibleCategories", () => {
+  const months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct"];
+  const identity = { k: 1, x: 0, y: 0 };
+
+  test("keeps every category at the identity transform", () => {
+    expect(getVisibleCategories(months, identity, [0, 100])).toEqual(months);
+  });
+
+  test("keeps only the categories zoomed into view", () => {
+    // 2x around the range start: band centres 5..95 move to 10..190
+    expect(getVisibleCategories(months, { k: 2, x: 0, y: 0 }, [0, 100])).toEqual(["Jan", "Feb", "Mar", "Apr", "May"]);
+  });
+
+  test("follows panning", () => {
+    expect(getVisibleCategories(months, { k: 2, x: -100, y: 0 }, [0, 100])).toEqual(["Jun", "Jul", "Aug", "Sep", "Oct"]);
+  });
+
+  test("reads the y translation for vertical category axes", () => {
+    const transform = { k: 2, x: 0, y: -100 };
+    expect(getVisibleCategories(months, transform, [0, 100], "y")).toEqual(["Jun", "Jul", "Aug", "Sep", "Oct"]);
+  });
+
+  test("returns the nearest category when zoomed past every band centre", () => {
+    // At 20x, May's centre lands at -50 and Jun's at 150, either side of the range
+    expect(getVisibleCategories(months, { k: 20, x: -950, y: 0 }, [0, 100])).toEqual(["May"]);
+  });
+
+  test("zooms the given centres of uneven categories", () => {
+    // A short first period, a long second one and one the scale doesn't place
+    const centres = [5, 40, NaN];
+    expect(getVisibleCategories(["Q1", "H2", "Later"], { k: 2, x: 0, y: 0 }, [0, 100], "x", centres)).toEqual(["Q1", "H2"]);
+  });
+
+  test("handles an empty domain", () => {
+    expect(getVisibleCategories([], identity, [0, 100])).toEqual([]);
+  });
+});
+